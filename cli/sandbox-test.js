@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+/**
+ * Headless CLI for Tealium Sandbox
+ * Serves the sandbox locally, opens index.html in headless Chrome (Puppeteer), loads a real
+ * account/profile/env or a local mock profile, runs a journey test (see js/journey-tests.js)
+ * and writes JUnit XML plus a JSON report. Results come from the same page code the UI uses:
+ * runJourneyTest(), validateDataLayer(), analyzeLoadedProfile() and eventDebugState.
+ *
+ * Requires Node 18+ and Puppeteer: npm install --no-save puppeteer (see docs/QUICK_START.md, Workflow 5).
+ *
+ * Usage:
+ *   node cli/sandbox-test.js --test journeys/checkout.json --account acme --profile main --env qa
+ *   node cli/sandbox-test.js --test journeys/checkout.js --mock mock-profile.json
+ *
+ * Options:
+ *   --test <file>       Journey test (.json or .js) - required
+ *   --account/--profile/--env   Load utag.js from tags.tiqcdn.com
+ *   --mock <file>       Load a mock profile definition instead (the built-in example if no file is given)
+ *   --junit <file>      JUnit XML output (default: sandbox-results.xml)
+ *   --json <file>       JSON report output (default: sandbox-results.json)
+ *   --timeout <ms>      Time to wait for utag.js to load (default: 30000)
+ *   --port <port>       Port for the local server (default: random)
+ *   --headful           Show the browser window
+ *
+ * Exits with 1 when any assertion or data layer validation error fails, 2 on setup errors.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SANDBOX_ROOT = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Parse --name value / --flag arguments
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const name = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            options[name] = true;
+        } else {
+            options[name] = next;
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Serve the sandbox directory - sections are loaded with fetch(), which doesn't work from file://
+ */
+function startStaticServer(port) {
+    const server = http.createServer((req, res) => {
+        const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const filePath = path.join(SANDBOX_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+        if (!filePath.startsWith(SANDBOX_ROOT)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+
+        fs.readFile(filePath, (error, content) => {
+            if (error) {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(content);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port || 0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+/**
+ * Load the profile in the page: utag.js from tiqcdn.com, or the mock runtime
+ */
+async function loadProfile(page, options) {
+    if (options.account) {
+        if (!options.profile || !options.env) {
+            throw new Error('--account needs --profile and --env');
+        }
+
+        await page.evaluate((account, profile, env) => {
+            window.loadTealiumWithParams(account, profile, env);
+        }, options.account, options.profile, options.env);
+
+        await page.waitForFunction(
+            () => window.utag && window.utag.loader && window.utag.loader.cfg && window.utag.data,
+            { timeout: parseInt(options.timeout) || 30000 }
+        );
+        return `${options.account}/${options.profile}/${options.env}`;
+    }
+
+    const definition = typeof options.mock === 'string'
+        ? JSON.parse(fs.readFileSync(path.resolve(options.mock), 'utf8'))
+        : null;
+
+    const loaded = await page.evaluate((def) => {
+        const utag = window.loadMockTealium(def || window.getMockProfileDefinition());
+        return utag ? `${utag.cfg.account}/${utag.cfg.profile}/${utag.cfg.env} (mock)` : null;
+    }, definition);
+
+    if (!loaded) throw new Error('The mock profile is invalid - check it in the Configuration section');
+    return loaded;
+}
+
+/**
+ * Run the journey and collect the data layer validation, profile analysis and captured network traffic
+ */
+async function runInPage(page, testSource, testName) {
+    return page.evaluate(async (source, name) => {
+        const journey = window.parseJourneyTest(source, name);
+        const report = await window.runJourneyTest(journey);
+
+        // The summary row restates the counts, so only the individual results become testcases
+        const validation = (window.validateDataLayer() || []).filter(result => !result.summary).map(result => ({
+            type: result.type,
+            message: String(result.message).replace(/<[^>]+>/g, '')
+        }));
+
+        let profile = null;
+        try {
+            const analysis = await window.analyzeLoadedProfile();
+            profile = {
+                overview: analysis.overview,
+                stats: analysis.stats,
+                loadRules: analysis.loadRules.map(rule => ({ id: rule.id, title: rule.title, status: rule.status }))
+            };
+        } catch (error) {
+            profile = { error: error.message };
+        }
+
+        const network = eventDebugState.networkRequests.map(request => ({
+            type: request.type,
+            method: request.method,
+            url: request.url,
+            vendor: request.vendor,
+            status: request.status,
+            tagRelated: request.isTagRelated,
+            duration: request.duration
+        }));
+
+        return { journey: report, validation, profile, network };
+    }, testSource, testName);
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML: one testsuite for the journey (a testcase per assertion) and one for data layer validation
+ */
+function buildJUnitXml(results) {
+    const journey = results.journey;
+    const journeyCases = journey.steps.flatMap(step => step.assertions.map(assertion => {
+        const attributes = `classname="${escapeXml(`${journey.name}.${step.index} ${step.label}`)}" name="${escapeXml(assertion.description)}" time="${(step.duration / 1000).toFixed(3)}"`;
+        return assertion.passed
+            ? `    <testcase ${attributes}/>`
+            : `    <testcase ${attributes}>\n      <failure message="${escapeXml(assertion.message || 'Assertion failed')}"/>\n    </testcase>`;
+    }));
+
+    const validationIssues = results.validation.filter(result => result.type === 'error' || result.type === 'warning');
+    const validationCases = validationIssues.length === 0
+        ? ['    <testcase classname="Data Layer Validation" name="Data layer validation passed"/>']
+        : validationIssues.map(result => result.type === 'error'
+            ? `    <testcase classname="Data Layer Validation" name="${escapeXml(result.message)}">\n      <failure message="${escapeXml(result.message)}"/>\n    </testcase>`
+            : `    <testcase classname="Data Layer Validation" name="${escapeXml(result.message)}">\n      <system-out>${escapeXml('warning')}</system-out>\n    </testcase>`);
+    const validationFailures = validationIssues.filter(result => result.type === 'error').length;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="Tealium Sandbox" tests="${journeyCases.length + validationCases.length}" failures="${journey.failed + validationFailures}" time="${(journey.duration / 1000).toFixed(3)}">`,
+        `  <testsuite name="${escapeXml(journey.name)}" tests="${journeyCases.length}" failures="${journey.failed}" timestamp="${escapeXml(journey.startedAt)}" time="${(journey.duration / 1000).toFixed(3)}">`,
+        `    <properties><property name="profile" value="${escapeXml(results.profileLabel)}"/></properties>`,
+        ...journeyCases,
+        '  </testsuite>',
+        `  <testsuite name="Data Layer Validation" tests="${validationCases.length}" failures="${validationFailures}">`,
+        ...validationCases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Print a short summary to stdout
+ */
+function printSummary(results) {
+    const journey = results.journey;
+    console.log(`\n${journey.success ? 'PASS' : 'FAIL'} ${journey.name} (${results.profileLabel})`);
+    journey.steps.forEach(step => {
+        console.log(`  ${step.passed ? '✔' : '✘'} ${step.index}. ${step.label} - tags: ${step.tagsFired.join(', ') || 'none'}`);
+        step.assertions.filter(assertion => !assertion.passed).forEach(assertion => {
+            console.log(`      ✘ ${assertion.description}${assertion.message ? ` (${assertion.message})` : ''}`);
+        });
+    });
+
+    const errors = results.validation.filter(result => result.type === 'error');
+    console.log(`  Assertions: ${journey.passed}/${journey.total} passed, data layer errors: ${errors.length}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.test || options.help) {
+        console.log('Usage: node cli/sandbox-test.js --test <journey.json|js> [--account a --profile p --env e | --mock [file]] [--junit file] [--json file]');
+        process.exit(options.help ? 0 : 2);
+    }
+
+    let puppeteer;
+    try {
+        puppeteer = require('puppeteer');
+    } catch (error) {
+        console.error('Puppeteer is not installed. Run: npm install --no-save puppeteer (see docs/QUICK_START.md)');
+        process.exit(2);
+    }
+
+    const testPath = path.resolve(options.test);
+    const testSource = fs.readFileSync(testPath, 'utf8');
+    const server = await startStaticServer(parseInt(options.port));
+    const browser = await puppeteer.launch({ headless: !options.headful });
+    let exitCode = 0;
+
+    try {
+        const page = await browser.newPage();
+        page.on('pageerror', error => console.error(`[page] ${error.message}`));
+
+        await page.goto(`http://127.0.0.1:${server.address().port}/index.html`, { waitUntil: 'networkidle0' });
+        await page.waitForFunction(() => typeof window.runJourneyTest === 'function' && typeof window.loadMockTealium === 'function');
+
+        const profileLabel = await loadProfile(page, options);
+        const results = await runInPage(page, testSource, path.basename(testPath));
+        results.profileLabel = profileLabel;
+        results.generatedAt = new Date().toISOString();
+
+        const junitPath = path.resolve(options.junit || 'sandbox-results.xml');
+        const jsonPath = path.resolve(options.json || 'sandbox-results.json');
+        fs.writeFileSync(junitPath, buildJUnitXml(results));
+        fs.writeFileSync(jsonPath, JSON.stringify(results, null, 2));
+
+        printSummary(results);
+        console.log(`  JUnit: ${junitPath}\n  JSON:  ${jsonPath}`);
+
+        const validationErrors = results.validation.filter(result => result.type === 'error').length;
+        exitCode = results.journey.success && validationErrors === 0 ? 0 : 1;
+    } catch (error) {
+        console.error(`Sandbox test run failed: ${error.message}`);
+        exitCode = 2;
+    } finally {
+        await browser.close();
+        server.close();
+    }
+
+    process.exit(exitCode);
+}
+
+if (require.main === module) {
+    // Anything thrown before the run starts (missing test file, browser launch, server bind) is a setup error
+    main().catch(error => {
+        console.error(`Sandbox test setup failed: ${error.message}`);
+        process.exit(2);
+    });
+}
+
+module.exports = { parseArgs, buildJUnitXml, startStaticServer };
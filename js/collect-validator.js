@@ -0,0 +1,356 @@
+/**
+ * Tealium Collect / EventStream Validator for Tealium Sandbox
+ * Validates captured Collect beacons against a user-defined EventStream event spec
+ * (required attributes per tealium_event, expected types and allowed values) and groups them by event
+ */
+
+const COLLECT_SPEC_STORAGE_KEY = 'tealium-sandbox-collect-spec';
+
+/**
+ * Attributes every Collect beacon needs for AudienceStream to stitch visitors and sessions
+ */
+const COLLECT_REQUIRED_IDS = ['tealium_visitor_id', 'tealium_session_id'];
+
+/**
+ * Example spec shown when nothing is saved yet
+ */
+const COLLECT_SPEC_EXAMPLE = {
+    global: {
+        required: ['tealium_account', 'tealium_profile', 'tealium_event'],
+        attributes: {
+            tealium_account: { type: 'string' },
+            page_type: { type: 'string', enum: ['home', 'category', 'product', 'cart', 'checkout', 'confirmation'] }
+        }
+    },
+    events: {
+        page_view: {
+            required: ['page_name', 'page_type']
+        },
+        cart_add: {
+            required: ['product_id', 'product_quantity'],
+            attributes: {
+                product_id: { type: 'array' },
+                product_quantity: { type: 'array' }
+            }
+        },
+        purchase: {
+            required: ['order_id', 'order_total', 'order_currency'],
+            attributes: {
+                order_total: { type: 'number' },
+                order_currency: { type: 'string', enum: ['EUR', 'USD', 'GBP'] },
+                order_id: { type: 'string', pattern: '^[A-Z0-9-]+$' }
+            }
+        }
+    }
+};
+
+/**
+ * Read the spec from the editor, falling back to the saved one
+ */
+function getCollectSpec() {
+    const input = document.getElementById('collectSpecJson');
+    const text = input && input.value.trim() ? input.value : localStorage.getItem(COLLECT_SPEC_STORAGE_KEY);
+    if (!text) return { global: {}, events: {} };
+
+    const spec = JSON.parse(text);
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('The spec must be a JSON object with "global" and "events"');
+    }
+    return { global: spec.global || {}, events: spec.events || {} };
+}
+
+/**
+ * Captured requests that the Tealium Collect decoder claims
+ */
+function getCollectBeacons() {
+    return eventDebugState.networkRequests.filter(request => {
+        const decoder = typeof findVendorDecoder === 'function' ? findVendorDecoder(request.url, request) : null;
+        return decoder ? decoder.id === 'tealium-collect' : /tealiumiq\.com|\/i\.gif/.test(request.url || '');
+    });
+}
+
+/**
+ * Raw attribute values of a beacon. The i.gif body is data={...} and /event posts JSON;
+ * the data layer may sit at the top level or under "data" / "udo".
+ */
+function getCollectBeaconAttributes(request) {
+    const attributes = {};
+    const merge = (obj) => {
+        if (!obj || typeof obj !== 'object') return;
+        Object.entries(obj).forEach(([key, value]) => {
+            if ((key === 'data' || key === 'udo') && value && typeof value === 'object' && !Array.isArray(value)) {
+                merge(value);
+            } else if (!(key in attributes)) {
+                attributes[key] = value;
+            }
+        });
+    };
+
+    try {
+        new URL(request.url).searchParams.forEach((value, key) => {
+            if (key !== 'data') attributes[key] = value;
+        });
+    } catch (e) {}
+
+    if (typeof request.payload === 'string' && request.payload) {
+        const payload = request.payload.trim();
+        try {
+            if (payload.startsWith('{')) {
+                merge(JSON.parse(payload));
+            } else {
+                const form = new URLSearchParams(payload);
+                if (form.has('data')) {
+                    merge(JSON.parse(form.get('data')));
+                } else {
+                    form.forEach((value, key) => { attributes[key] = value; });
+                }
+            }
+        } catch (error) {
+            console.warn('Could not parse Collect payload:', error);
+        }
+    }
+
+    return attributes;
+}
+
+/**
+ * Check a value against an attribute rule ({ type, enum, pattern })
+ */
+function checkCollectAttribute(name, value, rule) {
+    const issues = [];
+    const values = Array.isArray(value) ? value : [value];
+
+    if (rule.type) {
+        const matchesType = {
+            string: () => typeof value === 'string',
+            // Collect sends most values as strings, so numeric strings count as numbers
+            number: () => values.every(item => item !== '' && !isNaN(Number(item))) && !Array.isArray(value),
+            boolean: () => typeof value === 'boolean' || value === 'true' || value === 'false',
+            array: () => Array.isArray(value),
+            object: () => value !== null && typeof value === 'object' && !Array.isArray(value)
+        }[rule.type];
+
+        if (matchesType && !matchesType()) {
+            issues.push({ severity: 'error', attribute: name, message: `${name} should be ${rule.type}, got ${Array.isArray(value) ? 'array' : typeof value} (${JSON.stringify(value)})` });
+        }
+    }
+
+    if (Array.isArray(rule.enum)) {
+        const invalid = values.filter(item => !rule.enum.includes(item));
+        if (invalid.length > 0) {
+            issues.push({ severity: 'error', attribute: name, message: `${name} has unexpected value ${JSON.stringify(invalid.length === 1 ? invalid[0] : invalid)} (allowed: ${rule.enum.join(', ')})` });
+        }
+    }
+
+    if (rule.pattern) {
+        let regex;
+        try {
+            regex = new RegExp(rule.pattern);
+        } catch (error) {
+            issues.push({ severity: 'error', attribute: name, message: `Spec pattern for ${name} is invalid: ${error.message}` });
+        }
+        const invalid = regex ? values.filter(item => !regex.test(String(item))) : [];
+        if (invalid.length > 0) {
+            issues.push({ severity: 'error', attribute: name, message: `${name} does not match /${rule.pattern}/: ${JSON.stringify(invalid[0])}` });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Validate one beacon's attributes against the spec
+ */
+function validateCollectBeacon(attributes, spec) {
+    const issues = [];
+    const eventName = attributes.tealium_event || '(no tealium_event)';
+    const eventSpec = spec.events[eventName];
+    const isMissing = (name) => attributes[name] === undefined || attributes[name] === null || attributes[name] === '';
+
+    COLLECT_REQUIRED_IDS.forEach(name => {
+        if (isMissing(name)) {
+            issues.push({ severity: 'error', attribute: name, message: `Missing ${name} - AudienceStream cannot attribute this event to a visitor` });
+        }
+    });
+
+    const required = [...(spec.global.required || []), ...((eventSpec && eventSpec.required) || [])];
+    [...new Set(required)]
+        .filter(name => !COLLECT_REQUIRED_IDS.includes(name) && isMissing(name))
+        .forEach(name => issues.push({ severity: 'error', attribute: name, message: `Missing required attribute ${name}` }));
+
+    // Event rules override global rules for the same attribute
+    const rules = { ...(spec.global.attributes || {}), ...((eventSpec && eventSpec.attributes) || {}) };
+    Object.entries(rules).forEach(([name, rule]) => {
+        if (!isMissing(name)) {
+            issues.push(...checkCollectAttribute(name, attributes[name], rule));
+        }
+    });
+
+    if (!eventSpec && Object.keys(spec.events).length > 0) {
+        issues.push({ severity: 'warning', attribute: 'tealium_event', message: `No spec for event "${eventName}"` });
+    }
+
+    return { eventName, issues };
+}
+
+/**
+ * Validate every captured beacon and group the results by tealium_event
+ */
+function validateCollectBeacons(spec = getCollectSpec()) {
+    const groups = {};
+
+    getCollectBeacons().forEach(request => {
+        const attributes = getCollectBeaconAttributes(request);
+        const { eventName, issues } = validateCollectBeacon(attributes, spec);
+
+        if (!groups[eventName]) {
+            groups[eventName] = { event: eventName, specified: !!spec.events[eventName], beacons: [], errors: 0, warnings: 0 };
+        }
+
+        const group = groups[eventName];
+        group.beacons.push({ id: request.id, url: request.url, startTime: request.startTime, attributes, issues });
+        group.errors += issues.filter(issue => issue.severity === 'error').length;
+        group.warnings += issues.filter(issue => issue.severity === 'warning').length;
+    });
+
+    const events = Object.values(groups).sort((a, b) => b.errors - a.errors || a.event.localeCompare(b.event));
+    return {
+        events,
+        summary: {
+            beacons: events.reduce((sum, group) => sum + group.beacons.length, 0),
+            events: events.length,
+            failing: events.reduce((sum, group) => sum + group.beacons.filter(beacon => beacon.issues.some(issue => issue.severity === 'error')).length, 0),
+            missingIds: events.reduce((sum, group) => sum + group.beacons.filter(beacon => beacon.issues.some(issue => COLLECT_REQUIRED_IDS.includes(issue.attribute) && issue.severity === 'error')).length, 0)
+        },
+        validatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Run the validator from the Events section
+ */
+function runCollectValidation() {
+    let spec;
+    try {
+        spec = getCollectSpec();
+    } catch (error) {
+        showToast(`Invalid spec: ${error.message}`, 'error');
+        return;
+    }
+
+    const result = validateCollectBeacons(spec);
+    window.collectValidationResult = result;
+    renderCollectValidation(result);
+
+    if (result.summary.beacons === 0) {
+        showToast('No Tealium Collect beacons captured yet', 'warning');
+    } else {
+        showToast(`${result.summary.beacons} beacon(s) checked, ${result.summary.failing} failing`, result.summary.failing ? 'warning' : 'success');
+    }
+    logEvent('COLLECT_VALIDATION', `Validated ${result.summary.beacons} Collect beacon(s)`, result.summary);
+}
+
+/**
+ * Save the spec from the editor
+ */
+function saveCollectSpec() {
+    const input = document.getElementById('collectSpecJson');
+    if (!input) return;
+
+    try {
+        JSON.parse(input.value || '{}');
+    } catch (error) {
+        showToast(`Invalid JSON: ${error.message}`, 'error');
+        return;
+    }
+
+    localStorage.setItem(COLLECT_SPEC_STORAGE_KEY, input.value);
+    showToast('Collect spec saved', 'success');
+}
+
+/**
+ * Put the example spec in the editor
+ */
+function loadCollectSpecExample() {
+    const input = document.getElementById('collectSpecJson');
+    if (input) input.value = JSON.stringify(COLLECT_SPEC_EXAMPLE, null, 2);
+}
+
+/**
+ * Render results grouped by tealium_event
+ */
+function renderCollectValidation(result) {
+    const container = document.getElementById('collectValidationResults');
+    if (!container) return;
+
+    if (result.summary.beacons === 0) {
+        container.innerHTML = '<div class="text-gray-500 text-sm">No Tealium Collect beacons captured. Fire events with the Collect tag enabled or import a HAR.</div>';
+        return;
+    }
+
+    const summary = `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-blue-600">${result.summary.beacons}</div>
+                <div class="text-xs text-gray-500">Beacons</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-purple-600">${result.summary.events}</div>
+                <div class="text-xs text-gray-500">tealium_event values</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-red-600">${result.summary.failing}</div>
+                <div class="text-xs text-gray-500">Failing beacons</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-orange-600">${result.summary.missingIds}</div>
+                <div class="text-xs text-gray-500">Missing visitor/session ID</div>
+            </div>
+        </div>
+    `;
+
+    const groups = result.events.map(group => `
+        <details class="border border-gray-200 rounded-lg" ${group.errors ? 'open' : ''}>
+            <summary class="cursor-pointer p-3 flex items-center justify-between bg-gray-50">
+                <span class="font-medium text-gray-900">
+                    ${escapeHtml(group.event)}
+                    ${group.specified ? '' : '<span class="ml-2 text-xs text-gray-500">(not in spec)</span>'}
+                </span>
+                <span class="text-xs space-x-2">
+                    <span class="bg-blue-100 text-blue-800 px-2 py-1 rounded">${group.beacons.length} beacon(s)</span>
+                    <span class="${group.errors ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'} px-2 py-1 rounded">${group.errors} error(s)</span>
+                    ${group.warnings ? `<span class="bg-yellow-100 text-yellow-800 px-2 py-1 rounded">${group.warnings} warning(s)</span>` : ''}
+                </span>
+            </summary>
+            <div class="p-3 space-y-2">
+                ${group.beacons.map(beacon => `
+                    <div class="text-sm border-l-4 ${beacon.issues.some(issue => issue.severity === 'error') ? 'border-red-400' : 'border-green-400'} pl-3">
+                        <div class="text-xs text-gray-500 truncate">${new Date(beacon.startTime).toLocaleTimeString()} &middot; ${escapeHtml(beacon.url)} &middot; ${Object.keys(beacon.attributes).length} attributes</div>
+                        ${beacon.issues.length === 0
+                            ? '<div class="text-green-700">✅ Matches the spec</div>'
+                            : beacon.issues.map(issue => `<div class="${issue.severity === 'error' ? 'text-red-700' : 'text-yellow-700'}">${issue.severity === 'error' ? '❌' : '⚠️'} ${escapeHtml(issue.message)}</div>`).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        </details>
+    `).join('');
+
+    container.innerHTML = summary + `<div class="space-y-3">${groups}</div>`;
+}
+
+/**
+ * Restore the saved spec into the editor
+ */
+function initializeCollectValidator() {
+    const input = document.getElementById('collectSpecJson');
+    if (input && !input.value) {
+        input.value = localStorage.getItem(COLLECT_SPEC_STORAGE_KEY) || JSON.stringify(COLLECT_SPEC_EXAMPLE, null, 2);
+    }
+}
+
+// Expose functions globally for HTML event handlers
+window.runCollectValidation = runCollectValidation;
+window.saveCollectSpec = saveCollectSpec;
+window.loadCollectSpecExample = loadCollectSpecExample;
+window.validateCollectBeacons = validateCollectBeacons;
+window.initializeCollectValidator = initializeCollectValidator;
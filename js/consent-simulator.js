@@ -0,0 +1,511 @@
+/**
+ * Consent Simulator for Tealium Sandbox
+ * Writes CONSENTMGR (Consent Manager, explicit consent) and OPTOUTMULTI (Privacy Manager, opt-out) cookies
+ * per category, optionally mocks the IAB TCF v2.2 __tcfapi and Google Consent Mode, reloads the profile and
+ * reports which tags are allowed or blocked per consent category compared with the previous consent state
+ */
+
+const CONSENT_SIMULATOR_STORAGE_KEY = 'tealium-sandbox-consent-simulator';
+
+/**
+ * Tealium consent categories. A tag's tcat N belongs to category cN.
+ */
+const CONSENT_CATEGORIES = [
+    { id: 'c1', key: 'analytics', name: 'Analytics' },
+    { id: 'c2', key: 'affiliates', name: 'Affiliates' },
+    { id: 'c3', key: 'display_ads', name: 'Display Ads' },
+    { id: 'c4', key: 'email', name: 'Email' },
+    { id: 'c5', key: 'personalization', name: 'Personalization' },
+    { id: 'c6', key: 'search', name: 'Search' },
+    { id: 'c7', key: 'social', name: 'Social' },
+    { id: 'c8', key: 'big_data', name: 'Big Data' },
+    { id: 'c9', key: 'misc', name: 'Misc' },
+    { id: 'c10', key: 'cookiematch', name: 'Cookie Match' },
+    { id: 'c11', key: 'cdp', name: 'CDP' },
+    { id: 'c12', key: 'mobile', name: 'Mobile' },
+    { id: 'c13', key: 'engagement', name: 'Engagement' },
+    { id: 'c14', key: 'monitoring', name: 'Monitoring' },
+    { id: 'c15', key: 'crm', name: 'CRM' }
+];
+
+/**
+ * TCF purposes granted by each Tealium category (purpose 1, storage, follows any consent)
+ */
+const CONSENT_TCF_PURPOSES = {
+    c1: [8, 9, 10],
+    c3: [2, 3, 4, 7],
+    c5: [5, 6, 11]
+};
+
+/**
+ * Google Consent Mode types and the category that grants them
+ */
+const CONSENT_GOOGLE_TYPES = {
+    analytics_storage: 'c1',
+    ad_storage: 'c3',
+    ad_user_data: 'c3',
+    ad_personalization: 'c3',
+    personalization_storage: 'c5',
+    functionality_storage: 'c9'
+};
+
+let consentSimulatorState = {
+    lastConsent: null,
+    lastSnapshot: null,
+    running: false
+};
+
+/**
+ * Category for a tag's tcat value
+ */
+function getConsentCategory(tcat) {
+    if (tcat === undefined || tcat === null || tcat === '' || tcat === 0) return null;
+    return CONSENT_CATEGORIES.find(category => category.id === `c${tcat}` || category.key === tcat) || null;
+}
+
+/**
+ * Read a cookie value by name
+ */
+function readConsentCookie(name) {
+    const match = document.cookie.split(';').map(cookie => cookie.trim()).find(cookie => cookie.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.substring(name.length + 1)) : null;
+}
+
+/**
+ * Categories the visitor currently allows, from CONSENTMGR and OPTOUTMULTI.
+ * Returns null when neither cookie exists (no consent decision recorded).
+ */
+function getConsentedCategories() {
+    const consentCookie = readConsentCookie('CONSENTMGR');
+    const optOutCookie = readConsentCookie('OPTOUTMULTI');
+    if (!consentCookie && !optOutCookie) return null;
+
+    let allowed;
+    if (consentCookie) {
+        const pairs = parseTealiumPipeCookie(consentCookie);
+        allowed = new Set(pairs.consent === 'false'
+            ? []
+            : CONSENT_CATEGORIES.filter(category => pairs[category.id] === '1').map(category => category.id));
+    } else {
+        allowed = new Set(CONSENT_CATEGORIES.map(category => category.id));
+    }
+
+    if (optOutCookie) {
+        const pairs = parseTealiumPipeCookie(optOutCookie);
+        if (pairs['0'] === '1') return new Set();
+        Object.keys(pairs).filter(key => pairs[key] === '1').forEach(key => allowed.delete(key));
+    }
+
+    return allowed;
+}
+
+/**
+ * CONSENTMGR value in the format utag.js writes
+ */
+function buildConsentManagerCookie(consent) {
+    const granted = CONSENT_CATEGORIES.filter(category => consent.categories[category.id]);
+    const parts = [`consent:${granted.length > 0}`, `ts:${Date.now()}`];
+    CONSENT_CATEGORIES.forEach(category => parts.push(`${category.id}:${consent.categories[category.id] ? 1 : 0}`));
+    return parts.join('|');
+}
+
+/**
+ * OPTOUTMULTI value: "0" is the global opt-out, cN:1 opts out of category N
+ */
+function buildOptOutCookie(consent) {
+    const optedOut = CONSENT_CATEGORIES.filter(category => !consent.categories[category.id]);
+    const parts = [`0:${optedOut.length === CONSENT_CATEGORIES.length ? 1 : 0}`];
+    CONSENT_CATEGORIES.forEach(category => parts.push(`${category.id}:${consent.categories[category.id] ? 0 : 1}`));
+    return parts.join('|');
+}
+
+/**
+ * Write (or clear) the consent cookies for a simulated state
+ */
+function writeConsentCookies(consent) {
+    const expires = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toUTCString();
+    const expired = 'Thu, 01 Jan 1970 00:00:00 GMT';
+    const write = (name, value) => {
+        document.cookie = value === null
+            ? `${name}=; path=/; expires=${expired}`
+            : `${name}=${encodeURIComponent(value)}; path=/; expires=${expires}`;
+    };
+
+    write('CONSENTMGR', consent.mode === 'optout' || consent.mode === 'none' ? null : buildConsentManagerCookie(consent));
+    write('OPTOUTMULTI', consent.mode === 'optout' ? buildOptOutCookie(consent) : null);
+}
+
+/**
+ * Install a mock IAB TCF v2.2 CMP API reflecting the simulated state
+ */
+function installMockTcfApi(consent) {
+    const anyConsent = CONSENT_CATEGORIES.some(category => consent.categories[category.id]);
+    const purposes = {};
+    for (let purpose = 1; purpose <= 11; purpose++) purposes[purpose] = false;
+    purposes[1] = anyConsent;
+    Object.entries(CONSENT_TCF_PURPOSES).forEach(([categoryId, ids]) => {
+        ids.forEach(id => { purposes[id] = !!consent.categories[categoryId]; });
+    });
+
+    const tcString = typeof encodeTcString === 'function'
+        ? encodeTcString({ purposeConsents: Object.keys(purposes).filter(id => purposes[id]).map(Number) })
+        : '';
+    const listeners = {};
+    let nextListenerId = 1;
+    const buildTcData = (listenerId) => ({
+        tcString: tcString,
+        tcfPolicyVersion: 4,
+        cmpId: 0,
+        cmpVersion: 1,
+        gdprApplies: true,
+        eventStatus: 'useractioncomplete',
+        cmpStatus: 'loaded',
+        listenerId: listenerId,
+        isServiceSpecific: true,
+        useNonStandardTexts: false,
+        purposeOneTreatment: false,
+        purpose: { consents: { ...purposes }, legitimateInterests: {} },
+        vendor: { consents: {}, legitimateInterests: {} },
+        specialFeatureOptins: {},
+        publisher: { consents: {}, legitimateInterests: {}, customPurpose: { consents: {}, legitimateInterests: {} }, restrictions: {} }
+    });
+
+    window.__tcfapi = function(command, version, callback, parameter) {
+        if (typeof callback !== 'function') return;
+        switch (command) {
+            case 'ping':
+                callback({ gdprApplies: true, cmpLoaded: true, cmpStatus: 'loaded', displayStatus: 'hidden', apiVersion: '2.2', cmpVersion: 1, cmpId: 0, gvlVersion: 0, tcfPolicyVersion: 4 }, true);
+                break;
+            case 'getTCData':
+                callback(buildTcData(undefined), true);
+                break;
+            case 'addEventListener': {
+                const listenerId = nextListenerId++;
+                listeners[listenerId] = callback;
+                callback(buildTcData(listenerId), true);
+                break;
+            }
+            case 'removeEventListener':
+                callback(delete listeners[parameter], true);
+                break;
+            default:
+                callback(null, false);
+        }
+    };
+    window.__tcfapi.mock = true;
+}
+
+/**
+ * Push a Google Consent Mode update (gtag('consent', 'update', ...)) reflecting the simulated state
+ */
+function applyMockGoogleConsentMode(consent) {
+    const state = {};
+    Object.entries(CONSENT_GOOGLE_TYPES).forEach(([type, categoryId]) => {
+        state[type] = consent.categories[categoryId] ? 'granted' : 'denied';
+    });
+    state.security_storage = 'granted';
+
+    window.dataLayer = window.dataLayer || [];
+    if (typeof window.gtag !== 'function') {
+        window.gtag = function() { window.dataLayer.push(arguments); };
+    }
+    window.gtag('consent', 'update', state);
+    return state;
+}
+
+/**
+ * Record every tag's consent category and whether it loaded for the current consent state
+ */
+function snapshotConsentTagState() {
+    const utag = window.utag;
+    if (!utag || !utag.loader || !utag.loader.cfg) return null;
+
+    const consented = getConsentedCategories();
+    const mockTags = utag.mock?.definition?.tags || [];
+
+    return Object.keys(utag.loader.cfg)
+        .filter(uid => !isNaN(parseInt(uid)) && uid.length < 5)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .map(uid => {
+            const tagCfg = utag.loader.cfg[uid];
+            const category = getConsentCategory(tagCfg.tcat);
+            const mockTag = mockTags.find(tag => String(tag.uid) === uid);
+
+            // The mock runtime reports blocked tags; with utag.js a consent-blocked tag never gets a sender
+            let status;
+            if (!tagCfg.load) {
+                status = 'not-loaded';
+            } else if (utag.mock) {
+                status = (utag.mock.blocked || []).includes(uid) ? 'blocked' : 'allowed';
+            } else {
+                status = utag.sender && utag.sender[uid] ? 'allowed' : 'blocked';
+            }
+
+            return {
+                uid: uid,
+                name: (mockTag && mockTag.name) || tagCfg.name || tagCfg.title || `Tag ${uid}`,
+                category: category ? category.id : null,
+                categoryName: category ? category.name : 'Uncategorized',
+                expected: !category || !consented || consented.has(category.id) ? 'allowed' : 'blocked',
+                status: status
+            };
+        });
+}
+
+/**
+ * Compare two tag snapshots and group the outcome by consent category
+ */
+function compareConsentSnapshots(before, after) {
+    const previous = {};
+    (before || []).forEach(tag => { previous[tag.uid] = tag; });
+
+    const groups = {};
+    after.forEach(tag => {
+        const key = tag.category || 'none';
+        if (!groups[key]) groups[key] = { category: tag.category, name: tag.categoryName, tags: [] };
+
+        const was = previous[tag.uid] ? previous[tag.uid].status : null;
+        groups[key].tags.push(Object.assign({}, tag, {
+            previousStatus: was,
+            changed: was !== null && was !== tag.status,
+            unexpected: tag.status !== 'not-loaded' && tag.status !== tag.expected
+        }));
+    });
+
+    return Object.values(groups).sort((a, b) => (a.category ? parseInt(a.category.substring(1)) : 99) - (b.category ? parseInt(b.category.substring(1)) : 99));
+}
+
+/**
+ * Reload the current profile (mock or utag.js) and resolve once it has loaded
+ */
+function reloadProfileForConsent() {
+    return new Promise((resolve, reject) => {
+        const utag = window.utag;
+        const timeout = setTimeout(() => {
+            window.removeEventListener('tealiumLoaded', onLoaded);
+            reject(new Error('Timed out waiting for the profile to reload'));
+        }, 20000);
+
+        function onLoaded() {
+            clearTimeout(timeout);
+            window.removeEventListener('tealiumLoaded', onLoaded);
+            // Give tags time to load and send after the initial view
+            setTimeout(resolve, 1500);
+        }
+        window.addEventListener('tealiumLoaded', onLoaded);
+
+        if (utag && utag.mock) {
+            loadMockTealium(utag.mock.definition);
+            return;
+        }
+
+        const match = String(utag?.cfg?.path || '').match(/utag\/([^/]+)\/([^/]+)\/([^/]+)\/?$/);
+        if (match) {
+            loadTealiumWithParams(match[1], match[2], match[3]);
+        } else {
+            loadTealium();
+        }
+    });
+}
+
+/**
+ * Read the simulator form
+ */
+function getConsentSimulatorForm() {
+    const categories = {};
+    CONSENT_CATEGORIES.forEach(category => {
+        const input = document.getElementById(`consentCategory_${category.id}`);
+        categories[category.id] = !!(input && input.checked);
+    });
+
+    return {
+        mode: document.getElementById('consentSimulatorMode')?.value || 'consent',
+        tcf: !!document.getElementById('consentSimulatorTcf')?.checked,
+        googleConsentMode: !!document.getElementById('consentSimulatorGcm')?.checked,
+        categories: categories
+    };
+}
+
+/**
+ * Apply the simulated consent, reload the profile and report the tag changes
+ */
+async function runConsentSimulation(consent = getConsentSimulatorForm()) {
+    if (consentSimulatorState.running) return null;
+    if (!window.utag || !window.utag.loader) {
+        showToast('Load Tealium (or the mock profile) before simulating consent', 'error');
+        return null;
+    }
+
+    consentSimulatorState.running = true;
+    renderConsentSimulation(null, 'Applying consent and reloading the profile...');
+
+    const before = consentSimulatorState.lastSnapshot || snapshotConsentTagState();
+    const previousConsent = consentSimulatorState.lastConsent;
+
+    writeConsentCookies(consent);
+    if (consent.tcf) {
+        installMockTcfApi(consent);
+    } else if (window.__tcfapi && window.__tcfapi.mock) {
+        delete window.__tcfapi;
+    }
+    const googleConsent = consent.googleConsentMode ? applyMockGoogleConsentMode(consent) : null;
+    localStorage.setItem(CONSENT_SIMULATOR_STORAGE_KEY, JSON.stringify(consent));
+
+    try {
+        await reloadProfileForConsent();
+    } catch (error) {
+        consentSimulatorState.running = false;
+        renderConsentSimulation(null, error.message);
+        showToast(error.message, 'error');
+        return null;
+    }
+
+    const after = snapshotConsentTagState() || [];
+    const result = {
+        consent: consent,
+        previousConsent: previousConsent,
+        googleConsent: googleConsent,
+        groups: compareConsentSnapshots(before, after),
+        summary: {
+            allowed: after.filter(tag => tag.status === 'allowed').length,
+            blocked: after.filter(tag => tag.status === 'blocked').length,
+            changed: 0
+        },
+        simulatedAt: new Date().toISOString()
+    };
+    result.summary.changed = result.groups.reduce((sum, group) => sum + group.tags.filter(tag => tag.changed).length, 0);
+
+    consentSimulatorState.lastSnapshot = after;
+    consentSimulatorState.lastConsent = consent;
+    consentSimulatorState.running = false;
+    window.consentSimulationResult = result;
+
+    renderConsentSimulation(result);
+    if (typeof analyzeTealiumCookies === 'function') analyzeTealiumCookies();
+
+    logEvent('CONSENT_SIMULATION', `Consent simulated (${consent.mode}): ${result.summary.allowed} allowed, ${result.summary.blocked} blocked`, result.summary);
+    showToast(`${result.summary.allowed} tag(s) allowed, ${result.summary.blocked} blocked, ${result.summary.changed} changed`, 'success');
+    return result;
+}
+
+/**
+ * Tick every category, or none
+ */
+function setAllConsentCategories(checked) {
+    CONSENT_CATEGORIES.forEach(category => {
+        const input = document.getElementById(`consentCategory_${category.id}`);
+        if (input) input.checked = checked;
+    });
+}
+
+/**
+ * Remove the simulated cookies and mocks
+ */
+function clearConsentSimulation() {
+    writeConsentCookies({ mode: 'none', categories: {} });
+    if (window.__tcfapi && window.__tcfapi.mock) delete window.__tcfapi;
+    localStorage.removeItem(CONSENT_SIMULATOR_STORAGE_KEY);
+    consentSimulatorState.lastConsent = null;
+    consentSimulatorState.lastSnapshot = null;
+    renderConsentSimulation(null, 'Consent cookies cleared. Reload the profile to see tags without a consent decision.');
+    showToast('CONSENTMGR and OPTOUTMULTI cleared', 'info');
+}
+
+/**
+ * Render the comparison by consent category
+ */
+function renderConsentSimulation(result, message) {
+    const container = document.getElementById('consentSimulatorResults');
+    if (!container) return;
+
+    if (!result) {
+        container.innerHTML = `<div class="text-sm text-gray-500">${escapeHtml(message || '')}</div>`;
+        return;
+    }
+
+    const statusBadge = (status) => {
+        const classes = { allowed: 'bg-green-100 text-green-800', blocked: 'bg-red-100 text-red-800', 'not-loaded': 'bg-gray-100 text-gray-600' };
+        return `<span class="text-xs px-2 py-0.5 rounded ${classes[status] || classes['not-loaded']}">${escapeHtml(status || 'n/a')}</span>`;
+    };
+
+    container.innerHTML = `
+        <div class="grid grid-cols-3 gap-3 mb-4">
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-green-600">${result.summary.allowed}</div>
+                <div class="text-xs text-gray-500">Allowed</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-red-600">${result.summary.blocked}</div>
+                <div class="text-xs text-gray-500">Blocked</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-orange-600">${result.summary.changed}</div>
+                <div class="text-xs text-gray-500">Changed vs previous</div>
+            </div>
+        </div>
+        ${result.googleConsent ? `<div class="text-xs text-gray-500 mb-3">Google Consent Mode: ${Object.entries(result.googleConsent).map(([type, value]) => `${escapeHtml(type)}=${value}`).join(', ')}</div>` : ''}
+        <div class="space-y-3">
+            ${result.groups.map(group => `
+                <div class="border border-gray-200 rounded-lg p-3">
+                    <div class="flex items-center justify-between mb-2">
+                        <span class="font-medium text-gray-900">${escapeHtml(group.name)}${group.category ? ` <span class="text-xs text-gray-500">(${group.category})</span>` : ''}</span>
+                        ${group.category ? (result.consent.categories[group.category] ? '<span class="text-xs text-green-700">Consented</span>' : '<span class="text-xs text-red-700">Not consented</span>') : ''}
+                    </div>
+                    ${group.tags.map(tag => `
+                        <div class="flex items-center justify-between text-sm py-1 ${tag.changed ? 'bg-orange-50 -mx-1 px-1 rounded' : ''}">
+                            <span class="text-gray-700">${escapeHtml(tag.name)} <span class="text-xs text-gray-400">#${tag.uid}</span></span>
+                            <span class="space-x-1">
+                                ${tag.previousStatus && tag.changed ? `${statusBadge(tag.previousStatus)} →` : ''}
+                                ${statusBadge(tag.status)}
+                                ${tag.unexpected ? `<span class="text-xs text-yellow-700" title="Consent state says ${tag.expected}">⚠️ expected ${tag.expected}</span>` : ''}
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Build the category checkboxes and restore the last simulated state
+ */
+function initializeConsentSimulator() {
+    const container = document.getElementById('consentCategoryOptions');
+    if (!container) return;
+
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(CONSENT_SIMULATOR_STORAGE_KEY) || 'null');
+    } catch (error) {
+        saved = null;
+    }
+
+    container.innerHTML = CONSENT_CATEGORIES.map(category => `
+        <label class="flex items-center text-sm text-gray-700">
+            <input type="checkbox" id="consentCategory_${category.id}" ${!saved || saved.categories[category.id] ? 'checked' : ''}
+                   class="rounded border-gray-300 text-green-600 focus:ring-green-500">
+            <span class="ml-2">${category.name} <span class="text-xs text-gray-400">${category.id}</span></span>
+        </label>
+    `).join('');
+
+    if (saved) {
+        const mode = document.getElementById('consentSimulatorMode');
+        const tcf = document.getElementById('consentSimulatorTcf');
+        const gcm = document.getElementById('consentSimulatorGcm');
+        if (mode) mode.value = saved.mode;
+        if (tcf) tcf.checked = saved.tcf;
+        if (gcm) gcm.checked = saved.googleConsentMode;
+    }
+
+    if (consentSimulatorState.lastConsent && window.consentSimulationResult) {
+        renderConsentSimulation(window.consentSimulationResult);
+    }
+}
+
+// Expose functions globally for HTML event handlers
+window.runConsentSimulation = runConsentSimulation;
+window.setAllConsentCategories = setAllConsentCategories;
+window.clearConsentSimulation = clearConsentSimulation;
+window.initializeConsentSimulator = initializeConsentSimulator;
+window.getConsentedCategories = getConsentedCategories;
@@ -0,0 +1,451 @@
+/**
+ * utag_main Cookie Editor for Tealium Sandbox
+ * Edits, adds and expires individual utag_main components - the split utag_main_* cookies (v4.50+) or the
+ * legacy multi-value utag_main cookie - and simulates visitor states (new visitor, new session, returning
+ * visitor) so session-based load rules can be tested without clearing browser data. Time travel shifts the
+ * utag_main timestamps to advance the visitor clock and re-evaluates load rules for the next event.
+ * Changes are picked up by utag.js (and the mock runtime) on the next utag.view/utag.link.
+ */
+
+const UTAG_MAIN_COOKIE_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Components utag.js resets when a new session starts
+ */
+const UTAG_MAIN_SESSION_KEYS = ['ses_id', '_pn', '_ss', '_se'];
+
+let utagMainTimeTravelState = {
+    offset: 0,
+    lastResult: null
+};
+
+/**
+ * Split a component value from its expiry marker (";exp-session" or ";exp-<timestamp>")
+ */
+function splitUtagMainExpiry(raw) {
+    const match = String(raw).match(/^(.*?);exp-(session|\d+)$/);
+    if (!match) return { value: String(raw), expiry: null };
+    return { value: match[1], expiry: match[2] === 'session' ? 'session' : parseInt(match[2]) };
+}
+
+/**
+ * Append an expiry marker to a component value
+ */
+function joinUtagMainExpiry(value, expiry) {
+    return expiry ? `${value};exp-${expiry}` : String(value);
+}
+
+/**
+ * Read the utag_main components from document.cookie
+ */
+function readUtagMainCookies() {
+    const entries = {};
+    let format = 'none';
+
+    document.cookie.split(';').forEach(cookie => {
+        const [name, ...rest] = cookie.trim().split('=');
+        const raw = rest.join('=');
+        if (!name) return;
+
+        if (name.startsWith('utag_main_')) {
+            format = 'split';
+            entries[name.substring(10)] = splitUtagMainExpiry(decodeURIComponent(raw));
+        } else if (name === 'utag_main') {
+            if (format === 'none') format = 'legacy';
+            // v_id:0190...$_sn:3$ses_id:1700000000000%3Bexp-session
+            raw.split('$').forEach(part => {
+                const index = part.indexOf(':');
+                if (index > 0 && !entries[part.substring(0, index)]) {
+                    entries[part.substring(0, index)] = splitUtagMainExpiry(decodeURIComponent(part.substring(index + 1)));
+                }
+            });
+        }
+    });
+
+    return { format, entries };
+}
+
+/**
+ * Cookie attributes matching the ones utag.js uses (utag.cfg.domain when set)
+ */
+function getUtagMainCookieAttributes(expires) {
+    const domain = window.utag && window.utag.cfg && window.utag.cfg.domain;
+    return `path=/; expires=${new Date(expires).toUTCString()}${domain ? `; domain=${domain}` : ''}`;
+}
+
+/**
+ * Write the components back in the format the browser currently uses
+ */
+function writeUtagMainCookies(entries, format) {
+    const now = Date.now();
+
+    if (format === 'legacy') {
+        const value = Object.entries(entries)
+            .map(([key, entry]) => `${key}:${joinUtagMainExpiry(entry.value, entry.expiry).replace(/;/g, '%3B')}`)
+            .join('$');
+        document.cookie = value
+            ? `utag_main=${value}; ${getUtagMainCookieAttributes(now + UTAG_MAIN_COOKIE_YEAR)}`
+            : `utag_main=; ${getUtagMainCookieAttributes(0)}`;
+    } else {
+        Object.entries(entries).forEach(([key, entry]) => {
+            const expires = typeof entry.expiry === 'number' ? entry.expiry : now + UTAG_MAIN_COOKIE_YEAR;
+            document.cookie = `utag_main_${key}=${encodeURIComponent(joinUtagMainExpiry(entry.value, entry.expiry))}; ${getUtagMainCookieAttributes(expires)}`;
+        });
+    }
+
+    // Keep the loaded data layer in step so load rules see the change before the next event
+    if (window.utag && window.utag.data) {
+        Object.entries(entries).forEach(([key, entry]) => { window.utag.data[`cp.utag_main_${key}`] = entry.value; });
+    }
+}
+
+/**
+ * Expire components - deletes the split cookie (with and without the utag.cfg domain) or drops it from the legacy cookie
+ */
+function expireUtagMainComponents(keys) {
+    const { format, entries } = readUtagMainCookies();
+
+    keys.forEach(key => {
+        document.cookie = `utag_main_${key}=; ${getUtagMainCookieAttributes(0)}`;
+        document.cookie = `utag_main_${key}=; path=/; expires=${new Date(0).toUTCString()}`;
+        delete entries[key];
+        if (window.utag && window.utag.data) delete window.utag.data[`cp.utag_main_${key}`];
+    });
+
+    if (format === 'legacy') writeUtagMainCookies(entries, 'legacy');
+}
+
+/**
+ * Set one component, keeping its expiry marker unless a new one is given
+ */
+function setUtagMainValue(key, value, expiry) {
+    if (!/^[\w.-]+$/.test(key)) {
+        showToast('Component names may only contain letters, numbers, _ . and -', 'error');
+        return false;
+    }
+
+    const { format, entries } = readUtagMainCookies();
+    const current = entries[key];
+    const entry = {
+        value: String(value),
+        expiry: expiry !== undefined ? expiry : (current ? current.expiry : null)
+    };
+
+    if (format === 'legacy') {
+        entries[key] = entry;
+        writeUtagMainCookies(entries, 'legacy');
+    } else {
+        writeUtagMainCookies({ [key]: entry }, 'split');
+    }
+
+    logEvent('COOKIE_EDIT', `utag_main ${key} set to "${value}"`, { key, value, expiry: entry.expiry });
+    return true;
+}
+
+/**
+ * Save the value typed in an editor row
+ */
+function saveUtagMainValue(key) {
+    const input = document.querySelector(`[data-utag-main-key="${key}"]`);
+    if (!input) return;
+
+    if (setUtagMainValue(key, input.value)) {
+        showToast(`utag_main ${key} updated`, 'success');
+        refreshUtagMainEditor();
+    }
+}
+
+/**
+ * Expire a single component from its editor row
+ */
+function expireUtagMainValue(key) {
+    expireUtagMainComponents([key]);
+    logEvent('COOKIE_EDIT', `utag_main ${key} expired`, { key });
+    showToast(`utag_main ${key} expired`, 'success');
+    refreshUtagMainEditor();
+}
+
+/**
+ * Add a custom component (as a Persist Data Values extension would)
+ */
+function addUtagMainValue() {
+    const keyInput = document.getElementById('utagMainNewKey');
+    const valueInput = document.getElementById('utagMainNewValue');
+    const expiryInput = document.getElementById('utagMainNewExpiry');
+    const key = keyInput ? keyInput.value.trim() : '';
+    if (!key) {
+        showToast('Enter a component name', 'warning');
+        return;
+    }
+
+    const expiry = expiryInput && expiryInput.value === 'session' ? 'session' : null;
+    if (setUtagMainValue(key, valueInput ? valueInput.value : '', expiry)) {
+        keyInput.value = '';
+        if (valueInput) valueInput.value = '';
+        showToast(`utag_main ${key} added`, 'success');
+        refreshUtagMainEditor();
+    }
+}
+
+/**
+ * Simulate a visitor state for the next event:
+ * - visitor: expire everything, so the next event creates a new v_id and session 1
+ * - session: keep the visitor, expire the session so the next event starts a new one (_sn + 1, _ss = 1)
+ * - returning: as session, but with at least one previous session so the next one is _sn >= 2
+ */
+function simulateUtagMainState(state) {
+    const { entries } = readUtagMainCookies();
+    const now = Date.now();
+
+    if (state === 'visitor') {
+        expireUtagMainComponents(Object.keys(entries));
+    } else if (state === 'session' || state === 'returning') {
+        expireUtagMainComponents(UTAG_MAIN_SESSION_KEYS.filter(key => entries[key]));
+        if (state === 'returning') {
+            if (!entries.v_id) {
+                setUtagMainValue('v_id', now.toString(16) + Math.random().toString(16).substring(2, 14));
+            }
+            setUtagMainValue('_sn', String(Math.max(parseInt(entries._sn && entries._sn.value) || 0, 1)));
+        }
+        // A session timeout in the past is what utag.js checks for a new session
+        setUtagMainValue('_st', String(now - 1000));
+    } else {
+        return;
+    }
+
+    const labels = { visitor: 'New visitor', session: 'New session', returning: 'Returning visitor' };
+    logEvent('COOKIE_STATE', `${labels[state]} state applied to utag_main`, { state });
+    showToast(`${labels[state]} - applies on the next utag.view/utag.link`, 'success');
+    refreshUtagMainEditor();
+}
+
+/**
+ * Describe an expiry marker
+ */
+function describeUtagMainExpiry(expiry) {
+    if (expiry === 'session') return 'session';
+    if (typeof expiry === 'number') return new Date(expiry).toLocaleString();
+    return 'persistent';
+}
+
+/**
+ * Refresh the cookie list, which re-renders the editor
+ */
+function refreshUtagMainEditor() {
+    if (typeof analyzeTealiumCookies === 'function') {
+        analyzeTealiumCookies();
+    } else {
+        renderUtagMainEditor();
+    }
+}
+
+/**
+ * Render one editable row per utag_main component
+ */
+function renderUtagMainEditor() {
+    const container = document.getElementById('utagMainEditor');
+    if (!container) return;
+
+    const { format, entries } = readUtagMainCookies();
+    const formatLabel = document.getElementById('utagMainFormat');
+    if (formatLabel) {
+        formatLabel.textContent = { split: 'utag_main_* cookies', legacy: 'legacy utag_main cookie', none: 'no utag_main cookies' }[format];
+    }
+
+    const keys = Object.keys(entries).sort();
+    if (keys.length === 0) {
+        container.innerHTML = '<div class="text-gray-500 text-sm">No utag_main components set. Fire an event or add one below.</div>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="space-y-2">
+            ${keys.map(key => {
+                const entry = entries[key];
+                const hint = typeof parseUtagMainValue === 'function' ? parseUtagMainValue(key, entry.value) : entry.value;
+                return `
+                    <div class="flex items-center gap-2 text-sm">
+                        <span class="w-28 font-mono text-gray-800 truncate" title="${escapeHtml(typeof getUtagMainDescription === 'function' ? getUtagMainDescription(key) : key)}">${escapeHtml(key)}</span>
+                        <input type="text" data-utag-main-key="${escapeHtml(key)}" value="${escapeHtml(entry.value)}" class="flex-1 px-2 py-1 border border-gray-300 rounded font-mono text-xs focus:ring-blue-500 focus:border-blue-500">
+                        <span class="w-40 text-xs text-gray-500 truncate" title="${escapeHtml(String(hint))}">${escapeHtml(String(hint) === entry.value ? describeUtagMainExpiry(entry.expiry) : String(hint))}</span>
+                        <button onclick="saveUtagMainValue('${escapeHtml(key)}')" class="text-xs text-blue-600 hover:text-blue-700" title="Save"><i class="fas fa-save"></i></button>
+                        <button onclick="expireUtagMainValue('${escapeHtml(key)}')" class="text-xs text-red-600 hover:text-red-700" title="Expire"><i class="fas fa-trash"></i></button>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * What utag.js would set on the next event at the given time (new session when _st has passed)
+ */
+function predictUtagMainNextEvent(entries, now, isView = true) {
+    const value = (key) => entries[key] ? entries[key].value : undefined;
+    const timeout = (window.utag && window.utag.cfg && window.utag.cfg.session_timeout) || 1800000;
+    const newSession = !value('_st') || parseInt(value('_st')) < now;
+
+    return {
+        newSession: newSession,
+        values: {
+            _sn: String(newSession ? (parseInt(value('_sn')) || 0) + 1 : (parseInt(value('_sn')) || 1)),
+            _ss: newSession ? '1' : '0',
+            _pn: String((newSession ? 0 : parseInt(value('_pn')) || 0) + (isView ? 1 : 0)),
+            _se: String((newSession ? 0 : parseInt(value('_se')) || 0) + 1),
+            ses_id: newSession ? String(now) : value('ses_id'),
+            _st: String(now + timeout)
+        },
+        // Components marked ;exp-session are dropped when a new session starts
+        dropped: newSession ? Object.keys(entries).filter(key => entries[key].expiry === 'session' && !UTAG_MAIN_SESSION_KEYS.includes(key)) : [],
+        expired: Object.keys(entries).filter(key => typeof entries[key].expiry === 'number' && entries[key].expiry < now)
+    };
+}
+
+/**
+ * Move the visitor forward in time by shifting the utag_main timestamps (_st, ses_id and ;exp-<timestamp>
+ * markers) back, then compare the next event and its load rules before and after
+ */
+function timeTravelUtagMain(minutes) {
+    const offset = Math.round(parseFloat(minutes) * 60000);
+    if (!offset || offset < 0) {
+        showToast('Enter a number of minutes to advance', 'warning');
+        return null;
+    }
+
+    const { format, entries } = readUtagMainCookies();
+    if (format === 'none') {
+        showToast('No utag_main cookies yet - fire an event first', 'warning');
+        return null;
+    }
+
+    const now = Date.now();
+    const before = predictUtagMainNextEvent(entries, now);
+
+    ['_st', 'ses_id'].forEach(key => {
+        if (entries[key] && /^\d+$/.test(entries[key].value)) {
+            entries[key].value = String(parseInt(entries[key].value) - offset);
+        }
+    });
+    Object.values(entries).forEach(entry => {
+        if (typeof entry.expiry === 'number') entry.expiry -= offset;
+    });
+    writeUtagMainCookies(entries, format);
+
+    const after = predictUtagMainNextEvent(entries, now);
+    utagMainTimeTravelState.offset += offset;
+
+    // Load rules as they would evaluate on the next event: the live utag.data with only the utag_main values changed
+    let loadRules = null;
+    if (typeof simulateLoadRules === 'function' && window.utag && window.utag.loader && typeof window.utag.loader.loadrules === 'function') {
+        const predicted = {};
+        Object.entries(after.values).forEach(([key, value]) => { predicted[`cp.utag_main_${key}`] = value; });
+        after.dropped.concat(after.expired).forEach(key => { predicted[`cp.utag_main_${key}`] = undefined; });
+        try {
+            loadRules = simulateLoadRules({ ...window.utag.data, ...predicted });
+        } catch (error) {
+            loadRules = { error: error.message };
+        }
+    }
+
+    const result = { minutes: offset / 60000, totalMinutes: utagMainTimeTravelState.offset / 60000, before, after, loadRules };
+    utagMainTimeTravelState.lastResult = result;
+
+    logEvent('TIME_TRAVEL', `Advanced the visitor clock ${formatTimeTravelMinutes(result.minutes)}`, {
+        newSession: after.newSession,
+        rulesChanged: loadRules && loadRules.summary ? loadRules.summary.rulesChanged : null
+    });
+    refreshUtagMainEditor();
+    renderUtagMainTimeTravel(result);
+
+    if (document.getElementById('utagMainTimeTravelView')?.checked && window.utag && typeof window.utag.view === 'function') {
+        window.utag.view(window.utag_data || {});
+        setTimeout(refreshUtagMainEditor, 500);
+    }
+    return result;
+}
+
+/**
+ * Advance by the minutes entered in the form
+ */
+function timeTravelUtagMainFromForm() {
+    const input = document.getElementById('utagMainTimeTravelMinutes');
+    return timeTravelUtagMain(input ? input.value : 0);
+}
+
+/**
+ * "90 min" / "1 day 2 h"
+ */
+function formatTimeTravelMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const rest = Math.round(minutes % 60);
+    return [days && `${days} day${days > 1 ? 's' : ''}`, hours && `${hours} h`, rest && `${rest} min`].filter(Boolean).join(' ');
+}
+
+/**
+ * Show the next-event comparison and the load rules that change
+ */
+function renderUtagMainTimeTravel(result) {
+    const container = document.getElementById('utagMainTimeTravelResults');
+    if (!container) return;
+
+    const keys = Object.keys(result.after.values);
+    const changedRules = result.loadRules && result.loadRules.rules ? result.loadRules.rules.filter(rule => rule.changed) : [];
+    const changedTags = result.loadRules && result.loadRules.tags ? result.loadRules.tags.filter(tag => tag.changed) : [];
+    const stable = ['_st', 'ses_id'];
+    const display = (key, value) => value === undefined ? '-' : String(stable.includes(key) ? parseUtagMainValue(key, value) : value);
+
+    container.innerHTML = `
+        <div class="text-sm text-gray-700 mb-2">
+            Advanced <strong>${formatTimeTravelMinutes(result.minutes)}</strong> (total ${formatTimeTravelMinutes(result.totalMinutes)}).
+            ${result.after.newSession
+                ? '<span class="text-orange-700 font-medium">The next event starts a new session.</span>'
+                : '<span class="text-green-700">The next event continues the session.</span>'}
+        </div>
+        <table class="w-full text-xs mb-3">
+            <thead><tr class="text-left text-gray-500"><th class="py-1">Next event</th><th>Without time travel</th><th>After time travel</th></tr></thead>
+            <tbody>
+                ${keys.map(key => {
+                    const beforeValue = result.before.values[key];
+                    const afterValue = result.after.values[key];
+                    const changed = !stable.includes(key) && beforeValue !== afterValue;
+                    return `
+                        <tr class="${changed ? 'bg-yellow-50' : ''}">
+                            <td class="py-1 font-mono">${key}</td>
+                            <td class="font-mono">${escapeHtml(display(key, beforeValue))}</td>
+                            <td class="font-mono ${changed ? 'font-semibold text-yellow-800' : ''}">${escapeHtml(display(key, afterValue))}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+        ${result.after.dropped.length || result.after.expired.length ? `
+            <div class="text-xs text-gray-600 mb-3">Dropped on the next event: <span class="font-mono">${escapeHtml(result.after.dropped.concat(result.after.expired).join(', '))}</span></div>
+        ` : ''}
+        ${!result.loadRules ? '<div class="text-xs text-gray-500">Load a profile to re-evaluate load rules.</div>'
+            : result.loadRules.error ? `<div class="text-xs text-red-600">${escapeHtml(result.loadRules.error)}</div>`
+            : changedRules.length === 0 ? '<div class="text-xs text-gray-500">No load rules change.</div>' : `
+                <div class="text-xs space-y-1">
+                    ${changedRules.map(rule => `
+                        <div>Load rule <strong>${escapeHtml(rule.title)}</strong>: ${rule.current ? 'true' : 'false'} → <span class="${rule.simulated ? 'text-green-700' : 'text-red-700'} font-medium">${rule.simulated ? 'true' : 'false'}</span></div>
+                    `).join('')}
+                    ${changedTags.map(tag => `
+                        <div>Tag <strong>${escapeHtml(tag.name)}</strong> (${tag.uid}) ${tag.simulated ? '<span class="text-green-700">would load</span>' : '<span class="text-red-700">would not load</span>'}</div>
+                    `).join('')}
+                </div>
+            `}
+    `;
+}
+
+// Expose functions globally for HTML event handlers
+window.readUtagMainCookies = readUtagMainCookies;
+window.setUtagMainValue = setUtagMainValue;
+window.saveUtagMainValue = saveUtagMainValue;
+window.expireUtagMainValue = expireUtagMainValue;
+window.addUtagMainValue = addUtagMainValue;
+window.simulateUtagMainState = simulateUtagMainState;
+window.refreshUtagMainEditor = refreshUtagMainEditor;
+window.renderUtagMainEditor = renderUtagMainEditor;
+window.timeTravelUtagMain = timeTravelUtagMain;
+window.timeTravelUtagMainFromForm = timeTravelUtagMainFromForm;
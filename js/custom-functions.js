@@ -9,6 +9,8 @@
  * 2. Use descriptive function names with prefixes like: agent_, custom_, test_, debug_
  * 3. Add comments explaining what each function does
  * 4. Functions have access to all sandbox globals: utag_data, utag, logEvent, showToast
+ * 5. Register vendor decoders for your own endpoints with registerVendorDecoder() (see below)
+ * 6. Add per-event rule types with registerEventRuleType() (see below)
  * 
  * EXAMPLES PROVIDED:
  * - Custom data layer scenarios
@@ -403,6 +405,51 @@ function debug_customDebug() {
     showToast('Check console for custom debug output', 'info');
 }
 
+// ============================================================================
+// CUSTOM VENDOR DECODERS
+// ============================================================================
+
+/**
+ * Decoders tell the network panel how to recognise and read a vendor's requests.
+ * Custom decoders are checked before the built-in ones (GA4, Adobe, Meta, Tealium Collect),
+ * so registering an existing id such as 'ga4' replaces that decoder.
+ * 
+ * registerVendorDecoder({
+ *     id: 'acme-pixel',
+ *     name: 'Acme Pixel',
+ *     vendor: 'Acme',
+ *     match: /pixel\.acme\.com\/p\.gif/,
+ *     parameters: {
+ *         aid: { name: 'Account ID', category: 'Technical' },
+ *         evt: { name: 'Event name', category: 'Event' }
+ *     },
+ *     patterns: [
+ *         { pattern: /^x_(.+)$/, name: 'Custom field: $1', category: 'Custom' }
+ *     ],
+ *     // Optional: unpack payloads, e.g. a base64 JSON "d" parameter
+ *     decode: (request, params) => params.flatMap(param => param.key === 'd'
+ *         ? Object.entries(JSON.parse(atob(param.value))).map(([key, value]) => ({ key, value: String(value), source: 'payload' }))
+ *         : [param])
+ * });
+ */
+
+// ============================================================================
+// CUSTOM EVENT RULE TYPES
+// ============================================================================
+
+/**
+ * Rule types used by the Per-Event Rules editor in the Events section.
+ * A check receives the rule, the event data and { eventType, eventName } and
+ * returns an error message, or null when the event passes.
+ * 
+ * registerEventRuleType('maxItems', (rule, data) =>
+ *     Array.isArray(data[rule.field]) && data[rule.field].length > rule.max
+ *         ? `${rule.field} has more than ${rule.max} items`
+ *         : null);
+ * 
+ * Then in the rules JSON: { "cart_add": [{ "rule": "maxItems", "field": "product_id", "max": 50 }] }
+ */
+
 // ============================================================================
 // FUNCTION REGISTRY (for UI integration)
 // ============================================================================
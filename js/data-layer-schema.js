@@ -0,0 +1,384 @@
+/**
+ * Data Layer Schema Validation for Tealium Sandbox
+ * Loads a client's data layer specification (JSON Schema or a variable/type/required/allowed values/page types CSV)
+ * and validates utag.data against the schemas selected by page_type and tealium_event
+ */
+
+const DATA_LAYER_SCHEMA_STORAGE_KEY = 'tealium-sandbox-data-layer-schema';
+
+/**
+ * Keys that Tealium or the browser add on its own; additionalProperties: false never flags these
+ */
+const SCHEMA_SYSTEM_KEY_PATTERN = /^(dom|meta|js_page|ut|va|cp|qp|ls|ss)\.|^tealium_|^_c/;
+
+/**
+ * Parse CSV text into rows of cells (quoted fields, escaped quotes and CRLF supported)
+ */
+function parseCsvText(text) {
+    // Semicolon-separated exports (Excel in some locales) are detected from the header row
+    const header = text.split(/\r?\n/)[0];
+    const delimiter = !header.includes(',') && header.includes(';') ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Turn CSV rows into objects keyed by normalised header names (lowercase, underscores)
+ */
+function csvRowsToObjects(rows) {
+    if (rows.length < 2) return [];
+
+    const headers = rows[0].map(header => header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+    return rows.slice(1).map(cells => {
+        const record = {};
+        headers.forEach((header, index) => { record[header] = cells[index] || ''; });
+        return record;
+    });
+}
+
+/**
+ * Split a list cell ("a|b|c", "a; b" or "a, b")
+ */
+function splitSchemaList(value) {
+    if (!value) return [];
+    const separator = value.includes('|') ? '|' : value.includes(';') ? ';' : ',';
+    return value.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * JSON Schema for one CSV row's type and allowed values
+ */
+function buildCsvPropertySchema(type, allowed) {
+    const normalisedType = (type || '').toLowerCase();
+    let schema;
+
+    if (normalisedType === 'number' || normalisedType === 'integer') {
+        // utag_data values are usually strings, so numeric strings are accepted too
+        schema = { anyOf: [{ type: normalisedType }, { type: 'string', pattern: normalisedType === 'integer' ? '^-?\\d+$' : '^-?\\d+(\\.\\d+)?$' }] };
+    } else if (normalisedType === 'boolean') {
+        schema = { anyOf: [{ type: 'boolean' }, { enum: ['true', 'false'] }] };
+    } else if (normalisedType === 'array') {
+        schema = { type: 'array' };
+    } else if (['string', 'object'].includes(normalisedType)) {
+        schema = { type: normalisedType };
+    } else {
+        schema = {};
+    }
+
+    if (allowed.length > 0) {
+        if (schema.type === 'array') {
+            schema.items = { enum: allowed };
+        } else {
+            schema.enum = allowed;
+        }
+    }
+
+    return schema;
+}
+
+/**
+ * Convert a spec CSV (variable, type, required, allowed values, page types and optionally tealium events)
+ * into the scoped schema set used for JSON Schema specs
+ */
+function convertCsvToSchemaSet(text) {
+    const records = csvRowsToObjects(parseCsvText(text));
+    const schemaSet = { default: { type: 'object', properties: {}, required: [] }, page_type: {}, tealium_event: {} };
+
+    const scopeSchema = (scope, value) => {
+        if (!schemaSet[scope][value]) {
+            schemaSet[scope][value] = { type: 'object', properties: {}, required: [] };
+        }
+        return schemaSet[scope][value];
+    };
+
+    records.forEach(record => {
+        const variable = record.variable || record.variable_name || record.name || record.key;
+        if (!variable) return;
+
+        const property = buildCsvPropertySchema(record.type || record.data_type, splitSchemaList(record.allowed_values || record.allowed || record.values));
+        const required = /^(y|yes|true|1|required)$/i.test(record.required || '');
+        const pageTypes = splitSchemaList(record.page_types || record.page_type);
+        const events = splitSchemaList(record.tealium_events || record.tealium_event || record.events);
+
+        const targets = [];
+        pageTypes.forEach(pageType => targets.push(scopeSchema('page_type', pageType)));
+        events.forEach(eventName => targets.push(scopeSchema('tealium_event', eventName)));
+        if (targets.length === 0) targets.push(schemaSet.default);
+
+        targets.forEach(schema => {
+            schema.properties[variable] = property;
+            if (required) schema.required.push(variable);
+        });
+    });
+
+    return schemaSet;
+}
+
+/**
+ * A plain JSON Schema applies to every page; an object with default/page_type/tealium_event is a scoped set
+ */
+function normaliseSchemaSet(spec) {
+    const isScoped = spec && !spec.$schema && !spec.type && !spec.properties &&
+        ['default', 'page_type', 'tealium_event'].some(key => key in spec);
+
+    return isScoped
+        ? { default: spec.default || null, page_type: spec.page_type || {}, tealium_event: spec.tealium_event || {} }
+        : { default: spec, page_type: {}, tealium_event: {} };
+}
+
+/**
+ * Parse a spec file by extension/content
+ */
+function parseDataLayerSchema(text, fileName = '') {
+    const trimmed = text.trim();
+    if (/\.json$/i.test(fileName) || trimmed.startsWith('{')) {
+        return { format: 'json-schema', schemaSet: normaliseSchemaSet(JSON.parse(trimmed)) };
+    }
+    return { format: 'csv', schemaSet: convertCsvToSchemaSet(text) };
+}
+
+/**
+ * Get the saved spec ({ name, format, schemaSet, loadedAt }) or null
+ */
+function getDataLayerSchema() {
+    try {
+        return JSON.parse(localStorage.getItem(DATA_LAYER_SCHEMA_STORAGE_KEY) || 'null');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Pick the schemas for a data layer: default plus its page_type and tealium_event schemas
+ */
+function selectDataLayerSchemas(schemaSet, data) {
+    const selected = [];
+    if (schemaSet.default) selected.push({ scope: 'default', schema: schemaSet.default });
+
+    ['page_type', 'tealium_event'].forEach(scope => {
+        const value = data[scope];
+        if (value !== undefined && schemaSet[scope][value]) {
+            selected.push({ scope: `${scope}=${value}`, schema: schemaSet[scope][value] });
+        }
+    });
+
+    return selected;
+}
+
+/**
+ * JSON Schema type name of a value
+ */
+function getSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema subset: type, enum, const, pattern, min/maxLength, minimum/maximum,
+ * items, min/maxItems, properties, required, additionalProperties, allOf, anyOf, oneOf, not and if/then/else
+ */
+function validateSchemaValue(value, schema, path, errors) {
+    if (!schema || typeof schema !== 'object') return errors;
+    const at = path || '(root)';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = getSchemaType(value);
+        const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+        if (!matches) {
+            errors.push(`${at} should be ${types.join(' or ')}, got ${actual}`);
+            return errors;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(allowed => JSON.stringify(allowed) === JSON.stringify(value))) {
+        errors.push(`${at} has value ${JSON.stringify(value)}, expected one of: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${at} should be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at} does not match /${schema.pattern}/: ${JSON.stringify(value)}`);
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at} is shorter than ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at} is longer than ${schema.maxLength} characters`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} is below the minimum of ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} is above the maximum of ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} has fewer than ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} has more than ${schema.maxItems} item(s)`);
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, index) => validateSchemaValue(item, schema.items, `${at}[${index}]`, errors));
+        }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`Missing required variable ${path ? `${path}.${key}` : key}`);
+        });
+
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                validateSchemaValue(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+            }
+        });
+
+        if (schema.additionalProperties === false) {
+            Object.keys(value)
+                .filter(key => !(key in (schema.properties || {})) && !(path === '' && SCHEMA_SYSTEM_KEY_PATTERN.test(key)))
+                .forEach(key => errors.push(`${path ? `${path}.${key}` : key} is not defined in the schema`));
+        }
+    }
+
+    (schema.allOf || []).forEach(subSchema => validateSchemaValue(value, subSchema, path, errors));
+
+    if (Array.isArray(schema.anyOf)) {
+        const passing = schema.anyOf.filter(subSchema => validateSchemaValue(value, subSchema, path, []).length === 0);
+        if (passing.length === 0) errors.push(`${at} does not match any allowed form (${JSON.stringify(value)})`);
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const passing = schema.oneOf.filter(subSchema => validateSchemaValue(value, subSchema, path, []).length === 0);
+        if (passing.length !== 1) errors.push(`${at} should match exactly one allowed form, matched ${passing.length}`);
+    }
+    if (schema.not && validateSchemaValue(value, schema.not, path, []).length === 0) {
+        errors.push(`${at} matches a disallowed form`);
+    }
+    if (schema.if) {
+        const branch = validateSchemaValue(value, schema.if, path, []).length === 0 ? schema.then : schema.else;
+        if (branch) validateSchemaValue(value, branch, path, errors);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a data layer against the saved spec. Returns null when no spec is loaded.
+ */
+function validateDataLayerAgainstSchema(data) {
+    const spec = getDataLayerSchema();
+    if (!spec) return null;
+
+    const selected = selectDataLayerSchemas(spec.schemaSet, data);
+    const errors = [];
+    selected.forEach(({ schema }) => validateSchemaValue(data, schema, '', errors));
+
+    return {
+        name: spec.name,
+        format: spec.format,
+        scopes: selected.map(item => item.scope),
+        errors: [...new Set(errors)]
+    };
+}
+
+/**
+ * Load a spec file from the Data Layer section
+ */
+function loadDataLayerSchemaFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const parsed = parseDataLayerSchema(e.target.result, file.name);
+            const spec = { name: file.name, format: parsed.format, schemaSet: parsed.schemaSet, loadedAt: new Date().toISOString() };
+
+            localStorage.setItem(DATA_LAYER_SCHEMA_STORAGE_KEY, JSON.stringify(spec));
+            updateDataLayerSchemaStatus();
+            showToast(`Data layer spec loaded: ${file.name}`, 'success');
+            logEvent('DATA_LAYER_SCHEMA', `Loaded ${parsed.format} spec ${file.name}`, {
+                pageTypes: Object.keys(parsed.schemaSet.page_type),
+                events: Object.keys(parsed.schemaSet.tealium_event)
+            });
+        } catch (error) {
+            showToast(`Could not load spec: ${error.message}`, 'error');
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Remove the saved spec
+ */
+function clearDataLayerSchema() {
+    localStorage.removeItem(DATA_LAYER_SCHEMA_STORAGE_KEY);
+    updateDataLayerSchemaStatus();
+    showToast('Data layer spec removed', 'info');
+}
+
+/**
+ * Show which spec is loaded and what it covers
+ */
+function updateDataLayerSchemaStatus() {
+    const status = document.getElementById('dataLayerSchemaStatus');
+    if (!status) return;
+
+    const spec = getDataLayerSchema();
+    if (!spec) {
+        status.textContent = 'No spec loaded - only best-practice checks run';
+        return;
+    }
+
+    const pageTypes = Object.keys(spec.schemaSet.page_type);
+    const events = Object.keys(spec.schemaSet.tealium_event);
+    status.textContent = `${spec.name} (${spec.format === 'csv' ? 'CSV' : 'JSON Schema'})` +
+        (pageTypes.length ? ` · page types: ${pageTypes.join(', ')}` : '') +
+        (events.length ? ` · events: ${events.join(', ')}` : '');
+}
+
+// Expose functions globally for HTML event handlers
+window.loadDataLayerSchemaFile = loadDataLayerSchemaFile;
+window.clearDataLayerSchema = clearDataLayerSchema;
+window.updateDataLayerSchemaStatus = updateDataLayerSchemaStatus;
+window.validateDataLayerAgainstSchema = validateDataLayerAgainstSchema;
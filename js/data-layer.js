@@ -34,6 +34,11 @@ function initializeDataLayer() {
     // Load current data layer state
     loadCurrentDataLayer();
     
+    // Show which data layer spec is loaded
+    if (typeof updateDataLayerSchemaStatus === 'function') {
+        updateDataLayerSchemaStatus();
+    }
+    
     // Update displays
     updateDataLayerTable();
     updateDataLayerEditor();
@@ -93,6 +98,11 @@ function loadCurrentDataLayer() {
     currentDataLayer.dom.title = document.title;
     currentDataLayer.dom.referrer = document.referrer;
     
+    // Track which variables this session has seen, for the TiQ documentation coverage
+    if (typeof recordSeenDataLayerVariables === 'function') {
+        recordSeenDataLayerVariables(currentDataLayer);
+    }
+    
     // Data layer loaded successfully
 }
 
@@ -105,6 +115,12 @@ function updateDataLayerTable() {
     if (!container) return;
     
     const variables = Object.keys(currentDataLayer);
+    
+    // Documentation coverage is independent of the table contents
+    if (typeof renderTiqVariableCoverage === 'function') {
+        renderTiqVariableCoverage();
+    }
+    
     if (variables.length === 0) {
         container.innerHTML = `
             <div class="text-center py-8 text-gray-500">
@@ -130,17 +146,26 @@ function updateDataLayerTable() {
                 <tbody class="bg-white divide-y divide-gray-200">
     `;
     
+    // Imported TiQ variable list, if any, for documentation badges and tooltips
+    const tiqSpec = typeof getTiqVariableSpec === 'function' ? getTiqVariableSpec() : null;
+    
     variables.forEach(key => {
         const value = currentDataLayer[key];
         const valueType = Array.isArray(value) ? 'array' : typeof value;
         const displayValue = formatValueForDisplay(value);
         const isObject = typeof value === 'object' && value !== null;
+        const documentation = tiqSpec ? findTiqVariable(tiqSpec, key) : null;
+        const tooltip = documentation
+            ? [documentation.description, documentation.alias && `Alias: ${documentation.alias}`, `Type: ${documentation.type}`].filter(Boolean).join('\n')
+            : '';
         
         html += `
             <tr class="hover:bg-gray-50" data-variable="${key}">
                 <td class="px-6 py-4 whitespace-nowrap">
-                    <div class="font-medium text-gray-900">${escapeHtml(key)}</div>
+                    <div class="font-medium text-gray-900 ${documentation ? 'cursor-help' : ''}" ${documentation ? `title="${escapeHtml(tooltip)}"` : ''}>${escapeHtml(key)}</div>
                     ${key.startsWith('dom.') ? '<div class="text-xs text-blue-600">Auto-generated</div>' : ''}
+                    ${tiqSpec && documentation ? '<div class="text-xs text-green-600">Documented</div>' : ''}
+                    ${tiqSpec && !documentation && !TIQ_BUILT_IN_PATTERN.test(key) ? '<div class="text-xs text-orange-600">Undocumented</div>' : ''}
                 </td>
                 <td class="px-6 py-4">
                     <div class="inline-edit-container" style="max-width: 300px;">
@@ -388,9 +413,9 @@ function updateDataLayerVariable(variableName, newValue) {
 }
 
 /**
- * Load preset data layer
+ * Get a preset data layer object without applying it
  */
-function loadPresetDataLayer(presetType) {
+function getPresetDataLayer(presetType) {
     let preset = {};
     
     switch (presetType) {
@@ -454,6 +479,15 @@ function loadPresetDataLayer(presetType) {
             break;
     }
     
+    return preset;
+}
+
+/**
+ * Load preset data layer
+ */
+function loadPresetDataLayer(presetType) {
+    const preset = getPresetDataLayer(presetType);
+    
     // Merge with current data layer
     Object.assign(currentDataLayer, preset);
     
@@ -468,12 +502,13 @@ function loadPresetDataLayer(presetType) {
 }
 
 /**
- * Data layer validation following Tealium best practices
+ * Data layer validation following Tealium best practices. Renders the results and returns them (used by the CLI)
  */
 function validateDataLayer() {
     try {
         // Get data from both editor and live utag_data
-        const editorContent = document.getElementById('dataLayerEditor').value.trim();
+        const editor = document.getElementById('dataLayerEditor');
+        const editorContent = editor ? editor.value.trim() : '';
         const liveData = typeof window.utag_data !== 'undefined' ? window.utag_data : {};
         const utagProcessedData = typeof window.utag !== 'undefined' && window.utag.data ? window.utag.data : {};
         
@@ -657,27 +692,45 @@ function validateDataLayer() {
                     }
                 });
         
-        // Compile results - only show warnings and errors (no success/info messages)
+        // 8. Client spec (JSON Schema / CSV), selected by page_type and tealium_event
+        let schemaResult = null;
+        if (typeof validateDataLayerAgainstSchema === 'function') {
+            const processedData = Object.keys(utagProcessedData).length > 0 ? { ...dataToValidate, ...utagProcessedData } : dataToValidate;
+            schemaResult = validateDataLayerAgainstSchema(processedData);
+            if (schemaResult) {
+                schemaResult.errors.forEach(message => errors.push(`Spec: ${escapeHtml(message)}`));
+            }
+        }
+        
+        // Compile results - warnings and errors, a summary row, and which client spec was applied (info) last
         const allResults = [
             ...warnings.map(msg => ({ type: 'warning', message: msg })),
             ...errors.map(msg => ({ type: 'error', message: msg }))
         ];
         
-        // Add summary only if there are issues
+        // Add summary only if there are issues (flagged so callers counting results can skip it)
         if (errors.length === 0 && warnings.length === 0) {
-            allResults.push({ type: 'success', message: '✅ Data layer validation passed! No issues found.' });
+            allResults.push({ type: 'success', summary: true, message: '✅ Data layer validation passed! No issues found.' });
         } else if (errors.length === 0) {
-            allResults.unshift({ type: 'warning', message: `⚠️ ${warnings.length} warning(s) found. Consider addressing these for optimal implementation.` });
+            allResults.unshift({ type: 'warning', summary: true, message: `⚠️ ${warnings.length} warning(s) found. Consider addressing these for optimal implementation.` });
         } else {
-            allResults.unshift({ type: 'error', message: `❌ ${errors.length} error(s) and ${warnings.length} warning(s) found. Please fix errors before deployment.` });
+            allResults.unshift({ type: 'error', summary: true, message: `❌ ${errors.length} error(s) and ${warnings.length} warning(s) found. Please fix errors before deployment.` });
+        }
+        
+        if (schemaResult) {
+            allResults.push({
+                type: 'info',
+                message: `Validated against ${escapeHtml(schemaResult.name)} using ${schemaResult.scopes.length ? schemaResult.scopes.map(escapeHtml).join(', ') : 'no matching schema'}`
+            });
         }
         
         showValidationResults(allResults);
+        return allResults;
         
     } catch (error) {
-        showValidationResults([
-            { type: 'error', message: 'Validation failed: ' + error.message }
-        ]);
+        const failure = [{ type: 'error', message: 'Validation failed: ' + error.message }];
+        showValidationResults(failure);
+        return failure;
     }
 }
 
@@ -1114,6 +1167,7 @@ window.searchDataLayer = searchDataLayer;
 window.addDataLayerVariable = addDataLayerVariable;
 window.updateVariableInput = updateVariableInput;
 window.loadPresetDataLayer = loadPresetDataLayer;
+window.getPresetDataLayer = getPresetDataLayer;
 window.validateDataLayer = validateDataLayer;
 window.formatDataLayer = formatDataLayer;
 window.clearDataLayer = clearDataLayer;
@@ -0,0 +1,275 @@
+/**
+ * Event Recorder for Tealium Sandbox
+ * Records utag.view/utag.link calls (payload plus the utag_data state before each call) while clicking
+ * through a journey, and saves them as a journey script (see journey-tests.js) that can be replayed
+ * with the recorded timing or as fast as possible against whichever profile is loaded
+ */
+
+const EVENT_RECORDING_STORAGE_KEY = 'tealium-sandbox-event-recording';
+
+let eventRecorderState = {
+    recording: false,
+    replaying: false,
+    startTime: 0,
+    events: []
+};
+
+/**
+ * Deep copy of a data object, as the intercepts in events.js do
+ */
+function cloneRecordedData(data) {
+    return JSON.parse(JSON.stringify(data || {}));
+}
+
+/**
+ * Record one utag.view/utag.link call; registered on the shared hook in events.js
+ */
+function recordUtagCall(type, data) {
+    eventRecorderState.events.push({
+        type: type,
+        offset: Date.now() - eventRecorderState.startTime,
+        data: cloneRecordedData(data),
+        dataLayer: cloneRecordedData(window.utag_data)
+    });
+    updateEventRecorderStatus();
+}
+
+/**
+ * Re-install the shared hook when a profile is (re)loaded during a recording
+ */
+function handleRecorderTealiumLoaded() {
+    if (eventRecorderState.recording) installUtagCallHook();
+}
+
+/**
+ * Start recording utag.view/utag.link calls
+ */
+function startEventRecording() {
+    if (eventRecorderState.recording || eventRecorderState.replaying) return;
+
+    eventRecorderState.startTime = Date.now();
+    eventRecorderState.events = [];
+    if (!addUtagCallListener(recordUtagCall)) {
+        removeUtagCallListener(recordUtagCall);
+        showToast('Load Tealium before recording', 'error');
+        return;
+    }
+
+    eventRecorderState.recording = true;
+    window.addEventListener('tealiumLoaded', handleRecorderTealiumLoaded);
+    updateEventRecorderStatus();
+    showToast('Recording utag.view/utag.link calls', 'info');
+    logEvent('RECORDING_STARTED', 'Event recording started');
+}
+
+/**
+ * Stop recording and turn the captured calls into a script
+ */
+function stopEventRecording() {
+    if (!eventRecorderState.recording) return null;
+
+    eventRecorderState.recording = false;
+    window.removeEventListener('tealiumLoaded', handleRecorderTealiumLoaded);
+    removeUtagCallListener(recordUtagCall);
+
+    const script = buildRecordedScript(eventRecorderState.events);
+    const input = document.getElementById('eventRecordingScript');
+    if (input) input.value = JSON.stringify(script, null, 2);
+    localStorage.setItem(EVENT_RECORDING_STORAGE_KEY, JSON.stringify(script));
+
+    updateEventRecorderStatus();
+    showToast(`Recorded ${eventRecorderState.events.length} event(s)`, 'success');
+    logEvent('RECORDING_STOPPED', `Recorded ${eventRecorderState.events.length} event(s)`, {
+        events: eventRecorderState.events.length,
+        duration: Date.now() - eventRecorderState.startTime
+    });
+    return script;
+}
+
+/**
+ * Convert recorded calls to journey steps: a wait for the recorded gap, a setDataLayer when
+ * utag_data changed since the previous call, then the view/link itself
+ */
+function buildRecordedScript(events, name) {
+    const utagCfg = window.utag?.cfg || {};
+    const steps = [];
+    let previousOffset = 0;
+    let previousDataLayer = null;
+
+    events.forEach(event => {
+        const gap = event.offset - previousOffset;
+        if (gap > 0) steps.push({ action: 'wait', ms: gap });
+        previousOffset = event.offset;
+
+        const dataLayer = JSON.stringify(event.dataLayer);
+        if (dataLayer !== previousDataLayer) {
+            steps.push({ action: 'setDataLayer', data: event.dataLayer, replace: true });
+            previousDataLayer = dataLayer;
+        }
+
+        steps.push({
+            action: event.type,
+            label: event.data.tealium_event || event.data.page_type || event.type,
+            data: event.data,
+            wait: 0,
+            expect: []
+        });
+    });
+
+    return {
+        name: name || `Recording ${new Date().toLocaleString()}`,
+        recordedAt: new Date().toISOString(),
+        recordedWith: utagCfg.account ? `${utagCfg.account}/${utagCfg.profile}/${utagCfg.env || utagCfg.path || ''}` : '',
+        steps: steps
+    };
+}
+
+/**
+ * Replay the script in the editor. Fast mode drops the recorded waits.
+ */
+async function replayEventRecording(mode = 'timed') {
+    if (eventRecorderState.recording || eventRecorderState.replaying) return null;
+
+    const input = document.getElementById('eventRecordingScript');
+    let journey;
+    try {
+        journey = parseJourneyTest(input && input.value.trim() ? input.value : localStorage.getItem(EVENT_RECORDING_STORAGE_KEY));
+    } catch (error) {
+        showToast(`Nothing to replay: ${error.message}`, 'error');
+        return null;
+    }
+
+    if (mode === 'fast') {
+        journey.steps = journey.steps.filter(step => step.action !== 'wait');
+    }
+
+    const events = journey.steps.filter(step => step.action === 'view' || step.action === 'link').length;
+    eventRecorderState.replaying = true;
+    updateEventRecorderStatus(`Replaying ${events} event(s) (${mode})...`);
+    logEvent('RECORDING_REPLAY', `Replaying ${journey.name}`, { events, mode });
+
+    let report;
+    try {
+        report = await runJourneyTest(journey, step => updateEventRecorderStatus(`Replaying (${mode}): step ${step.index}/${journey.steps.length}`));
+    } finally {
+        eventRecorderState.replaying = false;
+    }
+
+    window.journeyTestReport = report;
+    const errors = report.steps.filter(step => step.error);
+    updateEventRecorderStatus(`Replayed ${events} event(s) in ${(report.duration / 1000).toFixed(1)}s${report.total ? ` - ${report.passed}/${report.total} assertion(s) passed` : ''}`);
+    showToast(errors.length ? `Replay finished with ${errors.length} error(s): ${errors[0].error}` : `Replayed ${events} event(s)`, errors.length ? 'error' : 'success');
+    return report;
+}
+
+/**
+ * Download the script as JSON
+ */
+function saveEventRecording() {
+    const input = document.getElementById('eventRecordingScript');
+    const text = input && input.value.trim() ? input.value : localStorage.getItem(EVENT_RECORDING_STORAGE_KEY);
+    if (!text) {
+        showToast('Record some events first', 'warning');
+        return;
+    }
+
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tealium-recording-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Load a saved script for replay
+ */
+function loadEventRecordingFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const input = document.getElementById('eventRecordingScript');
+        if (input) input.value = e.target.result;
+        updateEventRecorderStatus(`Loaded ${file.name}`);
+        showToast(`Loaded ${file.name}`, 'success');
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Copy the script into the Journey Test Runner so assertions can be added to its steps
+ */
+function sendRecordingToJourneyTests() {
+    const source = document.getElementById('eventRecordingScript');
+    const target = document.getElementById('journeyTestDefinition');
+    if (!source || !target || !source.value.trim()) {
+        showToast('Record some events first', 'warning');
+        return;
+    }
+
+    target.value = source.value;
+    delete target.dataset.fileName;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    showToast('Recording copied to the Journey Test Runner', 'success');
+}
+
+/**
+ * Update the record button and status line
+ */
+function updateEventRecorderStatus(message) {
+    const status = document.getElementById('eventRecorderStatus');
+    const button = document.getElementById('eventRecorderToggle');
+
+    if (button) {
+        button.innerHTML = eventRecorderState.recording
+            ? '<i class="fas fa-stop mr-1"></i>Stop'
+            : '<i class="fas fa-circle mr-1"></i>Record';
+        button.className = eventRecorderState.recording
+            ? 'bg-gray-800 text-white py-1 px-3 rounded text-xs font-medium hover:bg-gray-900 transition-colors'
+            : 'bg-red-600 text-white py-1 px-3 rounded text-xs font-medium hover:bg-red-700 transition-colors';
+    }
+
+    if (status) {
+        status.textContent = message || (eventRecorderState.recording
+            ? `● Recording - ${eventRecorderState.events.length} event(s) captured`
+            : 'Not recording');
+        status.className = eventRecorderState.recording ? 'text-xs text-red-600 font-medium' : 'text-xs text-gray-500';
+    }
+}
+
+/**
+ * Record button handler
+ */
+function toggleEventRecording() {
+    if (eventRecorderState.recording) {
+        stopEventRecording();
+    } else {
+        startEventRecording();
+    }
+}
+
+/**
+ * Restore the last recording into the editor
+ */
+function initializeEventRecorder() {
+    const input = document.getElementById('eventRecordingScript');
+    if (input && !input.value) {
+        const saved = localStorage.getItem(EVENT_RECORDING_STORAGE_KEY);
+        if (saved) input.value = JSON.stringify(JSON.parse(saved), null, 2);
+    }
+    updateEventRecorderStatus();
+}
+
+// Expose functions globally for HTML event handlers
+window.toggleEventRecording = toggleEventRecording;
+window.startEventRecording = startEventRecording;
+window.stopEventRecording = stopEventRecording;
+window.replayEventRecording = replayEventRecording;
+window.saveEventRecording = saveEventRecording;
+window.loadEventRecordingFile = loadEventRecordingFile;
+window.sendRecordingToJourneyTests = sendRecordingToJourneyTests;
+window.initializeEventRecorder = initializeEventRecorder;
@@ -0,0 +1,310 @@
+/**
+ * Per-Event Validation Rules for Tealium Sandbox
+ * Team-defined expectations for intercepted utag.view/utag.link calls, keyed by tealium_event
+ * (e.g. purchase: order_id present and unique in the session, product arrays aligned, order_total adds up).
+ * Violations are added to the Event Validation panel and kept in a log that can be exported.
+ */
+
+const EVENT_RULES_STORAGE_KEY = 'tealium-sandbox-event-rules';
+const EVENT_RULE_VALUES_STORAGE_KEY = 'tealium-sandbox-event-rule-values';
+
+/**
+ * Example rules shown when nothing is saved yet. Keys are tealium_event values,
+ * "view"/"link" for the call type, or "*" for every event.
+ */
+const EVENT_RULES_EXAMPLE = {
+    '*': [
+        { rule: 'required', fields: ['tealium_event'], severity: 'warning' }
+    ],
+    purchase: [
+        { rule: 'required', fields: ['order_id', 'order_total', 'order_currency'] },
+        { rule: 'unique', field: 'order_id' },
+        { rule: 'sameLength', fields: ['product_id', 'product_price', 'product_quantity'] },
+        { rule: 'sumEquals', field: 'order_total', price: 'product_price', quantity: 'product_quantity', tolerance: 0.01 },
+        { rule: 'match', field: 'order_currency', enum: ['EUR', 'USD', 'GBP'] }
+    ],
+    cart_add: [
+        { rule: 'required', fields: ['product_id', 'product_quantity'] },
+        { rule: 'sameLength', fields: ['product_id', 'product_quantity'] }
+    ]
+};
+
+let eventRuleViolations = [];
+
+/**
+ * Numeric value of a data layer entry (TiQ often carries numbers as strings)
+ */
+function toEventRuleNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Values seen so far this session for unique rules, keyed by "event:field"
+ */
+function getEventRuleSeenValues() {
+    try {
+        return JSON.parse(sessionStorage.getItem(EVENT_RULE_VALUES_STORAGE_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Rule checks. Each returns an error message, or null when the event passes.
+ * Add more with registerEventRuleType().
+ */
+const EVENT_RULE_TYPES = {
+    required(rule, data) {
+        const missing = (rule.fields || [rule.field]).filter(field => {
+            const value = data[field];
+            return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        });
+        return missing.length ? `Missing required field(s): ${missing.join(', ')}` : null;
+    },
+
+    unique(rule, data, context) {
+        const value = data[rule.field];
+        if (value === undefined || value === null || value === '') return null;
+
+        const seen = getEventRuleSeenValues();
+        const key = `${context.eventName}:${rule.field}`;
+        const values = seen[key] || [];
+        if (values.includes(String(value))) {
+            return `${rule.field} "${value}" was already sent this session`;
+        }
+
+        seen[key] = values.concat(String(value));
+        sessionStorage.setItem(EVENT_RULE_VALUES_STORAGE_KEY, JSON.stringify(seen));
+        return null;
+    },
+
+    sameLength(rule, data) {
+        const present = rule.fields.filter(field => data[field] !== undefined);
+        const notArrays = present.filter(field => !Array.isArray(data[field]));
+        if (notArrays.length) return `Expected array(s): ${notArrays.join(', ')}`;
+
+        const lengths = present.map(field => data[field].length);
+        if (new Set(lengths).size > 1) {
+            return `Array lengths differ: ${present.map((field, i) => `${field}[${lengths[i]}]`).join(', ')}`;
+        }
+        return null;
+    },
+
+    sumEquals(rule, data) {
+        const total = toEventRuleNumber(data[rule.field]);
+        const prices = data[rule.price];
+        if (total === null || !Array.isArray(prices)) return null;
+
+        const quantities = rule.quantity ? data[rule.quantity] : null;
+        const sum = prices.reduce((acc, price, i) => {
+            const quantity = Array.isArray(quantities) ? toEventRuleNumber(quantities[i]) : 1;
+            return acc + (toEventRuleNumber(price) || 0) * (quantity === null ? 1 : quantity);
+        }, 0);
+
+        const tolerance = rule.tolerance !== undefined ? rule.tolerance : 0.01;
+        if (Math.abs(sum - total) > tolerance) {
+            const term = rule.quantity ? `${rule.price} × ${rule.quantity}` : rule.price;
+            return `${rule.field} is ${total} but the sum of ${term} is ${Math.round(sum * 100) / 100}`;
+        }
+        return null;
+    },
+
+    match(rule, data) {
+        const value = data[rule.field];
+        if (value === undefined) return null;
+
+        if (rule.type) {
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (actual !== rule.type) return `${rule.field} should be ${rule.type}, got ${actual}`;
+        }
+        const values = Array.isArray(value) ? value : [value];
+        if (rule.enum) {
+            const invalid = values.filter(item => !rule.enum.includes(item));
+            if (invalid.length) return `${rule.field} has unexpected value(s): ${invalid.join(', ')} (allowed: ${rule.enum.join(', ')})`;
+        }
+        if (rule.pattern) {
+            const regex = new RegExp(rule.pattern);
+            const invalid = values.filter(item => !regex.test(String(item)));
+            if (invalid.length) return `${rule.field} does not match ${rule.pattern}: ${invalid.join(', ')}`;
+        }
+        return null;
+    }
+};
+
+/**
+ * Add a custom rule type, e.g. from custom-functions.js:
+ * registerEventRuleType('positive', (rule, data) => data[rule.field] > 0 ? null : `${rule.field} must be positive`)
+ */
+function registerEventRuleType(name, check) {
+    if (!name || typeof check !== 'function') {
+        throw new Error('registerEventRuleType needs a name and a check function');
+    }
+    EVENT_RULE_TYPES[name] = check;
+}
+
+/**
+ * Read the rules from the editor, falling back to the saved ones
+ */
+function getEventRules() {
+    const input = document.getElementById('eventRulesJson');
+    const text = input && input.value.trim() ? input.value : localStorage.getItem(EVENT_RULES_STORAGE_KEY);
+    if (!text) return {};
+
+    const rules = JSON.parse(text);
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('Rules must be a JSON object keyed by tealium_event');
+    }
+    return rules;
+}
+
+/**
+ * Rules that apply to an event: "*", then the call type, then its tealium_event
+ */
+function selectEventRules(rules, eventType, eventName) {
+    return [].concat(rules['*'] || [], rules[eventType] || [], eventName ? (rules[eventName] || []) : []);
+}
+
+/**
+ * Check one event against the rules and log any violations
+ */
+function applyEventRules(eventType, data) {
+    let rules;
+    try {
+        rules = getEventRules();
+    } catch (error) {
+        return [{ type: 'warning', message: `📏 Event rules: invalid JSON (${escapeHtml(error.message)})` }];
+    }
+
+    const eventData = data || {};
+    const eventName = eventData.tealium_event || '';
+    const selected = selectEventRules(rules, eventType, eventName);
+    if (selected.length === 0) return [];
+
+    const context = { eventType, eventName: eventName || eventType };
+    const results = [];
+    let passed = 0;
+
+    selected.forEach(rule => {
+        const check = EVENT_RULE_TYPES[rule.rule];
+        let message;
+        if (!check) {
+            message = `Unknown rule type "${rule.rule}"`;
+        } else {
+            try {
+                message = check(rule, eventData, context);
+            } catch (error) {
+                message = `Rule "${rule.rule}" failed: ${error.message}`;
+            }
+        }
+
+        if (!message) {
+            passed++;
+            return;
+        }
+
+        const severity = rule.severity === 'warning' ? 'warning' : 'error';
+        const text = rule.message || message;
+        eventRuleViolations.unshift({
+            timestamp: new Date().toISOString(),
+            eventType: eventType,
+            tealiumEvent: eventName,
+            rule: rule.rule,
+            field: rule.field || (rule.fields || []).join(','),
+            severity: severity,
+            message: text
+        });
+        results.push({ type: severity, message: `📏 ${escapeHtml(context.eventName)}: ${escapeHtml(text)}` });
+    });
+
+    if (results.length === 0) {
+        results.push({ type: 'success', message: `📏 Event rules: all ${passed} rule(s) passed for ${escapeHtml(context.eventName)}` });
+    } else {
+        logEvent('EVENT_RULE_VIOLATION', `${results.length} rule violation(s) on ${context.eventName}`, { eventType, tealiumEvent: eventName, violations: results.length });
+    }
+
+    return results;
+}
+
+/**
+ * Save the rules from the editor
+ */
+function saveEventRules() {
+    const input = document.getElementById('eventRulesJson');
+    if (!input) return;
+
+    try {
+        JSON.parse(input.value || '{}');
+    } catch (error) {
+        showToast(`Invalid JSON: ${error.message}`, 'error');
+        return;
+    }
+
+    localStorage.setItem(EVENT_RULES_STORAGE_KEY, input.value);
+    showToast('Event rules saved', 'success');
+}
+
+/**
+ * Put the example rules in the editor
+ */
+function loadEventRulesExample() {
+    const input = document.getElementById('eventRulesJson');
+    if (input) input.value = JSON.stringify(EVENT_RULES_EXAMPLE, null, 2);
+}
+
+/**
+ * Download the violation log as JSON or CSV
+ */
+function exportEventRuleViolations(format = 'json') {
+    if (eventRuleViolations.length === 0) {
+        showToast('No rule violations recorded', 'info');
+        return;
+    }
+
+    const columns = ['timestamp', 'eventType', 'tealiumEvent', 'rule', 'field', 'severity', 'message'];
+    const content = format === 'csv'
+        ? [columns.join(',')].concat(eventRuleViolations.map(violation =>
+            columns.map(column => `"${String(violation[column] || '').replace(/"/g, '""')}"`).join(','))).join('\n')
+        : JSON.stringify(eventRuleViolations, null, 2);
+
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tealium-event-rule-violations-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast(`Exported ${eventRuleViolations.length} violation(s)`, 'success');
+}
+
+/**
+ * Clear the violation log and the session's unique values
+ */
+function clearEventRuleViolations() {
+    eventRuleViolations = [];
+    sessionStorage.removeItem(EVENT_RULE_VALUES_STORAGE_KEY);
+    showToast('Rule violations and session values cleared', 'info');
+}
+
+/**
+ * Restore the saved rules into the editor
+ */
+function initializeEventRules() {
+    const input = document.getElementById('eventRulesJson');
+    if (input && !input.value) {
+        input.value = localStorage.getItem(EVENT_RULES_STORAGE_KEY) || JSON.stringify(EVENT_RULES_EXAMPLE, null, 2);
+    }
+}
+
+// Expose functions globally for HTML event handlers
+window.applyEventRules = applyEventRules;
+window.registerEventRuleType = registerEventRuleType;
+window.saveEventRules = saveEventRules;
+window.loadEventRulesExample = loadEventRulesExample;
+window.exportEventRuleViolations = exportEventRuleViolations;
+window.clearEventRuleViolations = clearEventRuleViolations;
+window.initializeEventRules = initializeEventRules;
+window.getEventRuleViolations = () => eventRuleViolations;
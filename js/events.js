@@ -18,7 +18,9 @@ let eventDebugState = {
     networkAutoUpdate: true,
     lastNetworkUpdate: 0,
     networkUpdateThrottle: 500, // ms
-    pendingNetworkUpdate: false
+    pendingNetworkUpdate: false,
+    networkDisplayLimit: 15, // raised while browsing an imported HAR
+    utagCallListeners: [] // notified by the shared utag.view/utag.link hook
 };
 
 /**
@@ -45,6 +47,26 @@ function initializeEvents() {
     // Load event history from session
     loadEventHistory();
     
+    // Restore the saved Collect spec
+    if (typeof initializeCollectValidator === 'function') {
+        initializeCollectValidator();
+    }
+    
+    // Restore the saved per-event rules
+    if (typeof initializeEventRules === 'function') {
+        initializeEventRules();
+    }
+    
+    // Restore the last journey test
+    if (typeof initializeJourneyTests === 'function') {
+        initializeJourneyTests();
+    }
+    
+    // Restore the last event recording
+    if (typeof initializeEventRecorder === 'function') {
+        initializeEventRecorder();
+    }
+    
     console.log('✅ Events system initialized');
 }
 
@@ -267,9 +289,142 @@ function setupNetworkMonitoring() {
         };
     }
     
+    // Capture image pixels and injected scripts/iframes - most tags fire through these rather than fetch/XHR
+    setupElementRequestMonitoring();
+    
     console.log('✅ Network monitoring active');
 }
 
+/**
+ * Element classes whose src assignments are captured, keyed by the request type they are logged as
+ */
+const MONITORED_ELEMENT_TYPES = {
+    image: 'HTMLImageElement',
+    script: 'HTMLScriptElement',
+    iframe: 'HTMLIFrameElement'
+};
+
+/**
+ * Wrap the src setters (and setAttribute('src')) of images, scripts and iframes
+ */
+function setupElementRequestMonitoring() {
+    eventDebugState.originalSrcDescriptors = {};
+    
+    Object.entries(MONITORED_ELEMENT_TYPES).forEach(([type, className]) => {
+        const ElementClass = window[className];
+        const descriptor = ElementClass && Object.getOwnPropertyDescriptor(ElementClass.prototype, 'src');
+        if (!descriptor || !descriptor.set) return;
+        
+        eventDebugState.originalSrcDescriptors[type] = descriptor;
+        Object.defineProperty(ElementClass.prototype, 'src', {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get: descriptor.get,
+            set: function(value) {
+                trackElementRequest(this, type, value);
+                descriptor.set.call(this, value);
+            }
+        });
+    });
+    
+    // setAttribute('src', ...) bypasses the property setter
+    const originalSetAttribute = Element.prototype.setAttribute;
+    eventDebugState.originalSetAttribute = originalSetAttribute;
+    Element.prototype.setAttribute = function(name, value) {
+        if (typeof name === 'string' && name.toLowerCase() === 'src') {
+            const type = Object.keys(MONITORED_ELEMENT_TYPES).find(key => {
+                const ElementClass = window[MONITORED_ELEMENT_TYPES[key]];
+                return ElementClass && this instanceof ElementClass;
+            });
+            if (type) {
+                trackElementRequest(this, type, value);
+            }
+        }
+        return originalSetAttribute.apply(this, arguments);
+    };
+}
+
+/**
+ * Absolute http(s) URL for an element src, or null when it is not worth capturing
+ */
+function getElementRequestUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+    
+    let url;
+    try {
+        url = new URL(value, document.baseURI);
+    } catch (e) {
+        return null;
+    }
+    
+    // data:, blob: and the sandbox's own assets are not tag traffic
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    if (url.hostname === window.location.hostname && !url.search) return null;
+    
+    return url.href;
+}
+
+/**
+ * Resource Timing entry for a URL, when the browser exposes one
+ */
+function getResourceTimingEntry(url) {
+    if (!window.performance || typeof window.performance.getEntriesByName !== 'function') return null;
+    const entries = window.performance.getEntriesByName(url, 'resource');
+    return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+/**
+ * Log an element request and its outcome with the same request objects as fetch/XHR
+ */
+function trackElementRequest(element, type, value) {
+    const url = getElementRequestUrl(value);
+    if (!url) return;
+    
+    const startTime = Date.now();
+    logNetworkRequest(type, url, startTime, 'GET', {}, null);
+    
+    // The script running when the src is set (e.g. utag.7.js) is the tag that fired the request
+    const initiator = document.currentScript && document.currentScript.src;
+    const request = eventDebugState.networkRequests.find(r => r.url === url && r.type === type);
+    if (request) {
+        request.element = element.tagName ? element.tagName.toLowerCase() : type;
+        if (initiator) request.referrer = initiator;
+    }
+    
+    const cleanup = () => {
+        element.removeEventListener('load', onLoad);
+        element.removeEventListener('error', onError);
+    };
+    
+    const onLoad = () => {
+        cleanup();
+        const timing = getResourceTimingEntry(url);
+        logNetworkResponse(
+            type,
+            url,
+            (timing && timing.responseStatus) || 200,
+            timing ? Math.round(timing.duration) : Date.now() - startTime,
+            {},
+            timing ? (timing.transferSize || timing.encodedBodySize || 0) : 0
+        );
+    };
+    
+    const onError = () => {
+        cleanup();
+        const timing = getResourceTimingEntry(url);
+        
+        // Pixels answering 204 or a non-image body raise error on the <img> but still reached the server
+        if (type === 'image' && timing) {
+            logNetworkResponse(type, url, timing.responseStatus || 204, Math.round(timing.duration), {}, timing.transferSize || 0);
+            return;
+        }
+        logNetworkError(type, url, 'Failed to load', Date.now() - startTime);
+    };
+    
+    element.addEventListener('load', onLoad);
+    element.addEventListener('error', onError);
+}
+
 /**
  * Setup universal tag firing hooks to detect ANY vendor tag
  */
@@ -440,6 +595,12 @@ function logNetworkResponse(type, url, status, duration, responseHeaders = {}, r
 function detectVendorFromUrl(url) {
     if (!url) return 'Unknown';
     
+    // Registered vendor decoders (built-in and custom) take precedence over the generic checks below
+    if (typeof findVendorDecoder === 'function') {
+        const decoder = findVendorDecoder(url);
+        if (decoder) return decoder.vendor;
+    }
+    
     const urlLower = url.toLowerCase();
     
     // Google ecosystem (most common)
@@ -733,120 +894,131 @@ function toggleEventInterceptor() {
 }
 
 /**
- * Start event interception
+ * Install the shared utag.view/utag.link hook
+ * The interceptor and the event recorder both listen here instead of
+ * swapping utag.view/utag.link themselves, so neither drops the other
  */
-function startEventInterception() {
-    if (typeof window.utag === 'undefined') {
-        logToDebugConsole('❌ ERROR: Tealium not loaded. Cannot intercept events.', 'error');
-        return;
+function installUtagCallHook() {
+    const utag = window.utag;
+    if (typeof utag === 'undefined' || typeof utag.view !== 'function') {
+        return false;
+    }
+    if (utag.view._sandboxUtagHook) {
+        return true;
     }
     
-    // Ensure original functions are stored before intercepting
-    if (!window.utag._originalView && typeof window.utag.view === 'function') {
-        window.utag._originalView = window.utag.view;
+    // Ensure original functions are stored before hooking
+    if (!utag._originalView) {
+        utag._originalView = utag.view;
     }
-    if (!window.utag._originalLink && typeof window.utag.link === 'function') {
-        window.utag._originalLink = window.utag.link;
+    if (!utag._originalLink && typeof utag.link === 'function') {
+        utag._originalLink = utag.link;
     }
     
-    // Intercept utag.view
-    window.utag.view = function(data, callback, uids) {
-        const timestamp = new Date().toISOString();
-        eventDebugState.preEventDataLayer = JSON.parse(JSON.stringify(window.utag_data || {}));
-        
-        logToDebugConsole(`📄 utag.view() fired at ${timestamp}`, 'event');
-        logToDebugConsole(`   Data: ${JSON.stringify(data || {}, null, 2)}`, 'data');
-        
-        let result;
+    utag.view = createUtagCallHook('view', '_originalView');
+    utag.link = createUtagCallHook('link', '_originalLink');
+    return true;
+}
+
+/**
+ * Build a hook that notifies every listener, then calls the original utag function
+ */
+function createUtagCallHook(type, originalKey) {
+    const hook = function(data, callback, uids) {
+        eventDebugState.utagCallListeners.slice().forEach(listener => {
+            try {
+                listener(type, data);
+            } catch (error) {
+                console.error(`utag.${type} listener failed:`, error);
+            }
+        });
         
         // Call original function if it exists
-        if (window.utag._originalView && typeof window.utag._originalView === 'function') {
-            result = window.utag._originalView.call(this, data, callback, uids);
-        } else {
-            // Fallback: try to call original utag.view if _originalView is not available
-            logToDebugConsole('⚠️ Original view function not found, attempting fallback', 'warning');
-            // This shouldn't happen in normal circumstances
-            result = undefined;
+        const original = window.utag[originalKey];
+        if (typeof original === 'function') {
+            return original.call(this, data, callback, uids);
         }
-        
-        // Log post-event state
-        setTimeout(() => {
-            const postDataLayer = JSON.parse(JSON.stringify(window.utag_data || {}));
-            const firedTags = getTagsFromLastEvent();
-            
-            eventDebugState.lastEventData = {
-                type: 'view',
-                data: data || {},
-                timestamp: timestamp,
-                preDataLayer: eventDebugState.preEventDataLayer,
-                postDataLayer: postDataLayer,
-                firedTags: firedTags
-            };
-            
-            logTagFiring('view', data);
-            addToEventHistory('view', data, timestamp, firedTags);
-            showRealTimeDataLayerChanges(eventDebugState.preEventDataLayer, postDataLayer, 'view', data);
-            validateEvent('view', data, timestamp);
-        }, 100);
-        
-        return result;
+        logToDebugConsole(`⚠️ Original ${type} function not found`, 'warning');
+        return undefined;
     };
+    hook._sandboxUtagHook = true;
+    return hook;
+}
+
+/**
+ * Add a listener called with (type, data) before every utag.view/utag.link
+ */
+function addUtagCallListener(listener) {
+    if (!eventDebugState.utagCallListeners.includes(listener)) {
+        eventDebugState.utagCallListeners.push(listener);
+    }
+    return installUtagCallHook();
+}
+
+/**
+ * Remove a utag call listener, restoring the original functions once none are left
+ */
+function removeUtagCallListener(listener) {
+    eventDebugState.utagCallListeners = eventDebugState.utagCallListeners.filter(l => l !== listener);
     
-    // Intercept utag.link
-    window.utag.link = function(data, callback, uids) {
-        const timestamp = new Date().toISOString();
-        eventDebugState.preEventDataLayer = JSON.parse(JSON.stringify(window.utag_data || {}));
-        
-        logToDebugConsole(`🔗 utag.link() fired at ${timestamp}`, 'event');
-        logToDebugConsole(`   Data: ${JSON.stringify(data || {}, null, 2)}`, 'data');
-        
-        let result;
-        
-        // Call original function if it exists
-        if (window.utag._originalLink && typeof window.utag._originalLink === 'function') {
-            result = window.utag._originalLink.call(this, data, callback, uids);
-        } else {
-            // Fallback: try to call original utag.link if _originalLink is not available
-            logToDebugConsole('⚠️ Original link function not found, attempting fallback', 'warning');
-            // This shouldn't happen in normal circumstances
-            result = undefined;
-        }
-        
-        // Log post-event state
-        setTimeout(() => {
-            const postDataLayer = JSON.parse(JSON.stringify(window.utag_data || {}));
-            const firedTags = getTagsFromLastEvent();
-            
-            eventDebugState.lastEventData = {
-                type: 'link',
-                data: data || {},
-                timestamp: timestamp,
-                preDataLayer: eventDebugState.preEventDataLayer,
-                postDataLayer: postDataLayer,
-                firedTags: firedTags
-            };
-            
-            logTagFiring('link', data);
-            addToEventHistory('link', data, timestamp, firedTags);
-            showRealTimeDataLayerChanges(eventDebugState.preEventDataLayer, postDataLayer, 'link', data);
-            validateEvent('link', data, timestamp);
-        }, 100);
-        
-        return result;
-    };
+    const utag = window.utag;
+    if (eventDebugState.utagCallListeners.length === 0 && typeof utag !== 'undefined' &&
+        utag.view && utag.view._sandboxUtagHook) {
+        utag.view = utag._originalView;
+        utag.link = utag._originalLink;
+    }
+}
+
+/**
+ * Start event interception
+ */
+function startEventInterception() {
+    if (typeof window.utag === 'undefined') {
+        logToDebugConsole('❌ ERROR: Tealium not loaded. Cannot intercept events.', 'error');
+        return;
+    }
     
+    addUtagCallListener(interceptUtagCall);
     logToDebugConsole('✅ Event interceptors installed', 'success');
 }
 
+/**
+ * Log a utag.view/utag.link call and analyse it once the tags have fired
+ */
+function interceptUtagCall(type, data) {
+    const timestamp = new Date().toISOString();
+    eventDebugState.preEventDataLayer = JSON.parse(JSON.stringify(window.utag_data || {}));
+    
+    logToDebugConsole(`${type === 'view' ? '📄' : '🔗'} utag.${type}() fired at ${timestamp}`, 'event');
+    logToDebugConsole(`   Data: ${JSON.stringify(data || {}, null, 2)}`, 'data');
+    
+    // Log post-event state
+    setTimeout(() => {
+        const postDataLayer = JSON.parse(JSON.stringify(window.utag_data || {}));
+        const firedTags = getTagsFromLastEvent();
+        
+        eventDebugState.lastEventData = {
+            type: type,
+            data: data || {},
+            timestamp: timestamp,
+            preDataLayer: eventDebugState.preEventDataLayer,
+            postDataLayer: postDataLayer,
+            firedTags: firedTags
+        };
+        
+        logTagFiring(type, data);
+        addToEventHistory(type, data, timestamp, firedTags);
+        showRealTimeDataLayerChanges(eventDebugState.preEventDataLayer, postDataLayer, type, data);
+        validateEvent(type, data, timestamp);
+    }, 100);
+}
+
 /**
  * Stop event interception
  */
 function stopEventInterception() {
-    if (typeof window.utag !== 'undefined' && window.utag._originalView) {
-        window.utag.view = window.utag._originalView;
-        window.utag.link = window.utag._originalLink;
-        logToDebugConsole('✅ Event interceptors removed', 'success');
-    }
+    removeUtagCallListener(interceptUtagCall);
+    logToDebugConsole('✅ Event interceptors removed', 'success');
 }
 
 /**
@@ -2116,7 +2288,7 @@ function formatOmnibugStyle(request) {
     // Group parameters by category for better organization
     const grouped = {};
     params.forEach(param => {
-        const category = categorizeParameter(param.key);
+        const category = param.category || categorizeParameter(param.key);
         if (!grouped[category]) {
             grouped[category] = [];
         }
@@ -2141,6 +2313,13 @@ function formatOmnibugStyle(request) {
                           'DOM', 'Browser', 'Tealium', 'Cookie', 'Local Storage', 'Campaign', 
                           'Technical', 'Custom'];
     
+    // Categories introduced by custom decoders go just before Custom
+    Object.keys(grouped).forEach(category => {
+        if (!categoryOrder.includes(category)) {
+            categoryOrder.splice(categoryOrder.length - 1, 0, category);
+        }
+    });
+    
     categoryOrder.forEach(category => {
         if (grouped[category] && grouped[category].length > 0) {
             const categoryColor = getCategoryColor(category);
@@ -2156,7 +2335,10 @@ function formatOmnibugStyle(request) {
                                 </span>
                             </td>
                         ` : ''}
-                        <td class="py-2 px-3 font-mono text-xs text-gray-900 break-all">${escapeHtml(param.key)}</td>
+                        <td class="py-2 px-3 font-mono text-xs text-gray-900 break-all">
+                            ${escapeHtml(param.key)}
+                            ${param.label ? `<div class="font-sans text-gray-500">${escapeHtml(param.label)}</div>` : ''}
+                        </td>
                         <td class="py-2 px-3 text-xs text-gray-700 break-all max-w-md">${escapeHtml(param.value)}</td>
                     </tr>
                 `;
@@ -2171,6 +2353,7 @@ function formatOmnibugStyle(request) {
         <div class="mt-2 pt-2 border-t border-gray-300 text-xs text-gray-600">
             <span class="font-semibold">${params.length}</span> parameters across 
             <span class="font-semibold">${Object.keys(grouped).length}</span> categories
+            ${params[0].decoder ? `&middot; decoded as <span class="font-semibold">${escapeHtml(params[0].decoder)}</span>` : ''}
         </div>
     `;
     
@@ -2269,6 +2452,11 @@ function extractAllParameters(request) {
         }
     }
     
+    // Let the matching vendor decoder unpack its payload and name the parameters
+    if (typeof decodeVendorParameters === 'function') {
+        return decodeVendorParameters(request, params);
+    }
+    
     return params;
 }
 
@@ -5560,6 +5748,11 @@ function performEventValidation(eventType, data) {
         message: `🌐 Network requests: Checking tag network activity...`
     });
     
+    // 7. Team-defined rules for this tealium_event
+    if (typeof applyEventRules === 'function') {
+        results.push(...applyEventRules(eventType, data));
+    }
+    
     return results;
 }
 
@@ -5793,7 +5986,7 @@ function updateNetworkDetailsPanel() {
     // Get recent tag-related network requests
     const recentRequests = eventDebugState.networkRequests
         .filter(req => req.isTagRelated)
-        .slice(0, 15); // Show last 15 requests to optimize performance
+        .slice(0, eventDebugState.networkDisplayLimit); // Show the latest requests (15 by default, more while browsing a HAR import) to optimize performance
     
     // Update network statistics
     updateNetworkStatistics(recentRequests);
@@ -6101,6 +6294,7 @@ function formatPayload(payload) {
  */
 function clearNetworkDetails() {
     eventDebugState.networkRequests = [];
+    eventDebugState.networkDisplayLimit = 15;
     const container = document.getElementById('networkDetails');
     if (container) {
         container.innerHTML = `
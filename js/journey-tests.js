@@ -0,0 +1,433 @@
+/**
+ * Journey Test Runner for Tealium Sandbox
+ * Runs a scripted journey (set data layer, utag.view, utag.link, wait) against the loaded profile
+ * and checks assertions after each step - tags fired, vendor request parameters, load rules, data layer values -
+ * producing a pass/fail report that can be used to regression-test a profile after a publish
+ */
+
+const JOURNEY_TEST_STORAGE_KEY = 'tealium-sandbox-journey-test';
+
+/**
+ * Default time to let tags load and send after a view/link before asserting
+ */
+const JOURNEY_DEFAULT_SETTLE_MS = 1500;
+
+/**
+ * Example journey shown when nothing is saved yet
+ */
+const JOURNEY_TEST_EXAMPLE = {
+    name: 'Checkout regression',
+    steps: [
+        {
+            action: 'view',
+            label: 'Product page',
+            data: { page_type: 'product', page_name: 'Premium Widget', product_id: ['PROD_001'], product_price: ['99.99'] },
+            expect: [
+                { dataLayer: 'page_type', equals: 'product' },
+                { tagsFired: [] }
+            ]
+        },
+        {
+            action: 'link',
+            label: 'Purchase',
+            data: { tealium_event: 'purchase', order_id: 'ORD_1001', order_total: '99.99', product_id: ['PROD_001'], product_price: ['99.99'], product_quantity: ['1'] },
+            wait: 2000,
+            expect: [
+                { tagsFired: [] },
+                { request: { vendor: 'Tealium', param: 'tealium_event', value: 'purchase' } }
+            ]
+        },
+        { action: 'wait', ms: 500 }
+    ]
+};
+
+/**
+ * Parse a journey from JSON, or from JavaScript that returns the journey object
+ * (JS journeys can use functions: { action: 'run', fn: () => ... } and { check: (context) => true | 'reason' })
+ */
+function parseJourneyTest(text, fileName = '') {
+    const source = String(text || '').trim();
+    if (!source) throw new Error('The journey is empty');
+
+    let journey;
+    if (/\.js$/i.test(fileName) || !/^[{[]/.test(source)) {
+        journey = new Function(source.includes('return') ? source : `return (${source});`)();
+    } else {
+        journey = JSON.parse(source);
+    }
+
+    if (Array.isArray(journey)) journey = { steps: journey };
+    if (!journey || !Array.isArray(journey.steps) || journey.steps.length === 0) {
+        throw new Error('A journey needs a "steps" array');
+    }
+    return { name: journey.name || fileName || 'Journey test', steps: journey.steps, settle: journey.settle };
+}
+
+/**
+ * Promise that resolves after ms milliseconds
+ */
+function waitForJourney(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Record which tags send during a step, in this window or another (e.g. a comparison iframe).
+ * utag.sender[uid].send is wrapped for tags that are already loaded, utag.loader.LOAD for tags
+ * loaded by this step, and "SENDING: uid" utag.DB output captured by the console monitor is added on collection.
+ */
+function startJourneyTagRecorder(target = window) {
+    const recorder = { startTime: Date.now(), tags: new Set(), restore: [], target: target };
+    const utag = target.utag;
+    if (!utag) return recorder;
+
+    Object.entries(utag.sender || {}).forEach(([uid, sender]) => {
+        if (!sender || typeof sender.send !== 'function') return;
+        const original = sender.send;
+        sender.send = function() {
+            recorder.tags.add(parseInt(uid));
+            return original.apply(this, arguments);
+        };
+        recorder.restore.push(() => { sender.send = original; });
+    });
+
+    if (utag.loader && typeof utag.loader.LOAD === 'function') {
+        const originalLoad = utag.loader.LOAD;
+        utag.loader.LOAD = function(uid) {
+            recorder.tags.add(parseInt(uid));
+            return originalLoad.apply(this, arguments);
+        };
+        recorder.restore.push(() => { utag.loader.LOAD = originalLoad; });
+    }
+
+    return recorder;
+}
+
+/**
+ * Stop recording and return the tags that fired during the step
+ */
+function stopJourneyTagRecorder(recorder) {
+    recorder.restore.forEach(restore => restore());
+
+    // The captured utag.DB console only covers this window, not a comparison iframe
+    (recorder.target === window ? eventDebugState.recentConsoleLogs || [] : []).forEach(logEntry => {
+        if (typeof logEntry !== 'object' || !logEntry.timestamp || logEntry.timestamp < recorder.startTime) return;
+        const match = String(logEntry.message || '').match(/SENDING:\s*(\d+)/);
+        if (match) recorder.tags.add(parseInt(match[1]));
+    });
+
+    return [...recorder.tags].filter(uid => !isNaN(uid)).sort((a, b) => a - b);
+}
+
+/**
+ * Does a captured request match a { vendor, url, param, value, pattern } expectation?
+ */
+function journeyRequestMatches(request, expected) {
+    if (expected.vendor) {
+        const decoder = typeof findVendorDecoder === 'function' ? findVendorDecoder(request.url, request) : null;
+        const names = [request.vendor, decoder && decoder.id, decoder && decoder.name].filter(Boolean).map(name => name.toLowerCase());
+        if (!names.some(name => name.includes(expected.vendor.toLowerCase()))) return false;
+    }
+    if (expected.url && !String(request.url).includes(expected.url)) return false;
+    if (!expected.param) return true;
+
+    return extractAllParameters(request).some(param => {
+        if (param.key !== expected.param) return false;
+        if (expected.value !== undefined) return String(param.value) === String(expected.value);
+        if (expected.pattern) return new RegExp(expected.pattern).test(String(param.value));
+        return true;
+    });
+}
+
+/**
+ * Check one assertion against the state after a step
+ */
+function checkJourneyAssertion(assertion, context) {
+    if (typeof assertion.check === 'function') {
+        const outcome = assertion.check(context);
+        return {
+            description: assertion.description || 'Custom check',
+            passed: outcome === true || outcome === undefined,
+            message: typeof outcome === 'string' ? outcome : ''
+        };
+    }
+
+    if (assertion.tagsFired) {
+        const missing = assertion.tagsFired.map(Number).filter(uid => !context.tagsFired.includes(uid));
+        return {
+            description: `Tags fired: ${assertion.tagsFired.join(', ') || '(any)'}`,
+            passed: assertion.tagsFired.length ? missing.length === 0 : context.tagsFired.length > 0,
+            message: `Fired: ${context.tagsFired.join(', ') || 'none'}${missing.length ? ` - missing ${missing.join(', ')}` : ''}`
+        };
+    }
+
+    if (assertion.tagsNotFired) {
+        const fired = assertion.tagsNotFired.map(Number).filter(uid => context.tagsFired.includes(uid));
+        return {
+            description: `Tags not fired: ${assertion.tagsNotFired.join(', ')}`,
+            passed: fired.length === 0,
+            message: fired.length ? `Unexpectedly fired: ${fired.join(', ')}` : ''
+        };
+    }
+
+    if (assertion.request) {
+        const expected = assertion.request;
+        const matches = context.requests.filter(request => journeyRequestMatches(request, expected));
+        const description = `Request${expected.vendor ? ` to ${expected.vendor}` : ''}${expected.url ? ` (${expected.url})` : ''}` +
+            (expected.param ? ` with ${expected.param}${expected.value !== undefined ? `=${expected.value}` : expected.pattern ? ` ~ /${expected.pattern}/` : ''}` : '');
+        const passed = assertion.count !== undefined ? matches.length === assertion.count : matches.length > 0;
+        return {
+            description: description,
+            passed: assertion.absent ? matches.length === 0 : passed,
+            message: `${matches.length} matching of ${context.requests.length} request(s) in this step`
+        };
+    }
+
+    if (assertion.loadRule !== undefined) {
+        const cond = window.utag?.cond || {};
+        const actual = !!cond[assertion.loadRule];
+        const expected = assertion.is !== false;
+        return {
+            description: `Load rule ${assertion.loadRule} is ${expected}`,
+            passed: actual === expected,
+            message: cond[assertion.loadRule] === undefined ? 'Load rule not found in utag.cond' : `Actual: ${actual}`
+        };
+    }
+
+    if (assertion.dataLayer) {
+        const data = window.utag?.data || window.utag_data || {};
+        const actual = data[assertion.dataLayer];
+        let passed;
+        if (assertion.equals !== undefined) passed = JSON.stringify(actual) === JSON.stringify(assertion.equals);
+        else if (assertion.pattern) passed = actual !== undefined && new RegExp(assertion.pattern).test(String(actual));
+        else passed = assertion.exists === false ? actual === undefined : actual !== undefined;
+        return {
+            description: `Data layer ${assertion.dataLayer}${assertion.equals !== undefined ? ` = ${JSON.stringify(assertion.equals)}` : assertion.pattern ? ` ~ /${assertion.pattern}/` : assertion.exists === false ? ' absent' : ' present'}`,
+            passed: passed,
+            message: `Actual: ${actual === undefined ? 'undefined' : JSON.stringify(actual)}`
+        };
+    }
+
+    return { description: JSON.stringify(assertion), passed: false, message: 'Unknown assertion type' };
+}
+
+/**
+ * Perform a step's action
+ */
+function runJourneyAction(step) {
+    const utag = window.utag;
+
+    switch (step.action) {
+        case 'setDataLayer':
+            window.utag_data = step.replace ? { ...step.data } : Object.assign(window.utag_data || {}, step.data);
+            return;
+        case 'view':
+        case 'link':
+            if (!utag || typeof utag[step.action] !== 'function') {
+                throw new Error(`utag.${step.action} is not available - load a Tealium profile first`);
+            }
+            utag[step.action](step.data ? { ...step.data } : window.utag_data);
+            return;
+        case 'run':
+            if (typeof step.fn !== 'function') throw new Error('"run" steps need an fn function (JS journeys only)');
+            return step.fn();
+        case 'wait':
+            return;
+        default:
+            throw new Error(`Unknown action "${step.action}"`);
+    }
+}
+
+/**
+ * Run a journey and resolve with the report
+ */
+async function runJourneyTest(journey, onProgress) {
+    const startedAt = Date.now();
+    const report = { name: journey.name, startedAt: new Date(startedAt).toISOString(), steps: [], passed: 0, failed: 0, total: 0 };
+
+    for (let i = 0; i < journey.steps.length; i++) {
+        const step = journey.steps[i];
+        const stepStart = Date.now();
+        const result = { index: i + 1, action: step.action, label: step.label || step.action, assertions: [], tagsFired: [], requests: 0 };
+        const recorder = startJourneyTagRecorder();
+
+        try {
+            await runJourneyAction(step);
+            const settle = step.action === 'wait'
+                ? (step.ms || 0)
+                : step.wait !== undefined ? step.wait : (['view', 'link'].includes(step.action) ? (journey.settle || JOURNEY_DEFAULT_SETTLE_MS) : 0);
+            if (settle) await waitForJourney(settle);
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        result.tagsFired = stopJourneyTagRecorder(recorder);
+        const requests = eventDebugState.networkRequests.filter(request => request.startTime >= stepStart);
+        result.requests = requests.length;
+
+        const context = { step, tagsFired: result.tagsFired, requests, utag: window.utag };
+        (step.expect || []).forEach(assertion => {
+            try {
+                result.assertions.push(checkJourneyAssertion(assertion, context));
+            } catch (error) {
+                result.assertions.push({ description: assertion.description || JSON.stringify(assertion), passed: false, message: error.message });
+            }
+        });
+
+        if (result.error) {
+            result.assertions.unshift({ description: `Step ${result.index} runs`, passed: false, message: result.error });
+        }
+
+        result.passed = result.assertions.every(assertion => assertion.passed);
+        result.duration = Date.now() - stepStart;
+        report.steps.push(result);
+        report.total += result.assertions.length;
+        report.failed += result.assertions.filter(assertion => !assertion.passed).length;
+
+        if (typeof onProgress === 'function') onProgress(result, report);
+    }
+
+    report.passed = report.total - report.failed;
+    report.success = report.failed === 0;
+    report.duration = Date.now() - startedAt;
+    return report;
+}
+
+/**
+ * Run the journey in the editor from the Events section
+ */
+async function runJourneyTestFromEditor() {
+    const input = document.getElementById('journeyTestDefinition');
+    let journey;
+    try {
+        journey = parseJourneyTest(input ? input.value : '', input?.dataset.fileName || '');
+    } catch (error) {
+        showToast(`Invalid journey: ${error.message}`, 'error');
+        return null;
+    }
+
+    localStorage.setItem(JOURNEY_TEST_STORAGE_KEY, input.value);
+    const container = document.getElementById('journeyTestResults');
+    if (container) {
+        container.innerHTML = `<div class="text-sm text-blue-600"><i class="fas fa-spinner fa-spin mr-2"></i>Running ${escapeHtml(journey.name)}...</div>`;
+    }
+
+    logEvent('JOURNEY_TEST_START', `Running journey test ${journey.name}`, { steps: journey.steps.length });
+    const report = await runJourneyTest(journey, (step, partial) => renderJourneyTestReport(partial, true));
+    window.journeyTestReport = report;
+    renderJourneyTestReport(report);
+
+    showToast(`${journey.name}: ${report.passed}/${report.total} assertion(s) passed`, report.success ? 'success' : 'error');
+    logEvent('JOURNEY_TEST_COMPLETE', `${journey.name}: ${report.success ? 'PASS' : 'FAIL'}`, {
+        passed: report.passed,
+        failed: report.failed,
+        duration: report.duration
+    });
+    return report;
+}
+
+/**
+ * Load a .json or .js journey file into the editor
+ */
+function loadJourneyTestFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const input = document.getElementById('journeyTestDefinition');
+        if (!input) return;
+        input.value = e.target.result;
+        input.dataset.fileName = file.name;
+        showToast(`Loaded ${file.name}`, 'success');
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Put the example journey in the editor
+ */
+function loadJourneyTestExample() {
+    const input = document.getElementById('journeyTestDefinition');
+    if (!input) return;
+    input.value = JSON.stringify(JOURNEY_TEST_EXAMPLE, null, 2);
+    delete input.dataset.fileName;
+}
+
+/**
+ * Download the last report as JSON
+ */
+function exportJourneyTestReport() {
+    const report = window.journeyTestReport;
+    if (!report) {
+        showToast('Run a journey test first', 'warning');
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tealium-journey-report-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Render a (possibly partial) report
+ */
+function renderJourneyTestReport(report, running = false) {
+    const container = document.getElementById('journeyTestResults');
+    if (!container) return;
+
+    const failed = report.steps.reduce((sum, step) => sum + step.assertions.filter(assertion => !assertion.passed).length, 0);
+    const total = report.steps.reduce((sum, step) => sum + step.assertions.length, 0);
+    const statusClass = running ? 'bg-blue-100 text-blue-800' : failed ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800';
+    const statusText = running ? 'RUNNING' : failed ? 'FAIL' : 'PASS';
+
+    container.innerHTML = `
+        <div class="flex items-center justify-between mb-3">
+            <span class="font-medium text-gray-900">${escapeHtml(report.name)}</span>
+            <span class="text-xs space-x-2">
+                <span class="${statusClass} px-2 py-1 rounded font-bold">${statusText}</span>
+                <span class="bg-gray-100 text-gray-700 px-2 py-1 rounded">${total - failed}/${total} passed</span>
+                ${report.duration ? `<span class="bg-gray-100 text-gray-700 px-2 py-1 rounded">${(report.duration / 1000).toFixed(1)}s</span>` : ''}
+            </span>
+        </div>
+        <div class="space-y-2">
+            ${report.steps.map(step => `
+                <div class="text-sm border-l-4 ${step.passed ? 'border-green-400' : 'border-red-400'} pl-3">
+                    <div class="font-medium text-gray-800">
+                        ${step.index}. ${escapeHtml(step.label)}
+                        <span class="text-xs text-gray-500 font-normal">${escapeHtml(step.action)} &middot; tags ${step.tagsFired.join(', ') || 'none'} &middot; ${step.requests} request(s)</span>
+                    </div>
+                    ${step.assertions.map(assertion => `
+                        <div class="${assertion.passed ? 'text-green-700' : 'text-red-700'}">
+                            ${assertion.passed ? '✅' : '❌'} ${escapeHtml(assertion.description)}
+                            ${assertion.message ? `<span class="text-xs text-gray-500">(${escapeHtml(assertion.message)})</span>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Restore the last journey into the editor
+ */
+function initializeJourneyTests() {
+    const input = document.getElementById('journeyTestDefinition');
+    if (input && !input.value) {
+        input.value = localStorage.getItem(JOURNEY_TEST_STORAGE_KEY) || JSON.stringify(JOURNEY_TEST_EXAMPLE, null, 2);
+    }
+}
+
+// Expose functions globally for HTML event handlers
+window.parseJourneyTest = parseJourneyTest;
+window.runJourneyTest = runJourneyTest;
+window.runJourneyTestFromEditor = runJourneyTestFromEditor;
+window.loadJourneyTestFile = loadJourneyTestFile;
+window.loadJourneyTestExample = loadJourneyTestExample;
+window.exportJourneyTestReport = exportJourneyTestReport;
+window.initializeJourneyTests = initializeJourneyTests;
@@ -0,0 +1,648 @@
+/**
+ * Load Rule Parser for Tealium Sandbox
+ * Tokenizes utag.loader.loadrules source and builds a condition tree
+ * (AND/OR/NOT with recognised Tealium idioms as leaves) for each c[N] |= (...) rule
+ */
+
+/**
+ * Multi-character punctuators, longest first so '!==' wins over '!='
+ */
+const LOAD_RULE_PUNCTUATORS = ['===', '!==', '|=', '&=', '||', '&&', '==', '!=', '<=', '>=', '+=', '-=', '=>'];
+
+/**
+ * Keywords after which a '/' starts a regex literal rather than a division
+ */
+const LOAD_RULE_REGEX_KEYWORDS = ['return', 'typeof', 'case', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof'];
+
+/**
+ * Labels for operators the parser recognises that the rule builder doesn't offer
+ */
+const LOAD_RULE_PARSER_LABELS = {
+    'truthy': 'exists and is truthy',
+    'falsy': 'does not exist or is falsy',
+    'greater_or_equal': 'is greater than or equal to',
+    'less_or_equal': 'is less than or equal to'
+};
+
+/**
+ * Operators that have a direct opposite, used to fold !(...) into the leaf
+ */
+const LOAD_RULE_NEGATIONS = {
+    'equals': 'not_equals', 'not_equals': 'equals',
+    'contains': 'not_contains', 'not_contains': 'contains',
+    'defined': 'not_defined', 'not_defined': 'defined',
+    'truthy': 'falsy', 'falsy': 'truthy',
+    'greater_than': 'less_or_equal', 'less_or_equal': 'greater_than',
+    'less_than': 'greater_or_equal', 'greater_or_equal': 'less_than'
+};
+
+/**
+ * Split JavaScript source into tokens. Handles strings, regex literals,
+ * numbers, identifiers, punctuators and comments - enough for loadrules code.
+ */
+function tokenizeLoadRuleSource(source) {
+    const tokens = [];
+    let i = 0;
+
+    const previousAllowsRegex = () => {
+        const prev = tokens[tokens.length - 1];
+        if (!prev) return true;
+        if (prev.type === 'identifier') return LOAD_RULE_REGEX_KEYWORDS.includes(prev.value);
+        if (prev.type === 'punctuator') return ![')', ']', '}'].includes(prev.value);
+        return false;
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const start = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '/' && source[i + 1] === '/') {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (char === '/' && source[i + 1] === '*') {
+            const end = source.indexOf('*/', i + 2);
+            i = end === -1 ? source.length : end + 2;
+        } else if (char === '"' || char === "'" || char === '`') {
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== char) {
+                if (source[i] === '\\') {
+                    const escaped = source[i + 1];
+                    value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+                    i += 2;
+                } else {
+                    value += source[i++];
+                }
+            }
+            i++;
+            tokens.push({ type: 'string', value: value, start: start, end: i });
+        } else if (char === '/' && previousAllowsRegex()) {
+            let inClass = false;
+            i++;
+            while (i < source.length && (inClass || source[i] !== '/')) {
+                if (source[i] === '\\') i++;
+                else if (source[i] === '[') inClass = true;
+                else if (source[i] === ']') inClass = false;
+                i++;
+            }
+            const pattern = source.substring(start + 1, i);
+            i++;
+            const flagsStart = i;
+            while (i < source.length && /[a-z]/i.test(source[i])) i++;
+            tokens.push({ type: 'regex', value: pattern, flags: source.substring(flagsStart, i), start: start, end: i });
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+            while (i < source.length && /[0-9a-fA-FxX.eE]/.test(source[i])) i++;
+            tokens.push({ type: 'number', value: Number(source.substring(start, i)), start: start, end: i });
+        } else if (/[A-Za-z_$]/.test(char)) {
+            while (i < source.length && /[\w$]/.test(source[i])) i++;
+            tokens.push({ type: 'identifier', value: source.substring(start, i), start: start, end: i });
+        } else {
+            const punctuator = LOAD_RULE_PUNCTUATORS.find(p => source.startsWith(p, i)) || char;
+            i += punctuator.length;
+            tokens.push({ type: 'punctuator', value: punctuator, start: start, end: i });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive descent parser for the expression on the right of c[N] |=
+ * Returns { node, next } where next is the index of the first unconsumed token.
+ */
+function parseLoadRuleExpression(tokens, startIndex) {
+    let index = startIndex;
+
+    const peek = () => tokens[index];
+    const isPunctuator = (value) => peek() && peek().type === 'punctuator' && peek().value === value;
+    const expect = (value) => {
+        if (!isPunctuator(value)) {
+            const token = peek();
+            throw new Error(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of input'}`);
+        }
+        return tokens[index++];
+    };
+    const node = (type, start, props) => ({ type: type, start: start, end: tokens[index - 1].end, ...props });
+
+    // Depth of (), [] and call arguments, where an operand can only be followed by these tokens
+    let nesting = 0;
+    const nested = (parse) => {
+        nesting++;
+        try {
+            return parse();
+        } finally {
+            nesting--;
+        }
+    };
+
+    // instanceof and in are identifier tokens, every other operator a punctuator
+    const isOperator = (operators) => peek() && ['punctuator', 'identifier'].includes(peek().type) && operators.includes(peek().value);
+
+    const binaryLevel = (operators, parseOperand, type = 'binary') => () => {
+        let left = parseOperand();
+        while (isOperator(operators)) {
+            const operator = tokens[index++].value;
+            const right = parseOperand();
+            left = { type: type, operator: operator, left: left, right: right, start: left.start, end: right.end };
+        }
+        return left;
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of input');
+        index++;
+
+        if (token.type === 'string' || token.type === 'number') {
+            return node('literal', token.start, { value: token.value });
+        }
+        if (token.type === 'regex') {
+            return node('regex', token.start, { pattern: token.value, flags: token.flags });
+        }
+        if (token.type === 'identifier') {
+            if (token.value === 'true' || token.value === 'false') return node('literal', token.start, { value: token.value === 'true' });
+            if (token.value === 'null') return node('literal', token.start, { value: null });
+            return node('identifier', token.start, { name: token.value });
+        }
+        if (token.value === '(') {
+            const inner = nested(parseConditional);
+            expect(')');
+            return { ...inner, start: token.start, end: tokens[index - 1].end };
+        }
+        throw new Error(`Unexpected token "${token.value}"`);
+    };
+
+    const parsePostfix = () => {
+        let expression = parsePrimary();
+        for (;;) {
+            if (isPunctuator('.')) {
+                index++;
+                const property = tokens[index++];
+                if (!property || property.type !== 'identifier') throw new Error('Expected property name after "."');
+                expression = node('member', expression.start, { object: expression, property: property.value, computed: false });
+            } else if (isPunctuator('[')) {
+                index++;
+                const property = nested(parseConditional);
+                expect(']');
+                expression = node('member', expression.start, {
+                    object: expression,
+                    property: property.type === 'literal' ? String(property.value) : property,
+                    computed: true
+                });
+            } else if (isPunctuator('(')) {
+                index++;
+                const args = [];
+                while (!isPunctuator(')')) {
+                    args.push(nested(parseConditional));
+                    if (!isPunctuator(')')) expect(',');
+                }
+                expect(')');
+                expression = node('call', expression.start, { callee: expression, arguments: args });
+            } else {
+                return expression;
+            }
+        }
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token && ((token.type === 'punctuator' && ['!', '-', '+'].includes(token.value)) || (token.type === 'identifier' && token.value === 'typeof'))) {
+            index++;
+            const argument = parseUnary();
+            if (token.value === '-' && argument.type === 'literal' && typeof argument.value === 'number') {
+                return node('literal', token.start, { value: -argument.value });
+            }
+            return node('unary', token.start, { operator: token.value, argument: argument });
+        }
+        return parsePostfix();
+    };
+
+    const parseAdditive = binaryLevel(['+', '-'], parseUnary);
+    const parseRelational = binaryLevel(['<', '>', '<=', '>=', 'instanceof', 'in'], parseAdditive);
+    const parseEquality = binaryLevel(['==', '!=', '===', '!=='], parseRelational);
+
+    // An operand of && / || that can't be parsed becomes an 'unparsed' node spanning up to the next
+    // top-level &&, ||, ?, :, comma or closing bracket, so the rest of the rule still parses
+    const parseLogicalOperand = () => {
+        const startIndex = index;
+        try {
+            const operand = parseEquality();
+            if (nesting > 0 && peek() && !isOperator(['&&', '||', '?', ':', ')', ']', ','])) {
+                throw new Error(`Unexpected token "${peek().value}"`);
+            }
+            return operand;
+        } catch (error) {
+            index = startIndex;
+            let depth = 0;
+            while (peek()) {
+                const token = peek();
+                if (token.type === 'punctuator') {
+                    if (['(', '[', '{'].includes(token.value)) depth++;
+                    if ([')', ']', '}'].includes(token.value)) {
+                        if (depth === 0) break;
+                        depth--;
+                    }
+                    if (depth === 0 && ['&&', '||', '?', ':', ',', ';'].includes(token.value)) break;
+                }
+                index++;
+            }
+            if (index === startIndex) throw error;
+            return node('unparsed', tokens[startIndex].start, { error: error.message });
+        }
+    };
+
+    const parseAnd = binaryLevel(['&&'], parseLogicalOperand, 'logical');
+    const parseOr = binaryLevel(['||'], parseAnd, 'logical');
+
+    function parseConditional() {
+        const test = parseOr();
+        if (!isPunctuator('?')) return test;
+        index++;
+        const consequent = parseConditional();
+        expect(':');
+        const alternate = parseConditional();
+        return { type: 'conditional', test: test, consequent: consequent, alternate: alternate, start: test.start, end: alternate.end };
+    }
+
+    const expression = parseConditional();
+    return { node: expression, next: index };
+}
+
+/**
+ * Find every c[ruleId] |= (...) statement in the source and parse its expression
+ */
+function findLoadRuleAssignments(source, ruleId) {
+    const tokens = tokenizeLoadRuleSource(source);
+    const assignments = [];
+
+    for (let i = 0; i + 4 < tokens.length; i++) {
+        const isAssignment = tokens[i].type === 'identifier' &&
+            tokens[i + 1].value === '[' &&
+            String(tokens[i + 2].value) === String(ruleId) && tokens[i + 2].type !== 'punctuator' &&
+            tokens[i + 3].value === ']' &&
+            tokens[i + 4].value === '|=';
+
+        if (isAssignment) {
+            const { node, next } = parseLoadRuleExpression(tokens, i + 5);
+            assignments.push({ ast: node, source: source.substring(node.start, node.end) });
+            i = next - 1;
+        }
+    }
+
+    return assignments;
+}
+
+/**
+ * Find each tag's load expression in utag.loader.initcfg source ("7":{load:utag.cond[5],...})
+ * Returns a map of tag UID to { ast, source }
+ */
+function findTagLoadExpressions(source) {
+    const tokens = tokenizeLoadRuleSource(source);
+    const expressions = {};
+
+    for (let i = 0; i + 5 < tokens.length; i++) {
+        const isTagEntry = (tokens[i].type === 'string' || tokens[i].type === 'number') && /^\d+$/.test(String(tokens[i].value)) &&
+            tokens[i + 1].value === ':' && tokens[i + 2].value === '{' &&
+            tokens[i + 3].type === 'identifier' && tokens[i + 3].value === 'load' && tokens[i + 4].value === ':';
+
+        if (isTagEntry) {
+            const { node, next } = parseLoadRuleExpression(tokens, i + 5);
+            expressions[String(tokens[i].value)] = { ast: node, source: source.substring(node.start, node.end) };
+            i = next - 1;
+        }
+    }
+
+    return expressions;
+}
+
+/**
+ * Evaluate a tag load expression against a utag.cond-like object.
+ * Supports literals, utag.cond[N], !, &&, || and comparisons; returns undefined for anything else.
+ */
+function evaluateLoadFlagExpression(node, cond) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'member': {
+            const isCond = node.computed && node.object.type === 'member' && node.object.property === 'cond' &&
+                node.object.object.type === 'identifier' && node.object.object.name === 'utag';
+            return isCond ? cond[node.property] : undefined;
+        }
+        case 'unary': {
+            const value = evaluateLoadFlagExpression(node.argument, cond);
+            if (value === undefined) return undefined;
+            return node.operator === '!' ? !value : (node.operator === '-' ? -value : undefined);
+        }
+        case 'logical': {
+            const left = evaluateLoadFlagExpression(node.left, cond);
+            const right = evaluateLoadFlagExpression(node.right, cond);
+            if (left === undefined || right === undefined) return undefined;
+            return node.operator === '&&' ? (left && right) : (left || right);
+        }
+        case 'binary': {
+            const left = evaluateLoadFlagExpression(node.left, cond);
+            const right = evaluateLoadFlagExpression(node.right, cond);
+            if (left === undefined || right === undefined) return undefined;
+            const comparisons = {
+                '==': (a, b) => a == b, '!=': (a, b) => a != b, '===': (a, b) => a === b, '!==': (a, b) => a !== b,
+                '>': (a, b) => a > b, '<': (a, b) => a < b, '>=': (a, b) => a >= b, '<=': (a, b) => a <= b
+            };
+            return comparisons[node.operator] ? comparisons[node.operator](left, right) : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Name of the data layer variable a node refers to (d['x'], d.x, b['x'], utag.data['x']), or null
+ */
+function getLoadRuleVariableName(node) {
+    if (node.type !== 'member' || typeof node.property !== 'string') return null;
+
+    const object = node.object;
+    if (object.type === 'identifier' && (object.name === 'd' || object.name === 'b')) return node.property;
+    if (object.type === 'member' && object.property === 'data' && object.object.type === 'identifier' && object.object.name === 'utag') {
+        return node.property;
+    }
+    return null;
+}
+
+/**
+ * Strip .toString() / .toLowerCase() / .toUpperCase() calls from a subject
+ */
+function unwrapLoadRuleSubject(node) {
+    let ignoreCase = false;
+    let current = node;
+
+    while (current.type === 'call' && current.arguments.length === 0 && current.callee.type === 'member' &&
+        ['toString', 'toLowerCase', 'toUpperCase'].includes(current.callee.property)) {
+        if (current.callee.property !== 'toString') ignoreCase = true;
+        current = current.callee.object;
+    }
+
+    return { node: current, ignoreCase: ignoreCase };
+}
+
+/**
+ * Literal value of a node, allowing 'x'.toLowerCase() and parseFloat('x'). Returns undefined when not a literal.
+ */
+function getLoadRuleLiteralValue(node) {
+    const unwrapped = unwrapLoadRuleSubject(node).node;
+    if (unwrapped.type === 'literal') return unwrapped.value;
+    if (unwrapped.type === 'call' && unwrapped.callee.type === 'identifier' &&
+        ['parseFloat', 'parseInt', 'Number'].includes(unwrapped.callee.name) && unwrapped.arguments[0]?.type === 'literal') {
+        return unwrapped.arguments[0].value;
+    }
+    return undefined;
+}
+
+/**
+ * Build a leaf for a recognised comparison
+ */
+function createLoadRuleTreeLeaf(subjectNode, operator, value, ignoreCase, source) {
+    const variable = getLoadRuleVariableName(subjectNode);
+    return {
+        type: 'condition',
+        variable: variable !== null ? variable : source.substring(subjectNode.start, subjectNode.end),
+        isDataLayer: variable !== null,
+        operator: operator,
+        value: value === undefined || value === null ? '' : String(value),
+        ignoreCase: !!ignoreCase,
+        source: source.substring(subjectNode.start, subjectNode.end)
+    };
+}
+
+/**
+ * Classify a comparison or call node into a leaf, or return null
+ */
+function classifyLoadRuleComparison(node, source) {
+    const leaf = (subject, operator, value, ignoreCase) => ({
+        ...createLoadRuleTreeLeaf(subject, operator, value, ignoreCase, source),
+        source: source.substring(node.start, node.end)
+    });
+
+    // /pattern/flags.test(subject)
+    if (node.type === 'call' && node.callee.type === 'member' && node.callee.property === 'test' &&
+        node.callee.object.type === 'regex' && node.arguments.length === 1) {
+        const regex = node.callee.object;
+        const subject = unwrapLoadRuleSubject(node.arguments[0]);
+        return leaf(subject.node, 'regex', regex.pattern.replace(/\\\//g, '/'), regex.flags.includes('i') || subject.ignoreCase);
+    }
+
+    if (node.type !== 'binary') return null;
+
+    let { left, right, operator } = node;
+    const loose = operator.replace(/===?/, '==').replace(/!==?/, '!=');
+
+    // typeof subject != 'undefined'
+    const typeofSide = left.type === 'unary' && left.operator === 'typeof' ? left : (right.type === 'unary' && right.operator === 'typeof' ? right : null);
+    if (typeofSide) {
+        const other = typeofSide === left ? right : left;
+        if (other.type === 'literal' && other.value === 'undefined' && (loose === '==' || loose === '!=')) {
+            return leaf(typeofSide.argument, loose === '!=' ? 'defined' : 'not_defined', '', false);
+        }
+        return null;
+    }
+
+    // Put the literal on the right so 'x' == d['y'] reads the same as d['y'] == 'x'
+    if (getLoadRuleLiteralValue(left) !== undefined && getLoadRuleLiteralValue(right) === undefined) {
+        [left, right] = [right, left];
+        operator = { '<': '>', '>': '<', '<=': '>=', '>=': '<=' }[operator] || operator;
+    }
+    const expected = getLoadRuleLiteralValue(right);
+    if (expected === undefined) return null;
+
+    // subject.toString()[.toLowerCase()].indexOf('value') compared against -1 / 0
+    if (left.type === 'call' && left.callee.type === 'member' && left.callee.property === 'indexOf' && left.arguments.length === 1) {
+        const subject = unwrapLoadRuleSubject(left.callee.object);
+        const needle = getLoadRuleLiteralValue(left.arguments[0]);
+        if (needle === undefined || typeof expected !== 'number') return null;
+
+        const comparison = `${operator.replace(/===?/, '==').replace(/!==?/, '!=')}${expected}`;
+        const operators = {
+            '>-1': 'contains', '!=-1': 'contains', '>=0': 'contains',
+            '<0': 'not_contains', '==-1': 'not_contains', '<=-1': 'not_contains',
+            '==0': 'starts_with'
+        };
+        return operators[comparison] ? leaf(subject.node, operators[comparison], needle, subject.ignoreCase) : null;
+    }
+
+    // parseFloat(subject) > parseFloat('10')
+    if (left.type === 'call' && left.callee.type === 'identifier' && ['parseFloat', 'parseInt', 'Number'].includes(left.callee.name) && left.arguments.length === 1) {
+        const numericOperators = { '>': 'greater_than', '<': 'less_than', '>=': 'greater_or_equal', '<=': 'less_or_equal', '==': 'equals', '!=': 'not_equals' };
+        const numericOperator = numericOperators[loose] || numericOperators[operator];
+        return numericOperator ? leaf(unwrapLoadRuleSubject(left.arguments[0]).node, numericOperator, expected, false) : null;
+    }
+
+    // subject[.toString()[.toLowerCase()]] == 'value'
+    const subject = unwrapLoadRuleSubject(left);
+    if (loose === '==' || loose === '!=') {
+        return leaf(subject.node, loose === '==' ? 'equals' : 'not_equals', expected, subject.ignoreCase);
+    }
+    const relational = { '>': 'greater_than', '<': 'less_than', '>=': 'greater_or_equal', '<=': 'less_or_equal' };
+    return relational[operator] ? leaf(subject.node, relational[operator], expected, false) : null;
+}
+
+/**
+ * Turn a parsed expression into a condition tree.
+ * Nodes: { type: 'and'|'or', children }, { type: 'not', child }, { type: 'condition', ... }, { type: 'expression', source }
+ */
+function buildLoadRuleConditionTree(node, source) {
+    if (node.type === 'logical') {
+        const type = node.operator === '&&' ? 'and' : 'or';
+        const children = [];
+        [node.left, node.right].forEach(side => {
+            const child = buildLoadRuleConditionTree(side, source);
+            if (child.type === type) children.push(...child.children);
+            else children.push(child);
+        });
+        return type === 'and' ? mergeLoadRuleGuards({ type: 'and', children: children }) : { type: 'or', children: children };
+    }
+
+    if (node.type === 'unary' && node.operator === '!') {
+        const child = buildLoadRuleConditionTree(node.argument, source);
+        if (child.type === 'condition' && LOAD_RULE_NEGATIONS[child.operator]) {
+            return { ...child, operator: LOAD_RULE_NEGATIONS[child.operator], source: source.substring(node.start, node.end) };
+        }
+        if (child.type === 'not') return child.child;
+        return { type: 'not', child: child };
+    }
+
+    const comparison = classifyLoadRuleComparison(node, source);
+    if (comparison) return comparison;
+
+    // A bare reference is a truthiness check
+    if (node.type === 'member' || node.type === 'identifier') {
+        return { ...createLoadRuleTreeLeaf(node, 'truthy', '', false, source), source: source.substring(node.start, node.end) };
+    }
+
+    return { type: 'expression', source: source.substring(node.start, node.end) };
+}
+
+/**
+ * Fold "typeof x != 'undefined' && <comparison on x>" into the comparison, as TiQ writes a guard before each one
+ */
+function mergeLoadRuleGuards(andNode) {
+    const children = [];
+
+    andNode.children.forEach(child => {
+        const previous = children[children.length - 1];
+        const isGuarded = previous && previous.type === 'condition' && previous.operator === 'defined' &&
+            child.type === 'condition' && child.variable === previous.variable &&
+            !['defined', 'not_defined', 'truthy', 'falsy'].includes(child.operator);
+
+        if (isGuarded) {
+            children[children.length - 1] = { ...child, guarded: true, source: `${previous.source}&&${child.source}` };
+        } else {
+            children.push(child);
+        }
+    });
+
+    return children.length === 1 ? children[0] : { type: 'and', children: children };
+}
+
+/**
+ * Parse all c[ruleId] |= statements into one tree; several statements are ORed together
+ */
+function parseLoadRuleTree(source, ruleId) {
+    const assignments = findLoadRuleAssignments(source, ruleId);
+    if (assignments.length === 0) return { tree: null, sources: [] };
+
+    const trees = assignments.map(assignment => buildLoadRuleConditionTree(assignment.ast, source));
+    const tree = trees.length === 1 ? trees[0] : {
+        type: 'or',
+        children: trees.reduce((all, tree) => all.concat(tree.type === 'or' ? tree.children : [tree]), [])
+    };
+
+    return { tree: tree, sources: assignments.map(assignment => assignment.source) };
+}
+
+/**
+ * Collect the leaves of a condition tree in source order
+ */
+function collectLoadRuleTreeLeaves(tree) {
+    if (!tree) return [];
+    if (tree.type === 'and' || tree.type === 'or') return tree.children.flatMap(collectLoadRuleTreeLeaves);
+    if (tree.type === 'not') return collectLoadRuleTreeLeaves(tree.child);
+    return [tree];
+}
+
+/**
+ * OR-of-AND groups for a tree, or null when the tree has nesting the rule builder can't hold
+ */
+function getLoadRuleTreeGroups(tree) {
+    if (!tree) return null;
+
+    const isLeaf = (node) => node.type === 'condition' || node.type === 'expression';
+    const toGroup = (node) => {
+        if (isLeaf(node)) return [node];
+        if (node.type === 'and' && node.children.every(isLeaf)) return node.children;
+        return null;
+    };
+
+    const groups = (tree.type === 'or' ? tree.children : [tree]).map(toGroup);
+    return groups.includes(null) ? null : groups;
+}
+
+/**
+ * Plain-language text for a tree leaf
+ */
+function describeLoadRuleTreeLeaf(leaf) {
+    if (leaf.type === 'expression') return `Custom condition: ${leaf.source}`;
+
+    const label = (typeof LOAD_RULE_OPERATORS !== 'undefined' && LOAD_RULE_OPERATORS[leaf.operator]?.label) ||
+        LOAD_RULE_PARSER_LABELS[leaf.operator] || leaf.operator;
+    const subject = leaf.isDataLayer ? `Data Layer Variable "${leaf.variable}"` : leaf.variable;
+    const hasValue = !['defined', 'not_defined', 'truthy', 'falsy'].includes(leaf.operator);
+
+    return `${subject} ${label}${hasValue ? ` "${leaf.value}"` : ''}${leaf.ignoreCase ? ' (case insensitive)' : ''}`;
+}
+
+/**
+ * Builder condition for a leaf, when it maps onto LOAD_RULE_OPERATORS
+ */
+function getLoadRuleTreeLeafCondition(leaf) {
+    if (leaf.type !== 'condition' || !leaf.isDataLayer) return undefined;
+    if (typeof LOAD_RULE_OPERATORS === 'undefined' || !LOAD_RULE_OPERATORS[leaf.operator]) return undefined;
+
+    return { variable: leaf.variable, operator: leaf.operator, value: leaf.value, ignoreCase: leaf.ignoreCase };
+}
+
+/**
+ * Render a condition tree as nested AND/OR/NOT blocks
+ */
+function renderLoadRuleConditionTree(tree) {
+    if (!tree) return '';
+
+    if (tree.type === 'and' || tree.type === 'or') {
+        const isAnd = tree.type === 'and';
+        return `
+            <div class="border-l-4 ${isAnd ? 'border-blue-400' : 'border-orange-400'} pl-3 space-y-2">
+                <div class="text-xs font-bold ${isAnd ? 'text-blue-600' : 'text-orange-600'}">${isAnd ? 'ALL of (AND)' : 'ANY of (OR)'}</div>
+                ${tree.children.map(renderLoadRuleConditionTree).join('')}
+            </div>
+        `;
+    }
+
+    if (tree.type === 'not') {
+        return `
+            <div class="border-l-4 border-red-400 pl-3 space-y-2">
+                <div class="text-xs font-bold text-red-600">NOT</div>
+                ${renderLoadRuleConditionTree(tree.child)}
+            </div>
+        `;
+    }
+
+    return `
+        <div class="bg-white p-3 rounded border">
+            <div class="font-medium text-gray-900">${escapeHtml(describeLoadRuleTreeLeaf(tree))}</div>
+            <div class="text-xs font-mono text-gray-500 mt-1 break-all">${escapeHtml(tree.source)}</div>
+        </div>
+    `;
+}
+
+// Expose functions globally
+window.parseLoadRuleTree = parseLoadRuleTree;
+window.renderLoadRuleConditionTree = renderLoadRuleConditionTree;
@@ -0,0 +1,207 @@
+/**
+ * What-if Load Rule Simulator for Tealium Sandbox
+ * Runs the profile's utag.loader.loadrules against a hypothetical data layer
+ * in isolation (nothing is sent, utag.cond is untouched) and compares the outcome with the live page
+ */
+
+/**
+ * Build the hypothetical data layer. Built-in variables (dom., cp., meta., qp., ut.) from the live
+ * utag.data are kept when requested, since most real load rules depend on them.
+ */
+function buildWhatIfDataLayer(hypothetical, keepBuiltIns = true) {
+    const data = {};
+
+    if (keepBuiltIns && window.utag?.data) {
+        Object.entries(window.utag.data).forEach(([key, value]) => {
+            if (/^(dom|cp|meta|qp|js_page|ut|va)\./.test(key) || key.startsWith('tealium_')) {
+                data[key] = value;
+            }
+        });
+    }
+
+    return Object.assign(data, hypothetical);
+}
+
+/**
+ * Run loadrules against a data object and work out which tags would load
+ */
+function simulateLoadRules(data) {
+    const loader = window.utag?.loader;
+    if (!loader || typeof loader.loadrules !== 'function') {
+        throw new Error('utag.loader.loadrules is not available - load a Tealium profile first');
+    }
+
+    const currentCond = window.utag.cond || {};
+    const titles = loader.cfg?.rule || {};
+
+    // loadrules iterates the keys of the cond object it is given, so seed every known rule with 0
+    const simulatedCond = {};
+    Object.keys(currentCond).forEach(ruleId => { simulatedCond[ruleId] = 0; });
+    loader.loadrules(data, simulatedCond);
+
+    const rules = Object.keys(simulatedCond)
+        .filter(ruleId => !isNaN(parseInt(ruleId)))
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .map(ruleId => {
+            const current = !!currentCond[ruleId];
+            const simulated = !!simulatedCond[ruleId];
+            return {
+                id: ruleId,
+                title: titles[ruleId]?.title || `Load Rule ${ruleId}`,
+                current: current,
+                simulated: simulated,
+                changed: current !== simulated
+            };
+        });
+
+    // Re-evaluate each tag's load expression from initcfg with the simulated results
+    const loadExpressions = typeof loader.initcfg === 'function' ? findTagLoadExpressions(loader.initcfg.toString()) : {};
+    const tags = Object.keys(loader.cfg || {})
+        .filter(uid => !isNaN(parseInt(uid)) && uid.length < 5)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .map(uid => {
+            const tagCfg = loader.cfg[uid];
+            const expression = loadExpressions[uid];
+            const current = !!tagCfg.load;
+            const simulatedValue = expression ? evaluateLoadFlagExpression(expression.ast, simulatedCond) : tagCfg.load;
+
+            return {
+                uid: uid,
+                name: tagCfg.name || tagCfg.title || `Tag ${uid}`,
+                loadExpression: expression ? expression.source : JSON.stringify(tagCfg.load),
+                current: current,
+                simulated: simulatedValue === undefined ? null : !!simulatedValue,
+                changed: simulatedValue !== undefined && current !== !!simulatedValue
+            };
+        });
+
+    return {
+        rules: rules,
+        tags: tags,
+        summary: {
+            rulesChanged: rules.filter(rule => rule.changed).length,
+            tagsGained: tags.filter(tag => tag.changed && tag.simulated).length,
+            tagsLost: tags.filter(tag => tag.changed && !tag.simulated).length,
+            tagsUnknown: tags.filter(tag => tag.simulated === null).length
+        },
+        simulatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Fill the what-if textarea from a preset or the current data layer
+ */
+function loadWhatIfPreset(presetType) {
+    const input = document.getElementById('whatIfDataLayer');
+    if (!input || !presetType) return;
+
+    const preset = presetType === 'current'
+        ? { ...(window.utag_data || {}) }
+        : getPresetDataLayer(presetType);
+
+    input.value = JSON.stringify(preset, null, 2);
+}
+
+/**
+ * Run the simulation from the Profile Inspector form
+ */
+function runWhatIfSimulation() {
+    const input = document.getElementById('whatIfDataLayer');
+    if (!input) return;
+
+    let hypothetical;
+    try {
+        hypothetical = JSON.parse(input.value || '{}');
+    } catch (error) {
+        showToast(`Invalid JSON: ${error.message}`, 'error');
+        return;
+    }
+
+    if (!hypothetical || typeof hypothetical !== 'object' || Array.isArray(hypothetical)) {
+        showToast('The data layer must be a JSON object', 'error');
+        return;
+    }
+
+    try {
+        const keepBuiltIns = document.getElementById('whatIfKeepBuiltIns')?.checked !== false;
+        const result = simulateLoadRules(buildWhatIfDataLayer(hypothetical, keepBuiltIns));
+
+        renderWhatIfResults(result);
+        logEvent('WHAT_IF', `Simulated load rules: ${result.summary.rulesChanged} rule(s) changed`, result.summary);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Render the rule and tag comparison tables
+ */
+function renderWhatIfResults(result) {
+    const container = document.getElementById('whatIfResults');
+    if (!container) return;
+
+    const badge = (value) => value === null
+        ? '<span class="text-xs px-2 py-1 rounded bg-gray-100 text-gray-600">unknown</span>'
+        : `<span class="text-xs px-2 py-1 rounded ${value ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">${value ? 'TRUE' : 'FALSE'}</span>`;
+    const rowClass = (item) => item.changed ? 'bg-yellow-50 font-medium' : '';
+
+    container.innerHTML = `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-yellow-600">${result.summary.rulesChanged}</div>
+                <div class="text-xs text-gray-500">Rules changed</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-green-600">${result.summary.tagsGained}</div>
+                <div class="text-xs text-gray-500">Tags that would start loading</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-red-600">${result.summary.tagsLost}</div>
+                <div class="text-xs text-gray-500">Tags that would stop loading</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-gray-600">${result.summary.tagsUnknown}</div>
+                <div class="text-xs text-gray-500">Tags with unknown load logic</div>
+            </div>
+        </div>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div class="max-h-80 overflow-y-auto">
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr><th class="text-left p-2">Load Rule</th><th class="p-2">Current</th><th class="p-2">What-if</th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.rules.map(rule => `
+                            <tr class="border-b border-gray-100 ${rowClass(rule)}">
+                                <td class="p-2">${rule.id}: ${escapeHtml(rule.title)}</td>
+                                <td class="p-2 text-center">${badge(rule.current)}</td>
+                                <td class="p-2 text-center">${badge(rule.simulated)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="max-h-80 overflow-y-auto">
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr><th class="text-left p-2">Tag</th><th class="p-2">Loads now</th><th class="p-2">Would load</th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.tags.map(tag => `
+                            <tr class="border-b border-gray-100 ${rowClass(tag)}" title="load: ${escapeHtml(tag.loadExpression).replace(/"/g, '&quot;')}">
+                                <td class="p-2">${tag.uid}: ${escapeHtml(tag.name)}</td>
+                                <td class="p-2 text-center">${badge(tag.current)}</td>
+                                <td class="p-2 text-center">${badge(tag.simulated)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// Expose functions globally for HTML event handlers
+window.simulateLoadRules = simulateLoadRules;
+window.loadWhatIfPreset = loadWhatIfPreset;
+window.runWhatIfSimulation = runWhatIfSimulation;
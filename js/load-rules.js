@@ -0,0 +1,566 @@
+/**
+ * Load Rules Engine for Tealium Sandbox
+ * Rule model and evaluator used by the Load Rules section to predict
+ * whether a tag will fire before the rule is published in TiQ
+ */
+
+/**
+ * Supported condition operators
+ * Each test receives the stringified data layer value (or undefined) and the expected value
+ */
+const LOAD_RULE_OPERATORS = {
+    'equals': {
+        label: 'equals',
+        needsValue: true,
+        test: (actual, expected) => actual === expected
+    },
+    'not_equals': {
+        label: 'does not equal',
+        needsValue: true,
+        test: (actual, expected) => actual !== expected
+    },
+    'contains': {
+        label: 'contains',
+        needsValue: true,
+        test: (actual, expected) => actual.indexOf(expected) > -1
+    },
+    'not_contains': {
+        label: 'does not contain',
+        needsValue: true,
+        test: (actual, expected) => actual.indexOf(expected) < 0
+    },
+    'starts_with': {
+        label: 'starts with',
+        needsValue: true,
+        test: (actual, expected) => actual.indexOf(expected) === 0
+    },
+    'regex': {
+        label: 'matches regex',
+        needsValue: true,
+        test: (actual, expected, ignoreCase) => new RegExp(expected, ignoreCase ? 'i' : '').test(actual)
+    },
+    'defined': {
+        label: 'is defined',
+        needsValue: false,
+        test: () => true
+    },
+    'not_defined': {
+        label: 'is not defined',
+        needsValue: false,
+        test: () => true
+    },
+    'greater_than': {
+        label: 'is greater than',
+        needsValue: true,
+        numeric: true,
+        test: (actual, expected) => parseFloat(actual) > parseFloat(expected)
+    },
+    'less_than': {
+        label: 'is less than',
+        needsValue: true,
+        numeric: true,
+        test: (actual, expected) => parseFloat(actual) < parseFloat(expected)
+    }
+};
+
+/**
+ * Rule currently being built in the Load Rules section.
+ * Mirrors TiQ: conditions inside a group are ANDed, groups are ORed.
+ */
+let loadRuleBuilder = createEmptyLoadRule();
+
+/**
+ * Create an empty load rule model
+ */
+function createEmptyLoadRule(title = 'Sandbox Load Rule') {
+    return {
+        title: title,
+        groups: [{ conditions: [] }]
+    };
+}
+
+/**
+ * Create a condition object for the rule model
+ */
+function createLoadRuleCondition(variable, operator, value = '', ignoreCase = false) {
+    if (!LOAD_RULE_OPERATORS[operator]) {
+        throw new Error(`Unknown load rule operator: ${operator}`);
+    }
+
+    return {
+        variable: variable,
+        operator: operator,
+        value: LOAD_RULE_OPERATORS[operator].needsValue ? String(value) : '',
+        ignoreCase: !!ignoreCase && LOAD_RULE_OPERATORS[operator].needsValue && !LOAD_RULE_OPERATORS[operator].numeric
+    };
+}
+
+/**
+ * Add a condition to a rule, either to the last group (AND) or to a new group (OR)
+ */
+function addConditionToLoadRule(rule, condition, join = 'and') {
+    const lastGroup = rule.groups[rule.groups.length - 1];
+
+    if (join === 'or' && lastGroup.conditions.length > 0) {
+        rule.groups.push({ conditions: [condition] });
+    } else {
+        lastGroup.conditions.push(condition);
+    }
+
+    return rule;
+}
+
+/**
+ * Remove a condition and drop its group if it becomes empty
+ */
+function removeConditionFromLoadRule(rule, groupIndex, conditionIndex) {
+    const group = rule.groups[groupIndex];
+    if (!group) return rule;
+
+    group.conditions.splice(conditionIndex, 1);
+
+    if (group.conditions.length === 0 && rule.groups.length > 1) {
+        rule.groups.splice(groupIndex, 1);
+    }
+
+    return rule;
+}
+
+/**
+ * Count the conditions in a rule
+ */
+function countLoadRuleConditions(rule) {
+    return rule.groups.reduce((total, group) => total + group.conditions.length, 0);
+}
+
+/**
+ * Get the data the rules are evaluated against: live utag.data, falling back to utag_data
+ */
+function getLoadRuleEvaluationData() {
+    if (window.utag && window.utag.data && Object.keys(window.utag.data).length > 0) {
+        return { source: 'utag.data', data: window.utag.data };
+    }
+
+    return { source: 'utag_data', data: window.utag_data || {} };
+}
+
+/**
+ * Evaluate a single condition against a data object
+ */
+function evaluateLoadRuleCondition(condition, data) {
+    const operator = LOAD_RULE_OPERATORS[condition.operator];
+    const rawValue = data ? data[condition.variable] : undefined;
+    const isDefined = typeof rawValue !== 'undefined';
+
+    const evaluation = {
+        ...condition,
+        actual: isDefined ? rawValue : undefined,
+        passed: false,
+        reason: ''
+    };
+
+    if (!operator) {
+        evaluation.reason = `Unknown operator "${condition.operator}"`;
+        return evaluation;
+    }
+
+    if (condition.operator === 'defined' || condition.operator === 'not_defined') {
+        evaluation.passed = condition.operator === 'defined' ? isDefined : !isDefined;
+        evaluation.reason = isDefined ? 'Variable is defined' : 'Variable is not defined';
+        return evaluation;
+    }
+
+    // Same as the typeof guard TiQ puts in front of every value comparison
+    if (!isDefined) {
+        evaluation.reason = 'Variable is not defined';
+        return evaluation;
+    }
+
+    let actual = rawValue === null ? 'null' : rawValue.toString();
+    let expected = condition.value;
+
+    if (condition.ignoreCase && condition.operator !== 'regex') {
+        actual = actual.toLowerCase();
+        expected = expected.toLowerCase();
+    }
+
+    if (operator.numeric && (isNaN(parseFloat(actual)) || isNaN(parseFloat(expected)))) {
+        evaluation.reason = 'Value is not a number';
+        return evaluation;
+    }
+
+    try {
+        evaluation.passed = operator.test(actual, expected, condition.ignoreCase);
+        evaluation.reason = `"${actual}" ${evaluation.passed ? 'satisfies' : 'fails'} "${operator.label} ${expected}"`;
+    } catch (error) {
+        evaluation.reason = `Error: ${error.message}`;
+    }
+
+    return evaluation;
+}
+
+/**
+ * Evaluate a full rule (OR of AND groups) and return a per-condition breakdown
+ */
+function evaluateLoadRule(rule, data) {
+    const groups = rule.groups
+        .filter(group => group.conditions.length > 0)
+        .map(group => {
+            const conditions = group.conditions.map(condition => evaluateLoadRuleCondition(condition, data));
+            return {
+                passed: conditions.every(condition => condition.passed),
+                conditions: conditions
+            };
+        });
+
+    return {
+        title: rule.title,
+        passed: groups.some(group => group.passed),
+        groups: groups,
+        evaluatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Describe a condition in plain language
+ */
+function describeLoadRuleCondition(condition) {
+    const operator = LOAD_RULE_OPERATORS[condition.operator];
+    const label = operator ? operator.label : condition.operator;
+    const value = operator && operator.needsValue ? ` "${condition.value}"` : '';
+    const ignoreCase = condition.ignoreCase ? ' (ignore case)' : '';
+
+    return `${condition.variable} ${label}${value}${ignoreCase}`;
+}
+
+/**
+ * Quote a value as a single-quoted JS string literal
+ */
+function toLoadRuleStringLiteral(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * A regex pattern as the body of a /.../ literal: escape every slash that isn't already escaped,
+ * including each one in a run like // (a backslash only escapes the character right after it)
+ */
+function toLoadRuleRegexLiteralBody(pattern) {
+    let body = '';
+    let escaped = false;
+    for (const char of String(pattern)) {
+        if (char === '/' && !escaped) body += '\\';
+        body += char;
+        escaped = char === '\\' && !escaped;
+    }
+    return body;
+}
+
+/**
+ * Generate the TiQ JavaScript for a single condition, as utag.loader.loadrules writes it
+ */
+function generateLoadRuleConditionCode(condition) {
+    const ref = `d[${toLoadRuleStringLiteral(condition.variable)}]`;
+    const guard = `typeof ${ref}!='undefined'`;
+    const value = toLoadRuleStringLiteral(condition.value);
+    const lower = condition.ignoreCase ? '.toLowerCase()' : '';
+    const subject = `${ref}.toString()${lower}`;
+
+    switch (condition.operator) {
+        case 'defined':
+            return guard;
+        case 'not_defined':
+            return `typeof ${ref}=='undefined'`;
+        case 'equals':
+            return `${guard}&&${condition.ignoreCase ? subject : ref}==${value}${lower}`;
+        case 'not_equals':
+            return `${guard}&&${condition.ignoreCase ? subject : ref}!=${value}${lower}`;
+        case 'contains':
+            return `${guard}&&${subject}.indexOf(${value}${lower})>-1`;
+        case 'not_contains':
+            return `${guard}&&${subject}.indexOf(${value}${lower})<0`;
+        case 'starts_with':
+            return `${guard}&&${subject}.indexOf(${value}${lower})==0`;
+        case 'regex':
+            return `${guard}&&/${toLoadRuleRegexLiteralBody(condition.value)}/${condition.ignoreCase ? 'i' : ''}.test(${ref})`;
+        case 'greater_than':
+            return `${guard}&&parseFloat(${ref})>parseFloat(${value})`;
+        case 'less_than':
+            return `${guard}&&parseFloat(${ref})<parseFloat(${value})`;
+        default:
+            throw new Error(`Unknown load rule operator: ${condition.operator}`);
+    }
+}
+
+/**
+ * Generate the loadrules case block for a rule. Each OR group gets its own
+ * c[N] |= (...) statement so an error in one group doesn't hide the others.
+ */
+function generateLoadRuleCode(rule, ruleId) {
+    const groups = rule.groups.filter(group => group.conditions.length > 0);
+
+    let code = `// ${rule.title}\n`;
+    code += `case '${ruleId}':\n`;
+    groups.forEach(group => {
+        const condition = group.conditions.map(generateLoadRuleConditionCode).join('&&');
+        code += `  try{c[${ruleId}]|=(${condition})}catch(e){utag.DB(e)};\n`;
+    });
+    code += '  break;\n';
+
+    return code;
+}
+
+/**
+ * Build a rule model from parseLoadRuleFromUtag() output.
+ * Returns null when a condition can't be mapped back to an operator.
+ */
+function loadRuleFromParsedCode(parsed, title = 'Imported Load Rule') {
+    const groups = (parsed.groups || []).map(group => ({
+        conditions: group.map(parsedCondition => parsedCondition.condition || null)
+    }));
+
+    const unmapped = groups.some(group => group.conditions.length === 0 || group.conditions.includes(null));
+    if (groups.length === 0 || unmapped) return null;
+
+    return {
+        title: title,
+        groups: groups.map(group => ({
+            conditions: group.conditions.map(c => createLoadRuleCondition(c.variable, c.operator, c.value, c.ignoreCase))
+        }))
+    };
+}
+
+/**
+ * Check that generated code compiles and parses back into the same conditions with the inspector parser
+ */
+function verifyLoadRuleRoundTrip(rule, ruleId) {
+    const code = generateLoadRuleCode(rule, ruleId);
+    let compiles = true;
+    try {
+        new Function('c', 'd', 'utag', `switch('${ruleId}'){\n${code}}`);
+    } catch (error) {
+        compiles = false;
+    }
+
+    const parsed = parseLoadRuleFromUtag(String(ruleId), code);
+    const roundTripped = loadRuleFromParsedCode(parsed, rule.title);
+
+    const normalize = (r) => JSON.stringify(r.groups
+        .filter(group => group.conditions.length > 0)
+        .map(group => group.conditions.map(c => [c.variable, c.operator, c.value, c.ignoreCase])));
+
+    return {
+        code: code,
+        parsed: parsed,
+        matches: compiles && !!roundTripped && normalize(roundTripped) === normalize(rule)
+    };
+}
+
+/**
+ * Initialize Load Rules section
+ */
+function initializeLoadRules() {
+    populateLoadRuleOperators();
+    populateLoadRuleVariables();
+    renderLoadRuleBuilder();
+}
+
+/**
+ * Fill the operator select from LOAD_RULE_OPERATORS
+ */
+function populateLoadRuleOperators() {
+    const select = document.getElementById('ruleCondition');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(LOAD_RULE_OPERATORS)
+        .map(([key, operator]) => `<option value="${key}">${operator.label}</option>`)
+        .join('');
+}
+
+/**
+ * Offer the current data layer keys as variable suggestions
+ */
+function populateLoadRuleVariables() {
+    const datalist = document.getElementById('ruleVariableOptions');
+    if (!datalist) return;
+
+    const { data } = getLoadRuleEvaluationData();
+    datalist.innerHTML = Object.keys(data)
+        .sort()
+        .map(key => `<option value="${escapeHtml(key)}"></option>`)
+        .join('');
+}
+
+/**
+ * Toggle the value input for operators that don't need one
+ */
+function updateLoadRuleValueInput() {
+    const operator = LOAD_RULE_OPERATORS[document.getElementById('ruleCondition')?.value];
+    const valueInput = document.getElementById('ruleValue');
+    if (!operator || !valueInput) return;
+
+    valueInput.disabled = !operator.needsValue;
+    valueInput.placeholder = operator.needsValue ? 'Value' : 'No value needed';
+    if (!operator.needsValue) valueInput.value = '';
+}
+
+/**
+ * Render the rule under construction
+ */
+function renderLoadRuleBuilder() {
+    const container = document.getElementById('activeLoadRules');
+    if (!container) return;
+
+    const countBadge = document.getElementById('loadRuleConditionCount');
+    if (countBadge) {
+        countBadge.textContent = countLoadRuleConditions(loadRuleBuilder);
+    }
+
+    if (countLoadRuleConditions(loadRuleBuilder) === 0) {
+        container.innerHTML = '<div class="text-gray-500 text-sm p-4">No conditions yet. Add one above to start building a rule.</div>';
+        return;
+    }
+
+    container.innerHTML = loadRuleBuilder.groups.map((group, groupIndex) => `
+        ${groupIndex > 0 ? '<div class="text-center text-xs font-bold text-orange-600 py-1">OR</div>' : ''}
+        <div class="border border-gray-200 rounded-lg p-3 space-y-2">
+            ${group.conditions.map((condition, conditionIndex) => `
+                ${conditionIndex > 0 ? '<div class="text-xs font-bold text-blue-600 pl-2">AND</div>' : ''}
+                <div class="bg-gray-50 rounded p-3 flex items-center justify-between">
+                    <span class="text-sm">
+                        <span class="font-medium">${escapeHtml(condition.variable)}</span>
+                        <span class="text-gray-500">${escapeHtml(LOAD_RULE_OPERATORS[condition.operator].label)}</span>
+                        ${LOAD_RULE_OPERATORS[condition.operator].needsValue ? `<span class="font-medium">${escapeHtml(condition.value)}</span>` : ''}
+                        ${condition.ignoreCase ? '<span class="text-xs text-gray-400">(ignore case)</span>' : ''}
+                    </span>
+                    <button onclick="removeLoadRuleCondition(${groupIndex}, ${conditionIndex})" class="text-red-600 hover:text-red-800">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Remove a condition from the rule under construction
+ */
+function removeLoadRuleCondition(groupIndex, conditionIndex) {
+    removeConditionFromLoadRule(loadRuleBuilder, groupIndex, conditionIndex);
+    renderLoadRuleBuilder();
+}
+
+/**
+ * Clear the rule under construction
+ */
+function clearLoadRules() {
+    loadRuleBuilder = createEmptyLoadRule();
+    renderLoadRuleBuilder();
+
+    const results = document.getElementById('loadRuleTestResults');
+    if (results) {
+        results.innerHTML = '<div class="text-gray-500 text-sm">Run a test to see the per-condition breakdown</div>';
+    }
+}
+
+/**
+ * Render the result of evaluateLoadRule()
+ */
+function renderLoadRuleTestResults(evaluation, source) {
+    const container = document.getElementById('loadRuleTestResults');
+    if (!container) return;
+
+    const formatActual = (value) => typeof value === 'undefined' ? '<span class="text-gray-400">undefined</span>' : escapeHtml(JSON.stringify(value));
+
+    container.innerHTML = `
+        <div class="space-y-3">
+            <div class="p-3 rounded-lg ${evaluation.passed ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}">
+                <div class="text-lg font-bold ${evaluation.passed ? 'text-green-600' : 'text-red-600'}">
+                    <i class="fas ${evaluation.passed ? 'fa-check-circle' : 'fa-times-circle'} mr-2"></i>
+                    ${evaluation.passed ? 'TRUE - tag would fire' : 'FALSE - tag would not fire'}
+                </div>
+                <div class="text-xs text-gray-600 mt-1">Evaluated against <code>${source}</code> at ${new Date(evaluation.evaluatedAt).toLocaleTimeString()}</div>
+            </div>
+            ${evaluation.groups.map((group, groupIndex) => `
+                ${groupIndex > 0 ? '<div class="text-center text-xs font-bold text-orange-600">OR</div>' : ''}
+                <div class="border rounded-lg p-3 ${group.passed ? 'border-green-300' : 'border-gray-200'}">
+                    <div class="text-xs font-medium mb-2 ${group.passed ? 'text-green-700' : 'text-gray-500'}">
+                        Group ${groupIndex + 1}: ${group.passed ? 'all conditions passed' : 'at least one condition failed'}
+                    </div>
+                    <div class="space-y-1">
+                        ${group.conditions.map(condition => `
+                            <div class="flex items-start justify-between text-sm py-1 px-2 rounded ${condition.passed ? 'bg-green-50' : 'bg-red-50'}">
+                                <div>
+                                    <i class="fas ${condition.passed ? 'fa-check text-green-600' : 'fa-times text-red-600'} mr-2"></i>
+                                    ${escapeHtml(describeLoadRuleCondition(condition))}
+                                    <div class="text-xs text-gray-500 ml-6">${escapeHtml(condition.reason)}</div>
+                                </div>
+                                <div class="text-xs font-mono text-gray-600 ml-4">${formatActual(condition.actual)}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Show generated loadrules code with the round-trip result
+ */
+function renderGeneratedLoadRuleCode(code, roundTripMatches) {
+    const container = document.getElementById('loadRuleGeneratedCode');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="flex items-center justify-between mb-2">
+            <span class="text-sm font-medium text-gray-700">utag.loader.loadrules case</span>
+            <span class="text-xs px-2 py-1 rounded-full ${roundTripMatches ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}">
+                <i class="fas ${roundTripMatches ? 'fa-check' : 'fa-exclamation-triangle'} mr-1"></i>
+                ${roundTripMatches ? 'Parses back to the same conditions' : 'Inspector parser reads this differently'}
+            </span>
+        </div>
+        <pre class="bg-gray-900 text-green-400 p-3 rounded text-xs overflow-x-auto whitespace-pre-wrap break-all">${escapeHtml(code)}</pre>
+    `;
+}
+
+/**
+ * Load pasted loadrules code into the builder using the inspector parser
+ */
+function importLoadRuleCode() {
+    const code = document.getElementById('loadRuleImportCode')?.value.trim();
+    if (!code) {
+        showToast('Paste a loadrules case to import', 'warning');
+        return;
+    }
+
+    const idMatch = code.match(/c\[(\d+)\]\s*\|=/);
+    if (!idMatch) {
+        showToast('No c[N] |= (...) statement found', 'error');
+        return;
+    }
+
+    const parsed = parseLoadRuleFromUtag(idMatch[1], code);
+    const rule = loadRuleFromParsedCode(parsed, `Imported rule ${idMatch[1]}`);
+    if (!rule) {
+        showToast('Some conditions could not be mapped to builder operators', 'error');
+        console.log('Unmapped load rule conditions:', parsed.groups);
+        return;
+    }
+
+    loadRuleBuilder = rule;
+    renderLoadRuleBuilder();
+
+    const ruleNumber = document.getElementById('ruleNumber');
+    if (ruleNumber) ruleNumber.value = idMatch[1];
+
+    showToast(`Imported ${countLoadRuleConditions(rule)} conditions from c[${idMatch[1]}]`, 'success');
+}
+
+// Expose functions globally for HTML event handlers
+window.initializeLoadRules = initializeLoadRules;
+window.updateLoadRuleValueInput = updateLoadRuleValueInput;
+window.removeLoadRuleCondition = removeLoadRuleCondition;
+window.clearLoadRules = clearLoadRules;
+window.evaluateLoadRule = evaluateLoadRule;
+window.generateLoadRuleCode = generateLoadRuleCode;
+window.importLoadRuleCode = importLoadRuleCode;
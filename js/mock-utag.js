@@ -0,0 +1,523 @@
+/**
+ * Mock Tealium Runtime for Tealium Sandbox
+ * Builds a local utag object (view, link, data, loader.cfg, cond, rpt, sender, cfg_extend)
+ * from a JSON profile definition, so every section can be exercised without tiqcdn.com
+ */
+
+const MOCK_PROFILE_STORAGE_KEY = 'tealium-sandbox-mock-profile';
+
+/**
+ * Example profile definition. Load rules use the Load Rules builder model,
+ * extension and tag-scoped extension code runs as function(a, b) like in TiQ.
+ */
+const MOCK_PROFILE_EXAMPLE = {
+    account: 'sandbox',
+    profile: 'mock',
+    environment: 'dev',
+    publish: '202601010000',
+    cfg: {
+        noview: false,
+        readywait: 0,
+        session_timeout: 1800000
+    },
+    loadRules: [
+        {
+            id: 5,
+            title: 'Home Page',
+            groups: [{ conditions: [{ variable: 'page_type', operator: 'equals', value: 'home', ignoreCase: true }] }]
+        },
+        {
+            id: 7,
+            title: 'Checkout or Order',
+            groups: [
+                { conditions: [{ variable: 'page_type', operator: 'equals', value: 'checkout', ignoreCase: true }] },
+                { conditions: [{ variable: 'order_id', operator: 'defined', value: '' }] }
+            ]
+        }
+    ],
+    extensions: [
+        { id: 21, name: 'Set page name', scope: 'blr', code: "if (!b['page_name']) b['page_name'] = b['dom.title'];" },
+        { id: 22, name: 'Lowercase page type', scope: 'alr', code: "if (b['page_type']) b['page_type'] = String(b['page_type']).toLowerCase();" }
+    ],
+    tags: [
+        {
+            uid: 3,
+            name: 'Tealium Collect',
+            tid: 20064,
+            loadRules: [],
+            events: ['view', 'link'],
+            url: 'https://collect.tealiumiq.com/event',
+            map: { 'tealium_event': 'tealium_event', 'page_type': 'page_type' }
+        },
+        {
+            uid: 7,
+            name: 'Google Analytics 4',
+            tid: 7110,
+            tcat: 2,
+            loadRules: [5, 7],
+            events: ['view', 'link'],
+            url: 'https://www.google-analytics.com/g/collect',
+            map: { 'page_type': 'ep.page_type', 'page_name': 'dt', 'order_id': 'ep.transaction_id' },
+            extensions: ["b['en'] = a === 'link' ? (b['tealium_event'] || 'event') : 'page_view';"]
+        },
+        {
+            uid: 9,
+            name: 'Meta Pixel',
+            tid: 19034,
+            tcat: 4,
+            loadRules: [7],
+            events: ['view'],
+            url: 'https://www.facebook.com/tr',
+            map: { 'order_id': 'cd[order_id]', 'order_total': 'cd[value]' }
+        }
+    ]
+};
+
+/**
+ * Scope names accepted in the profile definition and their cfg_extend flags
+ */
+const MOCK_EXTENSION_SCOPES = {
+    'blr': { blr: 1, alr: 0, end: 0 },
+    'alr': { blr: 0, alr: 1, end: 0 },
+    'dom': { blr: 0, alr: 0, end: 0 },
+    'end': { blr: 0, alr: 0, end: 1 }
+};
+
+/**
+ * Get the saved mock profile definition, or the example
+ */
+function getMockProfileDefinition() {
+    try {
+        const saved = localStorage.getItem(MOCK_PROFILE_STORAGE_KEY);
+        if (saved) return JSON.parse(saved);
+    } catch (error) {
+        console.warn('Could not read saved mock profile:', error);
+    }
+    return JSON.parse(JSON.stringify(MOCK_PROFILE_EXAMPLE));
+}
+
+/**
+ * Check a profile definition and return a list of problems (empty when valid)
+ */
+function validateMockProfile(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['The profile definition must be a JSON object'];
+    }
+
+    const ruleIds = (definition.loadRules || []).map(rule => String(rule.id));
+    (definition.loadRules || []).forEach((rule, i) => {
+        if (!/^\d+$/.test(String(rule.id))) errors.push(`loadRules[${i}]: id must be a number`);
+        (rule.groups || []).forEach(group => (group.conditions || []).forEach(condition => {
+            if (!LOAD_RULE_OPERATORS[condition.operator]) errors.push(`Load rule ${rule.id}: unknown operator "${condition.operator}"`);
+        }));
+    });
+
+    (definition.extensions || []).forEach((extension, i) => {
+        if (extension.scope && !MOCK_EXTENSION_SCOPES[extension.scope]) {
+            errors.push(`extensions[${i}]: scope must be one of ${Object.keys(MOCK_EXTENSION_SCOPES).join(', ')}`);
+        }
+    });
+
+    (definition.tags || []).forEach((tag, i) => {
+        if (!/^\d+$/.test(String(tag.uid))) errors.push(`tags[${i}]: uid must be a number`);
+        (tag.loadRules || []).forEach(ruleId => {
+            if (!ruleIds.includes(String(ruleId))) errors.push(`Tag ${tag.uid}: load rule ${ruleId} is not defined`);
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Read the utag_main_* cookies into an object
+ */
+function readMockUtagMain() {
+    const values = {};
+    document.cookie.split(';').forEach(cookie => {
+        const [name, ...rest] = cookie.trim().split('=');
+        if (name && name.startsWith('utag_main_')) {
+            values[name.substring(10)] = decodeURIComponent(rest.join('=')).split(';exp-session')[0];
+        }
+    });
+    return values;
+}
+
+/**
+ * Update the visitor/session cookies the way utag.js does on each event (page count on views only)
+ */
+function updateMockUtagMain(sessionTimeout, isView) {
+    const now = Date.now();
+    const main = readMockUtagMain();
+    const isNewSession = !main._st || parseInt(main._st) < now;
+
+    if (!main.v_id) main.v_id = now.toString(16) + Math.random().toString(16).substring(2, 14);
+    if (isNewSession) {
+        main._sn = String((parseInt(main._sn) || 0) + 1);
+        main.ses_id = String(now);
+        main._pn = '0';
+    }
+    main._ss = isNewSession ? '1' : '0';
+    if (isView) main._pn = String((parseInt(main._pn) || 0) + 1);
+    main._st = String(now + sessionTimeout);
+
+    const expires = new Date(now + 365 * 24 * 60 * 60 * 1000).toUTCString();
+    Object.entries(main).forEach(([key, value]) => {
+        const sessionOnly = ['ses_id', '_pn', '_ss'].includes(key);
+        document.cookie = `utag_main_${key}=${encodeURIComponent(value + (sessionOnly ? ';exp-session' : ''))}; path=/; expires=${expires}`;
+    });
+
+    return main;
+}
+
+/**
+ * Built-in variables (dom., qp., cp., meta., ut., tealium_) for an event
+ */
+function buildMockBuiltIns(utag, eventType) {
+    const cfg = utag.cfg;
+    const data = {};
+
+    data['dom.title'] = document.title || '';
+    data['dom.url'] = window.location.href;
+    data['dom.domain'] = window.location.hostname;
+    data['dom.pathname'] = window.location.pathname;
+    data['dom.query_string'] = (window.location.search || '').replace(/^\?/, '');
+    data['dom.referrer'] = document.referrer || '';
+
+    new URLSearchParams(window.location.search || '').forEach((value, key) => { data[`qp.${key}`] = value; });
+    document.cookie.split(';').forEach(cookie => {
+        const [name, ...rest] = cookie.trim().split('=');
+        if (name) data[`cp.${name}`] = decodeURIComponent(rest.join('='));
+    });
+    document.querySelectorAll('meta[name]').forEach(meta => { data[`meta.${meta.getAttribute('name')}`] = meta.getAttribute('content'); });
+
+    const main = updateMockUtagMain(cfg.session_timeout || 1800000, eventType === 'view');
+    Object.entries(main).forEach(([key, value]) => { data[`cp.utag_main_${key}`] = value; });
+
+    data['ut.account'] = cfg.account;
+    data['ut.profile'] = cfg.profile;
+    data['ut.env'] = cfg.env;
+    data['ut.version'] = cfg.v;
+    data['ut.event'] = eventType;
+    data['ut.domain'] = window.location.hostname;
+    data['ut.visitor_id'] = main.v_id;
+    data['ut.session_id'] = main.ses_id;
+    data['tealium_account'] = cfg.account;
+    data['tealium_profile'] = cfg.profile;
+    data['tealium_environment'] = cfg.env;
+    data['tealium_event'] = eventType;
+    data['tealium_visitor_id'] = main.v_id;
+    data['tealium_session_id'] = main.ses_id;
+    data['tealium_session_number'] = main._sn;
+    data['tealium_random'] = String(Math.random()).substring(2, 18);
+    data['tealium_timestamp_epoch'] = String(Math.floor(Date.now() / 1000));
+    data['tealium_library_name'] = 'utag.js';
+    data['tealium_library_version'] = cfg.template.replace(/^ut|\.$/g, '');
+
+    return data;
+}
+
+/**
+ * Build the utag.loader.loadrules function from the profile's load rules,
+ * using the same TiQ code the Load Rules builder generates
+ */
+function buildMockLoadRulesFunction(loadRules) {
+    const cases = loadRules.map(rule => generateLoadRuleCode({
+        title: rule.title || `Load Rule ${rule.id}`,
+        groups: (rule.groups || []).map(group => ({
+            conditions: (group.conditions || []).map(c => createLoadRuleCondition(c.variable, c.operator, c.value, c.ignoreCase))
+        }))
+    }, rule.id)).join('');
+
+    return new Function('_pd', '_pc', `var d=_pd||utag.data;var c=_pc||utag.cond;for(var i in utag.cond){switch(i){\n${cases}}}`);
+}
+
+/**
+ * Build utag.loader.initcfg, which (re)writes utag.loader.cfg from the current utag.cond
+ */
+function buildMockInitCfgFunction(tags, publish) {
+    const entries = tags.map(tag => {
+        const ruleIds = (tag.loadRules || []).map(String);
+        let load = ruleIds.length > 0 ? ruleIds.map(id => `utag.cond[${id}]`).join('||') : (tag.bundled ? '4' : '1');
+        if (tag.disabled) load = '0';
+        if (ruleIds.length > 1) load = `(${load})`;
+
+        const tcat = tag.tcat !== undefined ? `,tcat:${JSON.stringify(tag.tcat)}` : '';
+        return `"${tag.uid}":{load:${load},send:1,v:${tag.v || publish},wait:1,tid:${JSON.stringify(tag.tid || 0)}${tcat}}`;
+    });
+
+    return new Function(`utag.loader.cfg={${entries.join(',')}};utag.loader.cfgsort=${JSON.stringify(tags.map(tag => String(tag.uid)))};`);
+}
+
+/**
+ * Build the utag.sender[uid] object for a tag: event filter, mappings, tag-scoped extensions and request
+ */
+function buildMockSender(utag, tag) {
+    const uid = String(tag.uid);
+    const sender = {
+        id: uid,
+        ev: {},
+        map: tag.map || {},
+        extend: (tag.extensions || []).map(code => new Function('a', 'b', code)),
+        requests: []
+    };
+    (tag.events || ['view', 'link']).forEach(event => { sender.ev[event] = 1; });
+
+    sender.send = function(a, b) {
+        if (!sender.ev[a] && sender.ev.all === undefined) return;
+        utag.DB(`send:${uid}`);
+
+        sender.extend.forEach(fn => fn(a, b));
+
+        const params = {};
+        Object.entries(sender.map).forEach(([variable, destinations]) => {
+            if (b[variable] === undefined) return;
+            String(destinations).split(',').forEach(destination => { params[destination.trim()] = b[variable]; });
+        });
+
+        const request = { event: a, params: params, timestamp: new Date().toISOString(), url: null };
+        if (tag.url) {
+            const query = new URLSearchParams(params).toString();
+            request.url = tag.url + (query ? (tag.url.includes('?') ? '&' : '?') + query : '');
+            new Image().src = request.url;
+        }
+        sender.requests.push(request);
+
+        utag.DB(`SENDING: ${uid}`);
+        logEvent('MOCK_TAG_SENT', `Mock tag ${uid} (${tag.name || 'Tag ' + uid}) sent ${a}`, request);
+    };
+
+    return sender;
+}
+
+/**
+ * Create the mock utag object for a profile definition
+ */
+function createMockUtag(definition) {
+    const account = definition.account || 'sandbox';
+    const profile = definition.profile || 'mock';
+    const environment = definition.environment || 'dev';
+    const publish = String(definition.publish || '202601010000');
+    const loadRules = definition.loadRules || [];
+    const extensions = definition.extensions || [];
+    const tags = definition.tags || [];
+
+    const utag = {
+        id: `${account}.${profile}`,
+        o: {},
+        sender: {},
+        send: {},
+        rpt: { ts: { a: new Date() } },
+        data: {},
+        cond: {},
+        db_log: [],
+        mock: { definition: definition },
+        cfg: Object.assign({
+            template: 'ut4.51.',
+            load_rules_ajax: true,
+            noview: false,
+            readywait: 0,
+            noload: 0,
+            session_timeout: 1800000,
+            domain: window.location.hostname,
+            path: `//tags.tiqcdn.com/utag/${account}/${profile}/${environment}/`,
+            utid: `${account}/${profile}/${publish}`,
+            account: account,
+            profile: profile,
+            env: environment
+        }, definition.cfg || {})
+    };
+    utag.cfg.v = utag.cfg.template + publish;
+
+    utag.DB = function(message) {
+        utag.db_log.push(message);
+        if (utag.cfg.utagdb || document.cookie.includes('utagdb=true')) console.log(message);
+    };
+
+    loadRules.forEach(rule => { utag.cond[String(rule.id)] = 0; });
+
+    utag.loader = {
+        cfg: {},
+        cfgsort: [],
+        wq: [],
+        loadrules: buildMockLoadRulesFunction(loadRules),
+        initcfg: buildMockInitCfgFunction(tags, publish),
+        LOAD: function(uid) {
+            utag.DB(`utag.loader.LOAD ${uid}`);
+            const tag = tags.find(t => String(t.uid) === String(uid));
+            utag.rpt[`l_${uid}`] = tag && tag.url ? tag.url : `utag.${uid}.js`;
+        }
+    };
+
+    utag.handler = {
+        extend: extensions.map(extension => new Function('a', 'b', extension.code || '')),
+        cfg_extend: extensions.map(extension => Object.assign(
+            { id: String(extension.id), name: extension.name, bwq: 0 },
+            MOCK_EXTENSION_SCOPES[extension.scope || 'alr']
+        ))
+    };
+
+    tags.forEach(tag => { utag.sender[String(tag.uid)] = buildMockSender(utag, tag); });
+
+    // Run the extensions whose cfg_extend flags match the phase, recording results in utag.rpt.ex_N
+    const runExtensions = (phase, eventType, b) => {
+        utag.handler.cfg_extend.forEach((cfg, index) => {
+            const matches = phase === 'blr' ? cfg.blr === 1
+                : phase === 'end' ? cfg.end === 1
+                : cfg.blr !== 1 && cfg.end !== 1;
+            if (!matches) return;
+
+            try {
+                utag.handler.extend[index](eventType, b);
+                utag.rpt[`ex_${index}`] = 0;
+            } catch (error) {
+                utag.rpt[`ex_${index}`] = 1;
+                utag.DB(error);
+            }
+        });
+    };
+
+    // utag.js evaluates load rules once on load; later views re-evaluate them only while load_rules_ajax is on
+    let loadRulesEvaluated = false;
+
+    // Process one event the way utag.js does: extensions, load rules, tags
+    utag.track = function(eventType, data, callback, uids) {
+        const type = typeof eventType === 'string' ? eventType : (eventType && eventType.event) || 'view';
+        const b = Object.assign(buildMockBuiltIns(utag, type), data || {});
+
+        runExtensions('blr', type, b);
+
+        if (!loadRulesEvaluated || (type === 'view' && utag.cfg.load_rules_ajax !== false)) {
+            loadRulesEvaluated = true;
+            Object.keys(utag.cond).forEach(ruleId => { utag.cond[ruleId] = 0; });
+            utag.loader.loadrules(b, utag.cond);
+            utag.loader.initcfg();
+            utag.loader.cfg.rule = {};
+            loadRules.forEach(rule => { utag.loader.cfg.rule[rule.id] = { title: rule.title || `Load Rule ${rule.id}` }; });
+        }
+
+        runExtensions('alr', type, b);
+
+        const fired = [];
+        const blocked = [];
+        // Consent Manager / Privacy Manager cookies block tags by category (tcat N = category cN)
+        const consented = typeof getConsentedCategories === 'function' ? getConsentedCategories() : null;
+        utag.loader.cfgsort.forEach(uid => {
+            const tagCfg = utag.loader.cfg[uid];
+            if (!tagCfg || !tagCfg.load || (uids && !uids.map(String).includes(uid))) return;
+
+            if (consented && tagCfg.tcat && !consented.has(`c${tagCfg.tcat}`)) {
+                utag.DB(`consent: tag ${uid} blocked (category c${tagCfg.tcat} not consented)`);
+                blocked.push(uid);
+                return;
+            }
+
+            if (utag.rpt[`l_${uid}`] === undefined) utag.loader.LOAD(uid);
+            utag.loader.wq.push({ uid: uid, event: type });
+            if (tagCfg.send) {
+                utag.sender[uid].send(type, Object.assign({}, b));
+                fired.push(uid);
+            }
+        });
+
+        utag.mock.blocked = blocked;
+        runExtensions('end', type, b);
+
+        if (type === 'view') utag.data = b;
+        if (typeof callback === 'function') callback();
+
+        logEvent('MOCK_TRACK', `Mock utag.${type}() fired ${fired.length} tag(s)`, { tags: fired, blocked: blocked, event: b.tealium_event });
+        return fired;
+    };
+
+    utag.view = function(data, callback, uids) {
+        return utag.track('view', data, callback, uids);
+    };
+
+    utag.link = function(data, callback, uids) {
+        return utag.track('link', data, callback, uids);
+    };
+
+    return utag;
+}
+
+/**
+ * Replace any loaded Tealium with the mock runtime and fire the initial page view
+ */
+function loadMockTealium(definition) {
+    let profileDefinition = definition;
+
+    if (!profileDefinition) {
+        const input = document.getElementById('mockProfileJson');
+        try {
+            profileDefinition = input && input.value.trim() ? JSON.parse(input.value) : getMockProfileDefinition();
+        } catch (error) {
+            showToast(`Invalid mock profile JSON: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    const errors = validateMockProfile(profileDefinition);
+    if (errors.length > 0) {
+        showToast(`Mock profile has ${errors.length} problem(s): ${errors[0]}`, 'error');
+        logEvent('MOCK_PROFILE_ERROR', 'Invalid mock profile', { errors });
+        return null;
+    }
+
+    localStorage.setItem(MOCK_PROFILE_STORAGE_KEY, JSON.stringify(profileDefinition));
+
+    // Remove a real utag.js so it can't interfere
+    removeTealiumScripts();
+
+    const utag = createMockUtag(profileDefinition);
+    Object.assign(utag.cfg, window.utag_cfg_ovrd || {});
+    window.utag = utag;
+
+    if (typeof window.sessionManager !== 'undefined' && !window.sessionManager.isSessionActive) {
+        window.sessionManager.startNewSession();
+    }
+
+    if (!utag.cfg.noview) {
+        utag.view(window.utag_data || {});
+    }
+
+    const url = `mock://${utag.cfg.account}/${utag.cfg.profile}/${utag.cfg.env}/utag.js`;
+    updateTealiumStatus(true, utag.cfg.account, utag.cfg.profile, utag.cfg.env, url);
+    showToast('Mock Tealium loaded', 'success');
+    logEvent('TEALIUM_LOADED', 'Mock Tealium runtime loaded', {
+        account: utag.cfg.account,
+        profile: utag.cfg.profile,
+        env: utag.cfg.env,
+        tags: (profileDefinition.tags || []).length,
+        loadRules: (profileDefinition.loadRules || []).length
+    });
+
+    window.dispatchEvent(new Event('tealiumLoaded'));
+    return utag;
+}
+
+/**
+ * Fill the mock profile editor with the saved definition
+ */
+function initializeMockProfileEditor() {
+    const input = document.getElementById('mockProfileJson');
+    if (input && !input.value.trim()) {
+        input.value = JSON.stringify(getMockProfileDefinition(), null, 2);
+    }
+}
+
+/**
+ * Reset the mock profile editor to the example definition
+ */
+function resetMockProfile() {
+    localStorage.removeItem(MOCK_PROFILE_STORAGE_KEY);
+    const input = document.getElementById('mockProfileJson');
+    if (input) input.value = JSON.stringify(MOCK_PROFILE_EXAMPLE, null, 2);
+    showToast('Mock profile reset to the example', 'info');
+}
+
+// Expose functions globally for HTML event handlers
+window.createMockUtag = createMockUtag;
+window.loadMockTealium = loadMockTealium;
+window.initializeMockProfileEditor = initializeMockProfileEditor;
+window.resetMockProfile = resetMockProfile;
@@ -0,0 +1,249 @@
+/**
+ * HAR Export/Import for Tealium Sandbox
+ * Writes eventDebugState.networkRequests as HAR 1.2 and loads HAR files from other sites
+ * into the network panel, decoded with the same vendor detection and parameter extraction as live traffic
+ */
+
+const HAR_CREATOR = { name: 'Tealium Sandbox', version: '2.6.0' };
+
+/**
+ * Chrome/Firefox _resourceType values mapped to the capture types used by setupNetworkMonitoring
+ */
+const HAR_RESOURCE_TYPES = {
+    xhr: 'xhr',
+    fetch: 'fetch',
+    ping: 'beacon',
+    beacon: 'beacon',
+    image: 'image',
+    script: 'script',
+    document: 'iframe',
+    iframe: 'iframe'
+};
+
+/**
+ * Normalize captured headers (plain object, Headers or [name, value] pairs) to HAR name/value pairs
+ */
+function toHarHeaders(headers) {
+    if (!headers) return [];
+
+    let entries;
+    if (typeof headers.entries === 'function' && !Array.isArray(headers)) {
+        entries = Array.from(headers.entries());
+    } else if (Array.isArray(headers)) {
+        entries = headers;
+    } else {
+        entries = Object.entries(headers);
+    }
+
+    return entries.map(([name, value]) => ({ name: String(name), value: String(value) }));
+}
+
+/**
+ * HAR name/value pairs back to the plain object the network panel expects
+ */
+function fromHarHeaders(headers) {
+    const result = {};
+    (headers || []).forEach(header => {
+        if (header && header.name) result[header.name] = header.value;
+    });
+    return result;
+}
+
+/**
+ * Find a header value regardless of case
+ */
+function getHarHeaderValue(headers, name) {
+    const match = (headers || []).find(header => header.name.toLowerCase() === name.toLowerCase());
+    return match ? match.value : undefined;
+}
+
+/**
+ * Query string of a URL as HAR name/value pairs
+ */
+function getHarQueryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Convert one captured request to a HAR entry
+ */
+function buildHarEntry(request) {
+    const requestHeaders = toHarHeaders(request.headers);
+    const responseHeaders = toHarHeaders(request.responseHeaders);
+    const payload = request.payload === null || request.payload === undefined
+        ? null
+        : typeof request.payload === 'string' ? request.payload : JSON.stringify(request.payload);
+    const status = typeof request.status === 'number' ? request.status : 0;
+    const duration = request.duration || 0;
+
+    const entry = {
+        startedDateTime: new Date(request.startTime || Date.now()).toISOString(),
+        time: duration,
+        request: {
+            method: request.method || 'GET',
+            url: request.url,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: requestHeaders,
+            queryString: getHarQueryString(request.url),
+            headersSize: -1,
+            bodySize: payload ? payload.length : 0
+        },
+        response: {
+            status: status,
+            statusText: request.error ? String(request.error) : '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: responseHeaders,
+            content: {
+                size: request.responseSize || 0,
+                mimeType: getHarHeaderValue(responseHeaders, 'content-type') || ''
+            },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: request.responseSize || -1
+        },
+        cache: {},
+        // Only the total duration is captured, so it is all reported as wait
+        timings: { send: 0, wait: duration, receive: 0 },
+        _resourceType: request.type,
+        _vendor: request.vendor,
+        _tagRelated: !!request.isTagRelated
+    };
+
+    if (payload) {
+        entry.request.postData = {
+            mimeType: getHarHeaderValue(requestHeaders, 'content-type') || 'text/plain',
+            text: payload
+        };
+    }
+
+    return entry;
+}
+
+/**
+ * Build a HAR 1.2 log from captured requests (oldest first, as HAR viewers expect)
+ */
+function buildHarLog(requests) {
+    return {
+        log: {
+            version: '1.2',
+            creator: HAR_CREATOR,
+            pages: [],
+            entries: requests
+                .slice()
+                .sort((a, b) => (a.startTime || 0) - (b.startTime || 0))
+                .map(buildHarEntry)
+        }
+    };
+}
+
+/**
+ * Convert a HAR entry to the request shape produced by logNetworkRequest/logNetworkResponse
+ */
+function parseHarEntry(entry, index) {
+    const harRequest = entry.request || {};
+    const harResponse = entry.response || {};
+    const url = harRequest.url || '';
+    const resourceType = String(entry._resourceType || '').toLowerCase();
+    const payload = harRequest.postData ? (harRequest.postData.text || null) : null;
+    const status = harResponse.status || 0;
+
+    return {
+        id: `har_${index}_${Math.random().toString(36).substr(2, 9)}`,
+        type: HAR_RESOURCE_TYPES[resourceType] || 'har',
+        method: harRequest.method || 'GET',
+        url: url,
+        startTime: Date.parse(entry.startedDateTime) || Date.now(),
+        headers: fromHarHeaders(harRequest.headers),
+        payload: payload,
+        isTagRelated: isTagRelatedRequest(url),
+        status: status === 0 ? 'error' : status,
+        error: status === 0 ? (harResponse.statusText || harResponse._error || 'No response') : undefined,
+        vendor: detectVendorFromUrl(url),
+        size: harRequest.bodySize > 0 ? harRequest.bodySize : (payload ? payload.length : 0),
+        duration: Math.round(entry.time || 0),
+        completed: true,
+        responseHeaders: fromHarHeaders(harResponse.headers),
+        responseSize: harResponse.content?.size > 0 ? harResponse.content.size : Math.max(harResponse.bodySize || 0, 0),
+        imported: true
+    };
+}
+
+/**
+ * Parse HAR JSON text into network panel requests (newest first, like live capture)
+ */
+function parseHarLog(text) {
+    const har = JSON.parse(text);
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error('Not a HAR file: missing log.entries');
+    }
+
+    return har.log.entries
+        .map(parseHarEntry)
+        .filter(request => request.url)
+        .sort((a, b) => b.startTime - a.startTime);
+}
+
+/**
+ * Download the captured traffic as a .har file
+ */
+function exportNetworkHar() {
+    const requests = eventDebugState.networkRequests;
+    if (requests.length === 0) {
+        showToast('No network requests captured yet', 'warning');
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(buildHarLog(requests), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tealium-sandbox-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.har`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    logEvent('HAR_EXPORT', `Exported ${requests.length} request(s) as HAR`, { requests: requests.length });
+}
+
+/**
+ * Load a HAR file into the network panel, replacing the live capture
+ */
+function importNetworkHar(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        let requests;
+        try {
+            requests = parseHarLog(e.target.result);
+        } catch (error) {
+            showToast(`Could not import HAR: ${error.message}`, 'error');
+            return;
+        }
+
+        eventDebugState.networkRequests = requests;
+        // Show the whole import rather than only the most recent live requests
+        eventDebugState.networkDisplayLimit = Math.max(requests.length, 15);
+
+        const tagRelated = requests.filter(request => request.isTagRelated).length;
+        updateNetworkDetailsPanel();
+        showToast(`Imported ${requests.length} request(s) from ${file.name} (${tagRelated} tag-related)`, 'success');
+        logEvent('HAR_IMPORT', `Imported HAR ${file.name}`, {
+            requests: requests.length,
+            tagRelated: tagRelated,
+            vendors: [...new Set(requests.filter(request => request.isTagRelated).map(request => request.vendor))]
+        });
+    };
+    reader.readAsText(file);
+}
+
+// Expose functions globally for HTML event handlers
+window.exportNetworkHar = exportNetworkHar;
+window.importNetworkHar = importNetworkHar;
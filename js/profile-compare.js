@@ -0,0 +1,544 @@
+/**
+ * Multi-Profile Comparison for Tealium Sandbox
+ * Loads two profiles/environments (e.g. qa and prod) into isolated same-origin iframes with noview set,
+ * fires the same utag.view/utag.link payload at both, one after the other, and compares the tags that
+ * fired, the network requests (query and body parameters) and the resulting utag.data side by side -
+ * a check for dev → qa → prod promotions.
+ * The frames share this page's cookies, so utag_main state is common to both.
+ */
+
+const PROFILE_COMPARE_STORAGE_KEY = 'tealium-sandbox-profile-compare';
+const PROFILE_COMPARE_LOAD_TIMEOUT = 30000;
+const PROFILE_COMPARE_SETTLE_MS = 2000;
+
+/**
+ * utag.data keys expected to differ between two loads (session timestamps, environment, random values)
+ */
+const PROFILE_COMPARE_IGNORED_KEYS = [
+    /^cp\.utag_main_(_st|ses_id|_se|_pn|_ss|dc_\w+)$/,
+    /^ut\.(env|version|event)$/,
+    /^tealium_(environment|random|timestamp_\w+|session_\w+)$/,
+    /^dom\./
+];
+
+/**
+ * Query parameters that hold cache busters or timestamps
+ */
+const PROFILE_COMPARE_VOLATILE_PARAMS = ['_', 'cb', 'rnd', 'random', 'ord', 'z', '_t', 'utv'];
+
+let profileCompareState = {
+    running: false,
+    frames: {},
+    lastResult: null
+};
+
+/**
+ * "account/profile/env" to its parts
+ */
+function parseCompareProfile(value) {
+    const parts = String(value || '').trim().split('/').map(part => part.trim());
+    if (parts.length !== 3 || parts.some(part => !part)) {
+        throw new Error(`"${value}" is not account/profile/env`);
+    }
+    return { account: parts[0], profile: parts[1], env: parts[2], label: parts.join('/') };
+}
+
+/**
+ * Where a frame loads utag.js from. An uploaded utag.js belongs to a single profile, so in
+ * "file" mode each frame loads its own profile from the custom base URL (if set) or tiqcdn
+ */
+function resolveProfileCompareSource(target) {
+    const settings = getTealiumSourceSettings();
+    if (settings.type !== 'file') {
+        return resolveTealiumScriptSource(target.account, target.profile, target.env);
+    }
+
+    const base = settings.baseUrl
+        ? buildTealiumBaseUrl(settings.baseUrl, target.account, target.profile, target.env)
+        : `https://tags.tiqcdn.com/utag/${target.account}/${target.profile}/${target.env}/`;
+    return { type: settings.baseUrl ? 'custom' : 'tiqcdn', url: base + 'utag.js', base, label: base + 'utag.js' };
+}
+
+/**
+ * Request body as text; a Blob is read asynchronously and handed to onText when ready
+ */
+function readProfileCompareBody(body, onText) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === 'string') return body;
+
+    // Checked by shape, as the body comes from the frame's realm
+    if (typeof body.text === 'function' && typeof body.size === 'number') {
+        body.text().then(onText).catch(() => {});
+        return '[Blob]';
+    }
+    if (typeof body.entries === 'function' && typeof body.append === 'function') {
+        // FormData or URLSearchParams
+        return new URLSearchParams([...body.entries()].map(([key, value]) => [key, String(value)])).toString();
+    }
+    if (body.byteLength !== undefined) {
+        return new TextDecoder().decode(body);
+    }
+    try {
+        return JSON.stringify(body);
+    } catch (error) {
+        return String(body);
+    }
+}
+
+/**
+ * Capture every request a frame sends, URL and body, by wrapping its fetch, XMLHttpRequest,
+ * sendBeacon and image/script/iframe src the way setupNetworkMonitoring does for this page
+ */
+function installProfileCompareCapture(frameWindow, requests) {
+    const record = (type, url, method, body) => {
+        let absolute;
+        try {
+            absolute = new URL(String(url), frameWindow.document.baseURI);
+        } catch (error) {
+            return;
+        }
+        if (!url || (absolute.protocol !== 'https:' && absolute.protocol !== 'http:')) return;
+
+        const request = { url: absolute.href, type, method: (method || 'GET').toUpperCase(), payload: null };
+        request.payload = readProfileCompareBody(body, text => { request.payload = text; });
+        requests.push(request);
+    };
+
+    const originalFetch = frameWindow.fetch;
+    frameWindow.fetch = function(input, init) {
+        const options = init || {};
+        const url = typeof input === 'string' ? input : input && input.url;
+        record('fetch', url, options.method || (input && input.method), options.body);
+        return originalFetch.apply(this, arguments);
+    };
+
+    const xhrPrototype = frameWindow.XMLHttpRequest.prototype;
+    const originalOpen = xhrPrototype.open;
+    const originalSend = xhrPrototype.send;
+    xhrPrototype.open = function(method, url) {
+        this._profileCompareRequest = { method, url };
+        return originalOpen.apply(this, arguments);
+    };
+    xhrPrototype.send = function(body) {
+        if (this._profileCompareRequest) {
+            record('xhr', this._profileCompareRequest.url, this._profileCompareRequest.method, body);
+        }
+        return originalSend.apply(this, arguments);
+    };
+
+    if (frameWindow.navigator.sendBeacon) {
+        const originalSendBeacon = frameWindow.navigator.sendBeacon;
+        frameWindow.navigator.sendBeacon = function(url, data) {
+            record('beacon', url, 'POST', data);
+            return originalSendBeacon.apply(this, arguments);
+        };
+    }
+
+    const elementType = (element) => Object.keys(MONITORED_ELEMENT_TYPES).find(type => {
+        const ElementClass = frameWindow[MONITORED_ELEMENT_TYPES[type]];
+        return ElementClass && element instanceof ElementClass;
+    });
+    Object.entries(MONITORED_ELEMENT_TYPES).forEach(([type, className]) => {
+        const ElementClass = frameWindow[className];
+        const descriptor = ElementClass && Object.getOwnPropertyDescriptor(ElementClass.prototype, 'src');
+        if (!descriptor || !descriptor.set) return;
+
+        Object.defineProperty(ElementClass.prototype, 'src', {
+            configurable: true,
+            enumerable: descriptor.enumerable,
+            get: descriptor.get,
+            set: function(value) {
+                record(type, value, 'GET', null);
+                descriptor.set.call(this, value);
+            }
+        });
+    });
+
+    // setAttribute('src', ...) bypasses the property setter
+    const originalSetAttribute = frameWindow.Element.prototype.setAttribute;
+    frameWindow.Element.prototype.setAttribute = function(name, value) {
+        if (typeof name === 'string' && name.toLowerCase() === 'src') {
+            const type = elementType(this);
+            if (type) record(type, value, 'GET', null);
+        }
+        return originalSetAttribute.apply(this, arguments);
+    };
+}
+
+/**
+ * Load utag.js into a hidden iframe (reused while the profile is unchanged) and wait for it to initialise
+ */
+function loadProfileCompareFrame(slot, target) {
+    const existing = profileCompareState.frames[slot];
+    if (existing && existing.label === target.label && existing.iframe.isConnected && existing.iframe.contentWindow.utag) {
+        return Promise.resolve(existing);
+    }
+    if (existing) existing.iframe.remove();
+
+    const source = resolveProfileCompareSource(target);
+    const container = document.getElementById('profileCompareFrames') || document.body;
+    const iframe = document.createElement('iframe');
+    iframe.className = 'hidden';
+    iframe.title = `Comparison frame ${slot}: ${target.label}`;
+    iframe.srcdoc = '<!DOCTYPE html><html><head><title>Tealium Sandbox comparison</title></head><body></body></html>';
+    const frame = { label: target.label, iframe: iframe, requests: [], loaded: false };
+    profileCompareState.frames[slot] = frame;
+
+    return new Promise((resolve, reject) => {
+        iframe.onload = () => {
+            const frameWindow = iframe.contentWindow;
+            // Only the compared call should fire, so suppress the automatic page view
+            frameWindow.utag_cfg_ovrd = { noview: true };
+            if (source.type !== 'tiqcdn') frameWindow.utag_cfg_ovrd.path = source.base;
+            frameWindow.utag_data = {};
+            if (frameWindow.performance.setResourceTimingBufferSize) frameWindow.performance.setResourceTimingBufferSize(1000);
+            installProfileCompareCapture(frameWindow, frame.requests);
+
+            const startTime = Date.now();
+            const poll = setInterval(() => {
+                const utag = frameWindow.utag;
+                if (utag && utag.loader && utag.loader.cfg && utag.data) {
+                    clearInterval(poll);
+                    frame.loaded = true;
+                    resolve(frame);
+                } else if (!iframe.isConnected) {
+                    fail(`${target.label} was removed before it loaded`);
+                } else if (Date.now() - startTime > PROFILE_COMPARE_LOAD_TIMEOUT) {
+                    fail(`${target.label} did not load within ${PROFILE_COMPARE_LOAD_TIMEOUT / 1000}s`);
+                }
+            }, 100);
+            const fail = (message) => {
+                clearInterval(poll);
+                reject(new Error(message));
+            };
+
+            const script = frameWindow.document.createElement('script');
+            script.src = source.url;
+            script.onerror = () => fail(`Could not load ${source.label}`);
+            frameWindow.document.head.appendChild(script);
+        };
+        container.appendChild(iframe);
+    });
+}
+
+/**
+ * Fire the payload in a frame and collect tags, requests and utag.data
+ */
+async function fireProfileCompareEvent(frame, eventType, payloadText, settleMs) {
+    const frameWindow = frame.iframe.contentWindow;
+    const resourceCount = frameWindow.performance.getEntriesByType('resource').length;
+    frame.requests.length = 0;
+    const recorder = startJourneyTagRecorder(frameWindow);
+
+    // Parse in the frame so utag gets an object from its own realm
+    frameWindow.utag[eventType](frameWindow.JSON.parse(payloadText));
+    await waitForJourney(settleMs);
+
+    const tags = stopJourneyTagRecorder(recorder);
+    const captured = frame.requests.slice();
+    const capturedUrls = new Set(captured.map(request => request.url));
+    // Resource Timing still covers requests the wrappers cannot see, e.g. images parsed from innerHTML
+    const timed = frameWindow.performance.getEntriesByType('resource').slice(resourceCount)
+        .filter(entry => !capturedUrls.has(entry.name))
+        .map(entry => ({ url: entry.name, type: entry.initiatorType, method: 'GET', payload: null }));
+    const requests = captured.concat(timed).map(request => Object.assign({}, request, {
+        vendor: detectVendorFromUrl(request.url),
+        tagRelated: isTagRelatedRequest(request.url)
+    }));
+
+    let data;
+    try {
+        data = JSON.parse(JSON.stringify(frameWindow.utag.data || {}));
+    } catch (error) {
+        data = {};
+    }
+
+    return { tags, requests, data };
+}
+
+/**
+ * Requests grouped by host + path, with the first request's query and body parameters
+ */
+function groupCompareRequests(requests) {
+    const groups = {};
+    requests.forEach(request => {
+        let key = request.url;
+        const params = {};
+        try {
+            const url = new URL(request.url);
+            // Tag files live under /utag/account/profile/env/, which differs by design
+            key = url.hostname + url.pathname.replace(/^\/utag\/[^/]+\/[^/]+\/[^/]+\//, '/utag/*/*/*/');
+        } catch (error) {
+            key = request.url;
+        }
+        if (groups[key]) {
+            groups[key].count++;
+            return;
+        }
+
+        // Same parsing as the network panel, so Collect JSON and batched GA4 bodies are unpacked
+        extractAllParameters(request).forEach(param => {
+            const name = /^event \d+$/.test(param.source) ? `${param.source}: ${param.key}` : param.key;
+            params[name] = param.value;
+        });
+        groups[key] = { key, vendor: request.vendor, count: 1, params };
+    });
+    return groups;
+}
+
+/**
+ * Side-by-side differences between the two results
+ */
+function diffProfileComparison(left, right, ignoreExpected = true) {
+    const allTags = [...new Set([...left.tags, ...right.tags])].sort((a, b) => a - b);
+    const tags = allTags.map(uid => ({
+        uid,
+        left: left.tags.includes(uid),
+        right: right.tags.includes(uid),
+        changed: left.tags.includes(uid) !== right.tags.includes(uid)
+    }));
+
+    const leftGroups = groupCompareRequests(left.requests);
+    const rightGroups = groupCompareRequests(right.requests);
+    const requests = [...new Set([...Object.keys(leftGroups), ...Object.keys(rightGroups)])].sort().map(key => {
+        const a = leftGroups[key];
+        const b = rightGroups[key];
+        const params = [];
+        // Tag files differ by utv cache buster only, so parameters are compared for requests
+        if (a && b && !/\/utag\.\d+\.js$/.test(key)) {
+            [...new Set([...Object.keys(a.params), ...Object.keys(b.params)])].forEach(name => {
+                if (PROFILE_COMPARE_VOLATILE_PARAMS.includes(name)) return;
+                // Body parameters mirror utag.data keys, e.g. data.udo.tealium_random
+                if (ignoreExpected && PROFILE_COMPARE_IGNORED_KEYS.some(pattern => pattern.test(name.replace(/^(event \d+: )?(data\.)?(udo\.)?/, '')))) return;
+                const valueA = a.params[name];
+                const valueB = b.params[name];
+                if (valueA === valueB || (/^\d{10,}$/.test(valueA) && /^\d{10,}$/.test(valueB))) return;
+                params.push({ name, left: valueA, right: valueB });
+            });
+        }
+        return {
+            key,
+            vendor: (a || b).vendor,
+            left: a ? a.count : 0,
+            right: b ? b.count : 0,
+            params,
+            changed: !a || !b || params.length > 0
+        };
+    });
+
+    const data = [...new Set([...Object.keys(left.data), ...Object.keys(right.data)])].sort()
+        .filter(key => !ignoreExpected || !PROFILE_COMPARE_IGNORED_KEYS.some(pattern => pattern.test(key)))
+        .map(key => {
+            const a = left.data[key] === undefined ? undefined : JSON.stringify(left.data[key]);
+            const b = right.data[key] === undefined ? undefined : JSON.stringify(right.data[key]);
+            return { key, left: a, right: b, changed: a !== b };
+        })
+        .filter(entry => entry.changed);
+
+    return {
+        tags,
+        requests,
+        data,
+        summary: {
+            tagsChanged: tags.filter(tag => tag.changed).length,
+            requestsChanged: requests.filter(request => request.changed).length,
+            dataChanged: data.length
+        }
+    };
+}
+
+/**
+ * Read the form, load both profiles and compare the same event
+ */
+async function runProfileComparison() {
+    if (profileCompareState.running) return null;
+
+    let left;
+    let right;
+    let payloadText;
+    try {
+        left = parseCompareProfile(document.getElementById('profileCompareLeft')?.value);
+        right = parseCompareProfile(document.getElementById('profileCompareRight')?.value);
+        payloadText = document.getElementById('profileComparePayload')?.value.trim() || '{}';
+        const payload = JSON.parse(payloadText);
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error('The payload must be a JSON object');
+    } catch (error) {
+        showToast(error.message, 'error');
+        return null;
+    }
+
+    const eventType = document.getElementById('profileCompareEventType')?.value === 'link' ? 'link' : 'view';
+    const ignoreExpected = document.getElementById('profileCompareIgnoreExpected')?.checked !== false;
+    localStorage.setItem(PROFILE_COMPARE_STORAGE_KEY, JSON.stringify({ left: left.label, right: right.label, eventType, payload: payloadText }));
+
+    profileCompareState.running = true;
+    renderProfileComparison(null, `Loading ${left.label} and ${right.label}...`);
+
+    let result;
+    try {
+        const frames = await Promise.all([loadProfileCompareFrame('left', left), loadProfileCompareFrame('right', right)]);
+        // One after the other, as both frames read and write the same utag_main cookies
+        renderProfileComparison(null, `Firing utag.${eventType} at ${left.label}...`);
+        const leftResult = await fireProfileCompareEvent(frames[0], eventType, payloadText, PROFILE_COMPARE_SETTLE_MS);
+        renderProfileComparison(null, `Firing utag.${eventType} at ${right.label}...`);
+        const rightResult = await fireProfileCompareEvent(frames[1], eventType, payloadText, PROFILE_COMPARE_SETTLE_MS);
+
+        result = {
+            eventType,
+            payload: JSON.parse(payloadText),
+            comparedAt: new Date().toISOString(),
+            left: Object.assign({ label: left.label }, leftResult),
+            right: Object.assign({ label: right.label }, rightResult)
+        };
+        result.diff = diffProfileComparison(leftResult, rightResult, ignoreExpected);
+    } catch (error) {
+        // Don't leave half-loaded frames attached; a frame still loading stops polling once removed
+        Object.entries(profileCompareState.frames).forEach(([slot, frame]) => {
+            if (frame.loaded) return;
+            frame.iframe.remove();
+            delete profileCompareState.frames[slot];
+        });
+        renderProfileComparison(null, error.message);
+        showToast(error.message, 'error');
+        return null;
+    } finally {
+        profileCompareState.running = false;
+    }
+
+    profileCompareState.lastResult = result;
+    window.profileComparison = result;
+    renderProfileComparison(result);
+    logEvent('PROFILE_COMPARE', `Compared utag.${eventType} on ${left.label} and ${right.label}`, result.diff.summary);
+    return result;
+}
+
+/**
+ * Remove the comparison frames so the next run reloads both profiles
+ */
+function resetProfileComparison() {
+    Object.values(profileCompareState.frames).forEach(frame => frame.iframe.remove());
+    profileCompareState.frames = {};
+    renderProfileComparison(null, 'Comparison frames removed');
+}
+
+/**
+ * Use the current data layer as the payload
+ */
+function useDataLayerForProfileCompare() {
+    const input = document.getElementById('profileComparePayload');
+    if (input) input.value = JSON.stringify(window.utag_data || {}, null, 2);
+}
+
+/**
+ * Download the last comparison as JSON
+ */
+function exportProfileComparison() {
+    if (!profileCompareState.lastResult) {
+        showToast('Run a comparison first', 'warning');
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(profileCompareState.lastResult, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tealium-profile-comparison-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Render the tag, request and data layer tables
+ */
+function renderProfileComparison(result, message) {
+    const container = document.getElementById('profileCompareResults');
+    if (!container) return;
+
+    if (!result) {
+        container.innerHTML = message ? `<div class="text-sm text-gray-600">${escapeHtml(message)}</div>` : '';
+        return;
+    }
+
+    const mark = (value) => value
+        ? '<i class="fas fa-check text-green-600"></i>'
+        : '<i class="fas fa-times text-gray-300"></i>';
+    const row = (changed) => changed ? 'bg-yellow-50' : '';
+    const summary = result.diff.summary;
+    const header = (title) => `<thead><tr class="text-left text-gray-500"><th class="py-1">${title}</th><th>${escapeHtml(result.left.label)}</th><th>${escapeHtml(result.right.label)}</th></tr></thead>`;
+
+    container.innerHTML = `
+        <div class="text-sm mb-3 ${summary.tagsChanged + summary.requestsChanged + summary.dataChanged === 0 ? 'text-green-700' : 'text-orange-700'}">
+            utag.${result.eventType}: ${summary.tagsChanged} tag difference(s), ${summary.requestsChanged} request difference(s), ${summary.dataChanged} utag.data difference(s)
+        </div>
+        <h5 class="text-sm font-medium text-gray-700 mb-1">Tags fired</h5>
+        ${result.diff.tags.length === 0 ? '<div class="text-xs text-gray-500 mb-3">No tags fired on either profile.</div>' : `
+            <table class="w-full text-xs mb-3">${header('UID')}<tbody>
+                ${result.diff.tags.map(tag => `<tr class="${row(tag.changed)}"><td class="py-1 font-mono">${tag.uid}</td><td>${mark(tag.left)}</td><td>${mark(tag.right)}</td></tr>`).join('')}
+            </tbody></table>
+        `}
+        <h5 class="text-sm font-medium text-gray-700 mb-1">Network requests</h5>
+        ${result.diff.requests.length === 0 ? '<div class="text-xs text-gray-500 mb-3">No requests captured.</div>' : `
+            <table class="w-full text-xs mb-3">${header('Endpoint')}<tbody>
+                ${result.diff.requests.map(request => `
+                    <tr class="${row(request.changed)}">
+                        <td class="py-1"><span class="font-mono break-all">${escapeHtml(request.key)}</span> <span class="text-gray-400">${escapeHtml(request.vendor)}</span>
+                            ${request.params.map(param => `<div class="text-gray-600 ml-2">${escapeHtml(param.name)}: <span class="font-mono">${escapeHtml(String(param.left ?? '-'))}</span> → <span class="font-mono">${escapeHtml(String(param.right ?? '-'))}</span></div>`).join('')}
+                        </td>
+                        <td>${request.left}</td>
+                        <td>${request.right}</td>
+                    </tr>
+                `).join('')}
+            </tbody></table>
+        `}
+        <h5 class="text-sm font-medium text-gray-700 mb-1">utag.data differences</h5>
+        ${result.diff.data.length === 0 ? '<div class="text-xs text-gray-500">utag.data matches.</div>' : `
+            <table class="w-full text-xs">${header('Variable')}<tbody>
+                ${result.diff.data.map(entry => `
+                    <tr class="bg-yellow-50">
+                        <td class="py-1 font-mono">${escapeHtml(entry.key)}</td>
+                        <td class="font-mono break-all">${escapeHtml(entry.left ?? '-')}</td>
+                        <td class="font-mono break-all">${escapeHtml(entry.right ?? '-')}</td>
+                    </tr>
+                `).join('')}
+            </tbody></table>
+        `}
+    `;
+}
+
+/**
+ * Restore the last comparison setup and list saved profiles
+ */
+function initializeProfileComparison() {
+    const saved = JSON.parse(localStorage.getItem(PROFILE_COMPARE_STORAGE_KEY) || 'null');
+    const leftInput = document.getElementById('profileCompareLeft');
+    const rightInput = document.getElementById('profileCompareRight');
+    const payloadInput = document.getElementById('profileComparePayload');
+    const typeInput = document.getElementById('profileCompareEventType');
+
+    if (saved) {
+        if (leftInput && !leftInput.value) leftInput.value = saved.left || '';
+        if (rightInput && !rightInput.value) rightInput.value = saved.right || '';
+        if (payloadInput && !payloadInput.value) payloadInput.value = saved.payload || '';
+        if (typeInput) typeInput.value = saved.eventType || 'view';
+    }
+    if (payloadInput && !payloadInput.value) {
+        payloadInput.value = JSON.stringify({ tealium_event: 'page_view', page_type: 'home' }, null, 2);
+    }
+
+    const list = document.getElementById('profileCompareSaved');
+    if (list) {
+        const savedProfiles = JSON.parse(localStorage.getItem('tealium-sandbox-profiles') || '[]');
+        list.innerHTML = savedProfiles.map(profile => `<option value="${escapeHtml(`${profile.account}/${profile.profile}/${profile.env}`)}"></option>`).join('');
+    }
+
+    if (profileCompareState.lastResult) renderProfileComparison(profileCompareState.lastResult);
+}
+
+// Expose functions globally for HTML event handlers
+window.runProfileComparison = runProfileComparison;
+window.resetProfileComparison = resetProfileComparison;
+window.useDataLayerForProfileCompare = useDataLayerForProfileCompare;
+window.exportProfileComparison = exportProfileComparison;
+window.initializeProfileComparison = initializeProfileComparison;
@@ -785,6 +785,11 @@ function renderTagsList(tags) {
                     <div class="text-right flex items-center space-x-2">
                         <div class="text-sm ${tag.statusClass} font-medium">${tag.status}</div>
                         ${tag.isBundled ? '<span class="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">Bundled</span>' : ''}
+                        <button onclick="showTagExplanation('${tag.uid}')" 
+                                class="text-gray-400 hover:text-orange-600 p-1 rounded hover:bg-orange-50 transition-colors"
+                                title="Why did this tag ${tag.status === 'OK' ? '' : 'not '}fire?">
+                            <i class="fas fa-question-circle text-sm"></i>
+                        </button>
                         <button onclick="openTagFile('${tag.uid}')" 
                                 class="text-gray-400 hover:text-blue-600 p-1 rounded hover:bg-blue-50 transition-colors"
                                 title="Open utag.${tag.uid}.js in new tab">
@@ -1739,9 +1744,14 @@ function viewExtensionCode(index, id, name) {
     try {
         // Get extension function from utag.handler.extend array
         const extensionFunction = window.utag?.handler?.extend?.[index];
+        const staticExtension = window.profileAnalysis?.staticAnalysis
+            ? window.profileAnalysis.extensions.find(ext => ext.index === index)
+            : null;
         
         let codeText = '';
-        if (typeof extensionFunction === 'function') {
+        if (staticExtension) {
+            codeText = staticExtension.code || 'Extension function not found in the analyzed utag.js';
+        } else if (typeof extensionFunction === 'function') {
             codeText = extensionFunction.toString();
         } else {
             codeText = 'Extension function not found or not accessible';
@@ -1833,15 +1843,11 @@ function viewLoadRuleDetails(ruleId, ruleTitle) {
                 </div>
                 
                 <!-- Load Rule Conditions -->
-                ${loadRuleDetails.parsedConditions && loadRuleDetails.parsedConditions.length > 0 ? `
+                ${loadRuleDetails.tree ? `
                 <div class="bg-blue-50 p-4 rounded-lg">
                     <h4 class="font-semibold text-gray-900 mb-3">Load Rule Conditions</h4>
                     <div class="space-y-2">
-                        ${loadRuleDetails.parsedConditions.map(condition => `
-                            <div class="bg-white p-3 rounded border-l-4 border-blue-400">
-                                <div class="font-medium text-gray-900">${condition.readable}</div>
-                            </div>
-                        `).join('')}
+                        ${renderLoadRuleConditionTree(loadRuleDetails.tree)}
                     </div>
                 </div>
                 ` : loadRuleDetails.condition ? `
@@ -1867,7 +1873,8 @@ function viewLoadRuleDetails(ruleId, ruleTitle) {
                     <div class="grid grid-cols-1 sm:grid-cols-2 gap-2">
                         ${loadRuleDetails.variables.map(variable => `
                             <div class="bg-white p-3 rounded border">
-                                <div class="font-mono text-sm text-purple-700">${escapeHtml(variable)}</div>
+                                <div class="font-mono text-sm text-purple-700">${escapeHtml(variable.name)}</div>
+                                <div class="text-xs text-gray-500 mt-1">${escapeHtml(String(variable.value))}</div>
                             </div>
                         `).join('')}
                     </div>
@@ -1967,17 +1974,21 @@ function getRelatedTagsForLoadRule(ruleId) {
  */
 function extractLoadRuleFromUtag(ruleId) {
     try {
+        // A statically analyzed utag.js has no utag.cond results, only its loadrules source
+        const staticSource = window.profileAnalysis?.staticAnalysis?.loadRulesSource;
+        
         // Get current result from utag.cond
-        const currentResult = window.utag?.cond?.[ruleId];
+        const currentResult = staticSource ? undefined : window.utag?.cond?.[ruleId];
         
         // Extract load rule details from utag.js
-        const loadRuleDetails = parseLoadRuleFromUtag(ruleId);
+        const loadRuleDetails = parseLoadRuleFromUtag(ruleId, staticSource);
         
         return {
             result: currentResult,
             condition: loadRuleDetails.condition,
             type: loadRuleDetails.type,
             parsedConditions: loadRuleDetails.parsedConditions,
+            tree: loadRuleDetails.tree,
             tagFunction: loadRuleDetails.tagFunction,
             variables: loadRuleDetails.variables
         };
@@ -1988,6 +1999,7 @@ function extractLoadRuleFromUtag(ruleId) {
             condition: `Error extracting rule: ${error.message}`,
             type: 'error',
             parsedConditions: [],
+            tree: null,
             tagFunction: '',
             variables: []
         };
@@ -1996,68 +2008,42 @@ function extractLoadRuleFromUtag(ruleId) {
 
 /**
  * Parse load rule from utag.js source code
+ * @param {string} ruleId - Load rule ID (the N in c[N])
+ * @param {string} [source] - Load rules source to parse instead of utag.loader.loadrules (e.g. pasted TiQ code)
  */
-function parseLoadRuleFromUtag(ruleId) {
+function parseLoadRuleFromUtag(ruleId, source) {
     try {
-        if (!window.utag?.loader?.loadrules) {
+        if (!source && !window.utag?.loader?.loadrules) {
             return {
                 condition: 'utag.loader.loadrules function not available',
                 type: 'no_function',
                 parsedConditions: [],
+                groups: [],
+                tree: null,
                 tagFunction: '',
                 variables: []
             };
         }
 
-        const loadRulesSource = window.utag.loader.loadrules.toString();
+        const loadRulesSource = source || window.utag.loader.loadrules.toString();
         
-        // Extract from case 'ruleId': ... c[ruleId] |= (condition) ... break;
+        // Build a condition tree from every c[ruleId] |= (...) statement; several statements are ORed
+        const { tree, sources } = parseLoadRuleTree(loadRulesSource, ruleId);
+        const rawCondition = sources.join(' || ');
         
-        let rawCondition = '';
-        
-        // Find the case block
-        const caseStartPattern = new RegExp(`case\\s*['"]*${ruleId}['"]*\\s*:`, 'g');
-        const caseStartMatch = caseStartPattern.exec(loadRulesSource);
-        
-        if (caseStartMatch) {
-            // Find the condition assignment within this case
-            const startPos = caseStartMatch.index;
-            const caseEndPattern = /break\s*;/g;
-            caseEndPattern.lastIndex = startPos;
-            const caseEndMatch = caseEndPattern.exec(loadRulesSource);
-            
-            if (caseEndMatch) {
-                const caseBlock = loadRulesSource.substring(startPos, caseEndMatch.index + caseEndMatch[0].length);
-                
-                // Extract the condition from c[ruleId] |= (condition)
-                // Use a simple approach: find the opening parenthesis and manually count to find the closing one
-                const assignmentPattern = new RegExp(`c\\[${ruleId}\\]\\s*\\|=\\s*\\(`, 'g');
-                const assignmentMatch = assignmentPattern.exec(caseBlock);
-                
-                let conditionMatch = null;
-                if (assignmentMatch) {
-                    const startPos = assignmentMatch.index + assignmentMatch[0].length - 1; // Position of opening parenthesis
-                    const condition = extractBalancedContent(caseBlock, startPos);
-                    if (condition) {
-                        conditionMatch = [null, condition]; // Fake match array format
-                    }
-                }
-                
-                if (conditionMatch) {
-                    rawCondition = conditionMatch[1].trim();
-                }
-            }
-        }
+        const leaves = collectLoadRuleTreeLeaves(tree);
+        const parsedConditions = leaves.map(leaf => ({
+            original: leaf.source,
+            readable: describeLoadRuleTreeLeaf(leaf),
+            condition: getLoadRuleTreeLeafCondition(leaf),
+            type: leaf.type === 'condition' ? 'condition' : 'custom'
+        }));
         
-        // Fallback: simple pattern search
-        if (!rawCondition) {
-            const simplePattern = new RegExp(`c\\[${ruleId}\\]\\s*\\|=\\s*\\(([^\\)]+)\\)`, 'g');
-            const simpleMatch = simplePattern.exec(loadRulesSource);
-            if (simpleMatch) {
-                rawCondition = simpleMatch[1].trim();
-            } else {
-            }
-        }
+        // OR-of-AND groups, only when the tree is flat enough for the rule builder
+        const treeGroups = getLoadRuleTreeGroups(tree);
+        const groups = treeGroups
+            ? treeGroups.map(group => group.map(leaf => parsedConditions[leaves.indexOf(leaf)]))
+            : [];
         
         // Look for the tag function that uses this load rule
         const tagFunctionPattern = new RegExp(`if\\s*\\(\\s*\\(utag\\.cond\\[${ruleId}\\]\\)\\)\\s*\\{([\\s\\S]*?)\\}\\s*\\}\\s*catch`, 'g');
@@ -2073,13 +2059,23 @@ function parseLoadRuleFromUtag(ruleId) {
             variables = extractVariablesFromTagFunction(tagFunction);
         }
         
-        // Parse the condition into human-readable format
-        const parsedConditions = parseConditionString(rawCondition);
+        // Add the data layer variables the condition itself reads
+        leaves.filter(leaf => leaf.isDataLayer).forEach(leaf => {
+            if (!variables.find(v => v.name === leaf.variable)) {
+                variables.push({
+                    name: leaf.variable,
+                    type: 'data_layer',
+                    value: window.utag?.data?.[leaf.variable] || 'undefined'
+                });
+            }
+        });
         
         return {
             condition: rawCondition || `Rule c[${ruleId}] not found`,
             type: rawCondition ? 'condition' : 'not_found',
             parsedConditions: parsedConditions,
+            groups: groups,
+            tree: tree,
             tagFunction: tagFunction,
             variables: variables
         };
@@ -2089,282 +2085,14 @@ function parseLoadRuleFromUtag(ruleId) {
             condition: `Error parsing rule: ${error.message}`,
             type: 'error',
             parsedConditions: [],
+            groups: [],
+            tree: null,
             tagFunction: '',
             variables: []
         };
     }
 }
 
-/**
- * Parse condition string into human-readable conditions
- */
-function parseConditionString(conditionStr) {
-    if (!conditionStr) return [];
-    
-    const conditions = [];
-    
-    try {
-        // Common Tealium condition patterns
-        const patterns = [
-            // d['key'].toString().indexOf('value') > -1
-            {
-                regex: /d\['([^']+)'\]\.toString\(\)\.indexOf\('([^']+)'\)\s*>\s*-1/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" contains "${matches[2]}"`
-            },
-            // d["key"].toString().indexOf('value') > -1
-            {
-                regex: /d\["([^"]+)"\]\.toString\(\)\.indexOf\('([^']+)'\)\s*>\s*-1/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" contains "${matches[2]}"`
-            },
-            // d['key'].toString().indexOf("value") > -1
-            {
-                regex: /d\['([^']+)'\]\.toString\(\)\.indexOf\("([^"]+)"\)\s*>\s*-1/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" contains "${matches[2]}"`
-            },
-            // d["key"].toString().indexOf("value") > -1
-            {
-                regex: /d\["([^"]+)"\]\.toString\(\)\.indexOf\("([^"]+)"\)\s*>\s*-1/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" contains "${matches[2]}"`
-            },
-            // typeof d['key'] != 'undefined' && d['key'].toString().toLowerCase().indexOf('value'.toLowerCase()) > -1
-            {
-                regex: /typeof\s+d\['([^']+)'\]\s*!=\s*'undefined'\s*&&\s*d\['([^']+)'\]\.toString\(\)\.toLowerCase\(\)\.indexOf\('([^']+)'\.toLowerCase\(\)\)\s*>\s*-1/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" is defined AND contains "${matches[3]}" (case insensitive)`
-            },
-            // utag.data["key"] == "value"
-            {
-                regex: /utag\.data\["([^"]+)"\]\s*==\s*"([^"]+)"/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" equals "${matches[2]}"`
-            },
-            // utag.data["key"] != "value"
-            {
-                regex: /utag\.data\["([^"]+)"\]\s*!=\s*"([^"]+)"/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" does not equal "${matches[2]}"`
-            },
-            // d['key'] == 'value'
-            {
-                regex: /d\['([^']+)'\]\s*==\s*'([^']+)'/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" equals "${matches[2]}"`
-            },
-            // d["key"] == "value"
-            {
-                regex: /d\["([^"]+)"\]\s*==\s*"([^"]+)"/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" equals "${matches[2]}"`
-            },
-            // typeof d['key'] != 'undefined'
-            {
-                regex: /typeof\s+d\['([^']+)'\]\s*!=\s*'undefined'/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" is defined`
-            },
-            // typeof d["key"] != "undefined"
-            {
-                regex: /typeof\s+d\["([^"]+)"\]\s*!=\s*"undefined"/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" is defined`
-            },
-            // utag.data["key"]
-            {
-                regex: /utag\.data\["([^"]+)"\](?!\s*[!=]=)/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" exists and is truthy`
-            },
-            // !utag.data["key"]
-            {
-                regex: /!utag\.data\["([^"]+)"\]/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" does not exist or is falsy`
-            },
-            // typeof utag.data["key"] != "undefined"
-            {
-                regex: /typeof\s+utag\.data\["([^"]+)"\]\s*!=\s*"undefined"/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" is defined`
-            },
-            // typeof utag.data["key"] == "undefined"
-            {
-                regex: /typeof\s+utag\.data\["([^"]+)"\]\s*==\s*"undefined"/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" is undefined`
-            },
-            // b["key"] patterns (utag_data object)
-            {
-                regex: /b\["([^"]+)"\]\s*==\s*"([^"]+)"/g,
-                format: (matches) => `Page Variable "${matches[1]}" equals "${matches[2]}"`
-            },
-            // window.location patterns
-            {
-                regex: /window\.location\.href\.indexOf\("([^"]+)"\)\s*>\s*-1/g,
-                format: (matches) => `URL contains "${matches[1]}"`
-            },
-            {
-                regex: /window\.location\.pathname\s*==\s*"([^"]+)"/g,
-                format: (matches) => `Page path equals "${matches[1]}"`
-            },
-            // document.title patterns
-            {
-                regex: /document\.title\.indexOf\("([^"]+)"\)\s*>\s*-1/g,
-                format: (matches) => `Page title contains "${matches[1]}"`
-            },
-            // Cookie patterns
-            {
-                regex: /document\.cookie\.indexOf\("([^"]+)"\)\s*>\s*-1/g,
-                format: (matches) => `Cookie contains "${matches[1]}"`
-            },
-            // d['key'] - put at end so it doesn't interfere with more specific patterns
-            {
-                regex: /\bd\['([^']+)'\](?!\s*[!=\.]=|\.toString|\.toLowerCase)/g,
-                format: (matches) => `Data Layer Variable "${matches[1]}" exists and is truthy`
-            }
-        ];
-        
-        // Apply each pattern, but avoid duplicates
-        const usedText = new Set();
-        
-        patterns.forEach((pattern, index) => {
-            let match;
-            while ((match = pattern.regex.exec(conditionStr)) !== null) {
-                const matchText = match[0];
-                if (!usedText.has(matchText)) {
-                    conditions.push({
-                        original: matchText,
-                        readable: pattern.format(match),
-                        type: 'condition'
-                    });
-                    usedText.add(matchText);
-                }
-            }
-        });
-        
-        // Handle complex AND/OR conditions
-        if (conditions.length === 0) {
-            // Try to break down complex conditions with && or ||
-            if (conditionStr.includes('&&') || conditionStr.includes('||')) {
-                const complexCondition = parseComplexCondition(conditionStr);
-                if (complexCondition) {
-                    conditions.push({
-                        original: conditionStr,
-                        readable: complexCondition,
-                        type: 'complex'
-                    });
-                } else {
-                    conditions.push({
-                        original: conditionStr,
-                        readable: `Complex condition: ${conditionStr}`,
-                        type: 'custom'
-                    });
-                }
-            } else {
-                conditions.push({
-                    original: conditionStr,
-                    readable: `Custom condition: ${conditionStr}`,
-                    type: 'custom'
-                });
-            }
-        }
-        
-    } catch (error) {
-        conditions.push({
-            original: conditionStr,
-            readable: `Error parsing condition: ${error.message}`,
-            type: 'error'
-        });
-    }
-    
-    return conditions;
-}
-
-/**
- * Extract content between balanced parentheses
- */
-function extractBalancedContent(text, startPos) {
-    if (text[startPos] !== '(') return null;
-    
-    let depth = 0;
-    let endPos = startPos;
-    
-    for (let i = startPos; i < text.length; i++) {
-        if (text[i] === '(') {
-            depth++;
-        } else if (text[i] === ')') {
-            depth--;
-            if (depth === 0) {
-                endPos = i;
-                break;
-            }
-        }
-    }
-    
-    if (depth === 0 && endPos > startPos) {
-        return text.substring(startPos + 1, endPos); // Exclude the parentheses
-    }
-    
-    return null;
-}
-
-/**
- * Parse complex conditions with AND/OR operators
- */
-function parseComplexCondition(conditionStr) {
-    try {
-        // Split by && and || operators while preserving them
-        const parts = conditionStr.split(/(\s*&&\s*|\s*\|\|\s*)/);
-        
-        let result = '';
-        for (let i = 0; i < parts.length; i++) {
-            const part = parts[i].trim();
-            
-            if (part === '&&') {
-                result += ' AND ';
-            } else if (part === '||') {
-                result += ' OR ';
-            } else if (part.includes('&&') || part.includes('||')) {
-                // Skip connector parts that weren't properly split
-                continue;
-            } else if (part) {
-                // Try to parse individual condition parts
-                const parsedParts = parseConditionString(part);
-                if (parsedParts.length > 0 && parsedParts[0].readable && !parsedParts[0].readable.includes('Custom condition:')) {
-                    result += parsedParts[0].readable;
-                } else {
-                    // Fallback to simplified parsing
-                    result += simplifyConditionPart(part);
-                }
-            }
-        }
-        
-        return result || null;
-        
-    } catch (error) {
-        return null;
-    }
-}
-
-/**
- * Simplify individual condition parts
- */
-function simplifyConditionPart(part) {
-    try {
-        // Remove parentheses
-        part = part.replace(/^\(+|\)+$/g, '');
-        
-        // Basic patterns for quick parsing
-        if (part.includes("indexOf") && part.includes("> -1")) {
-            const match = part.match(/d\[['"]([^'"]+)['"]\].*indexOf\(['"]([^'"]+)['"]\)/);
-            if (match) {
-                return `"${match[1]}" contains "${match[2]}"`;
-            }
-        }
-        
-        if (part.includes("typeof") && part.includes("!= 'undefined'")) {
-            const match = part.match(/d\[['"]([^'"]+)['"]\]/);
-            if (match) {
-                return `"${match[1]}" is defined`;
-            }
-        }
-        
-        // Generic fallback
-        return `(${part})`;
-        
-    } catch (error) {
-        return `(${part})`;
-    }
-}
-
 /**
  * Extract variables from tag function
  */
@@ -2713,6 +2441,29 @@ function analyzeTealiumCookies() {
                 description: 'CookieConsent integration cookie (182 days duration)'
             };
         }
+        // IAB TCF v2 TC string
+        else if (key === 'euconsent-v2') {
+            tealiumCookies.consent[key] = {
+                name: key,
+                value: value,
+                parsedValue: typeof summarizeTcString === 'function' ? summarizeTcString(value) : value,
+                description: 'IAB TCF v2 TC string (CMP consent for purposes and vendors)'
+            };
+        }
+        // Google Funding Choices CMP cookies
+        else if (key === 'FCCDCF' || key === 'FCNEC') {
+            const fundingChoices = key === 'FCCDCF' && typeof parseFundingChoicesCookie === 'function' ? parseFundingChoicesCookie(value) : null;
+            tealiumCookies.consent[key] = {
+                name: key,
+                value: value,
+                parsedValue: fundingChoices && fundingChoices.tcString
+                    ? Object.assign(summarizeTcString(fundingChoices.tcString), { acProviders: fundingChoices.acProviders.length })
+                    : value,
+                description: key === 'FCCDCF'
+                    ? 'Google Funding Choices consent (TC string and Additional Consent)'
+                    : 'Google Funding Choices non-essential cookie (opaque)'
+            };
+        }
         // Web Companion environment cookies
         else if (key.match(/utag_env_\w+_\w+/)) {
             tealiumCookies.webCompanion[key] = {
@@ -2734,6 +2485,12 @@ function analyzeTealiumCookies() {
     });
     
     updateTealiumCookiesDisplay(tealiumCookies);
+    if (typeof renderTcfConsent === 'function') {
+        renderTcfConsent(allCookies);
+    }
+    if (typeof renderUtagMainEditor === 'function') {
+        renderUtagMainEditor();
+    }
     return tealiumCookies;
 }
 // Expose immediately for onclick handlers
@@ -2804,6 +2561,22 @@ function parseUtagMainLegacy(value) {
 function parseConsentManagerCookie(value) {
     try {
         const decoded = decodeURIComponent(value);
+        
+        // utag.js writes key:value pairs, e.g. consent:true|ts:1700000000000|c1:1|c3:0
+        if (!decoded.trim().startsWith('{')) {
+            const pairs = parseTealiumPipeCookie(decoded);
+            const consentCategories = {};
+            Object.keys(pairs).filter(key => /^c\d+$/.test(key)).forEach(key => {
+                consentCategories[key] = pairs[key] === '1';
+            });
+            return {
+                consent: pairs.consent === 'true',
+                consentCategories: consentCategories,
+                timestamp: pairs.ts ? new Date(parseInt(pairs.ts)).toLocaleString() : 'Unknown',
+                version: pairs.v || 'Unknown'
+            };
+        }
+        
         const parsed = JSON.parse(decoded);
         return {
             consentCategories: parsed.consent || {},
@@ -2819,7 +2592,20 @@ function parseConsentManagerCookie(value) {
  * Parse Privacy Manager opt-out cookie
  */
 function parseOptOutCookie(value) {
-    const optOuts = value.split('|').filter(Boolean);
+    const decoded = decodeURIComponent(value);
+    
+    // key:value form, e.g. 0:0|c1:0|c3:1 - "0" is the global opt-out, 1 means opted out
+    if (decoded.includes(':')) {
+        const pairs = parseTealiumPipeCookie(decoded);
+        const optOuts = Object.keys(pairs).filter(key => key !== '0' && pairs[key] === '1');
+        return {
+            globalOptOut: pairs['0'] === '1',
+            optedOutCategories: optOuts,
+            count: optOuts.length
+        };
+    }
+    
+    const optOuts = decoded.split('|').filter(Boolean);
     return {
         optedOutCategories: optOuts,
         count: optOuts.length
@@ -3138,6 +2924,26 @@ function runAllProfileAnalysis() {
  */
 function initializeProfileInspector() {
     
+    // Saved snapshots don't depend on Tealium being loaded
+    if (typeof window.renderProfileSnapshots === 'function') {
+        window.renderProfileSnapshots();
+    }
+    
+    // The sync phase is recorded at load time, before utag.js runs
+    if (typeof window.renderTealiumSyncPhase === 'function') {
+        window.renderTealiumSyncPhase();
+    }
+    
+    // utag_main editor rows
+    if (typeof window.renderUtagMainEditor === 'function') {
+        window.renderUtagMainEditor();
+    }
+    
+    // Consent simulator categories and last result
+    if (typeof window.initializeConsentSimulator === 'function') {
+        window.initializeConsentSimulator();
+    }
+    
     // Check if we have existing profile analysis data
     if (window.profileAnalysis) {
         
@@ -0,0 +1,364 @@
+/**
+ * Profile Snapshots for Tealium Sandbox
+ * Saves named snapshots of analyzeLoadedProfile() and diffs two of them
+ * (e.g. "dev vs prod" or "before vs after publish")
+ */
+
+const PROFILE_SNAPSHOTS_STORAGE_KEY = 'tealium-sandbox-snapshots';
+const PROFILE_SNAPSHOTS_LIMIT = 20;
+
+/**
+ * Last diff shown in the inspector, used by the export buttons
+ */
+let lastSnapshotDiff = null;
+
+/**
+ * Short hash of a string, used to detect extension code changes without storing the code
+ */
+function hashSnapshotString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+}
+
+/**
+ * Build a serialisable snapshot of the loaded profile, or null when Tealium isn't loaded
+ */
+async function createProfileSnapshot(name) {
+    if (!window.utag || !window.utag.loader) {
+        showToast('Load Tealium (or the mock profile) before saving a snapshot', 'error');
+        return null;
+    }
+
+    const analysis = await analyzeLoadedProfile();
+    const extendFunctions = window.utag?.handler?.extend || [];
+
+    // Keep only plain values from utag.cfg so the snapshot survives JSON round-trips
+    const config = {};
+    Object.entries(window.utag.cfg || {}).forEach(([key, value]) => {
+        if (['string', 'number', 'boolean'].includes(typeof value)) {
+            config[key] = value;
+        }
+    });
+
+    return {
+        id: `snap_${Date.now()}`,
+        name: name,
+        createdAt: new Date().toISOString(),
+        overview: analysis.overview,
+        tags: analysis.tags.map(tag => ({
+            uid: tag.uid,
+            name: tag.name,
+            version: tag.version,
+            templateId: tag.templateId,
+            consentCategory: tag.consentCategory,
+            loadRules: (tag.loadRuleIdsFromCfg || []).join(', ') || tag.loadRuleId,
+            sendRules: (tag.sendRuleIdsFromCfg || []).join(', ')
+        })),
+        extensions: analysis.extensions.map(extension => {
+            const code = extendFunctions[extension.index];
+            return {
+                id: String(extension.id),
+                name: extension.name,
+                scope: extension.scope,
+                codeHash: typeof code === 'function' ? hashSnapshotString(code.toString()) : null
+            };
+        }),
+        loadRules: analysis.loadRules.map(rule => ({
+            id: String(rule.id),
+            title: rule.title,
+            condition: parseLoadRuleFromUtag(rule.id).condition
+        })),
+        config: config
+    };
+}
+
+/**
+ * Read saved snapshots from localStorage
+ */
+function getProfileSnapshots() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILE_SNAPSHOTS_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Could not read profile snapshots:', error);
+        return [];
+    }
+}
+
+/**
+ * Persist a snapshot, newest first
+ */
+function storeProfileSnapshot(snapshot) {
+    const snapshots = [snapshot, ...getProfileSnapshots()].slice(0, PROFILE_SNAPSHOTS_LIMIT);
+    localStorage.setItem(PROFILE_SNAPSHOTS_STORAGE_KEY, JSON.stringify(snapshots));
+    return snapshots;
+}
+
+/**
+ * Compare two lists of records by key and report added, removed and changed fields
+ */
+function diffSnapshotCollections(before, after, key, fields) {
+    const beforeMap = new Map(before.map(item => [item[key], item]));
+    const afterMap = new Map(after.map(item => [item[key], item]));
+
+    const added = after.filter(item => !beforeMap.has(item[key]));
+    const removed = before.filter(item => !afterMap.has(item[key]));
+    const changed = [];
+
+    after.forEach(item => {
+        const previous = beforeMap.get(item[key]);
+        if (!previous) return;
+
+        const changes = fields
+            .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(item[field]))
+            .map(field => ({ field: field, from: previous[field], to: item[field] }));
+
+        if (changes.length > 0) {
+            changed.push({ key: item[key], name: item.name || item.title, changes: changes });
+        }
+    });
+
+    return { added, removed, changed };
+}
+
+/**
+ * Diff two snapshots
+ */
+function diffProfileSnapshots(base, compare) {
+    const configKeys = [...new Set([...Object.keys(base.config || {}), ...Object.keys(compare.config || {})])].sort();
+
+    return {
+        base: { name: base.name, createdAt: base.createdAt, overview: base.overview },
+        compare: { name: compare.name, createdAt: compare.createdAt, overview: compare.overview },
+        tags: diffSnapshotCollections(base.tags, compare.tags, 'uid', ['name', 'version', 'templateId', 'consentCategory', 'loadRules', 'sendRules']),
+        extensions: diffSnapshotCollections(base.extensions, compare.extensions, 'id', ['name', 'scope', 'codeHash']),
+        loadRules: diffSnapshotCollections(base.loadRules, compare.loadRules, 'id', ['title', 'condition']),
+        config: configKeys
+            .filter(key => JSON.stringify(base.config?.[key]) !== JSON.stringify(compare.config?.[key]))
+            .map(key => ({ key: key, from: base.config?.[key], to: compare.config?.[key] })),
+        diffedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Count every difference in a diff
+ */
+function countSnapshotDifferences(diff) {
+    return ['tags', 'extensions', 'loadRules'].reduce((total, section) =>
+        total + diff[section].added.length + diff[section].removed.length + diff[section].changed.length, 0) + diff.config.length;
+}
+
+/**
+ * Markdown report for a diff
+ */
+function formatSnapshotDiffMarkdown(diff) {
+    const value = (v) => v === undefined ? '_(not set)_' : `\`${typeof v === 'string' ? v : JSON.stringify(v)}\``;
+    const lines = [
+        `# Profile diff: ${diff.base.name} → ${diff.compare.name}`,
+        '',
+        `- **Base:** ${diff.base.name} (${diff.base.overview?.account}/${diff.base.overview?.profile}/${diff.base.overview?.environment}, ${diff.base.createdAt})`,
+        `- **Compare:** ${diff.compare.name} (${diff.compare.overview?.account}/${diff.compare.overview?.profile}/${diff.compare.overview?.environment}, ${diff.compare.createdAt})`,
+        `- **Differences:** ${countSnapshotDifferences(diff)}`,
+        ''
+    ];
+
+    const sections = [
+        { key: 'tags', title: 'Tags', label: item => `${item.uid} ${item.name}` },
+        { key: 'extensions', title: 'Extensions', label: item => `${item.id} ${item.name} (${item.scope})` },
+        { key: 'loadRules', title: 'Load Rules', label: item => `${item.id} ${item.title}` }
+    ];
+
+    sections.forEach(section => {
+        const { added, removed, changed } = diff[section.key];
+        lines.push(`## ${section.title}`, '');
+        if (added.length + removed.length + changed.length === 0) {
+            lines.push('No changes', '');
+            return;
+        }
+        added.forEach(item => lines.push(`- ➕ Added: ${section.label(item)}`));
+        removed.forEach(item => lines.push(`- ➖ Removed: ${section.label(item)}`));
+        changed.forEach(item => {
+            lines.push(`- ✏️ Changed: ${item.key} ${item.name || ''}`);
+            item.changes.forEach(change => lines.push(`  - ${change.field}: ${value(change.from)} → ${value(change.to)}`));
+        });
+        lines.push('');
+    });
+
+    lines.push('## utag.cfg', '');
+    if (diff.config.length === 0) {
+        lines.push('No changes');
+    } else {
+        lines.push('| Setting | Base | Compare |', '|---|---|---|');
+        diff.config.forEach(change => lines.push(`| ${change.key} | ${value(change.from)} | ${value(change.to)} |`));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Save a snapshot of the loaded profile from the inspector form
+ */
+async function saveProfileSnapshot() {
+    const nameInput = document.getElementById('snapshotName');
+    const name = nameInput?.value.trim();
+
+    if (!name) {
+        showToast('Enter a name for the snapshot', 'warning');
+        return;
+    }
+
+    try {
+        const snapshot = await createProfileSnapshot(name);
+        if (!snapshot) return;
+        storeProfileSnapshot(snapshot);
+        if (nameInput) nameInput.value = '';
+
+        renderProfileSnapshots();
+        showToast(`Snapshot "${name}" saved (${snapshot.tags.length} tags)`, 'success');
+        logEvent('SNAPSHOT_SAVED', `Saved profile snapshot "${name}"`, { id: snapshot.id, tags: snapshot.tags.length });
+    } catch (error) {
+        showToast(`Could not save snapshot: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Delete a saved snapshot
+ */
+function deleteProfileSnapshot(id) {
+    const snapshots = getProfileSnapshots().filter(snapshot => snapshot.id !== id);
+    localStorage.setItem(PROFILE_SNAPSHOTS_STORAGE_KEY, JSON.stringify(snapshots));
+    renderProfileSnapshots();
+}
+
+/**
+ * Fill the snapshot selects and list
+ */
+function renderProfileSnapshots() {
+    const snapshots = getProfileSnapshots();
+    const options = snapshots.map(snapshot =>
+        `<option value="${snapshot.id}">${escapeHtml(snapshot.name)} (${new Date(snapshot.createdAt).toLocaleString()})</option>`
+    ).join('');
+
+    ['snapshotBase', 'snapshotCompare'].forEach((id, index) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = options;
+        // Default to comparing the two most recent snapshots, older one as base
+        if (snapshots[1 - index]) select.value = snapshots[1 - index].id;
+    });
+
+    const list = document.getElementById('snapshotList');
+    if (!list) return;
+
+    list.innerHTML = snapshots.length === 0
+        ? '<div class="text-gray-500 text-sm">No snapshots saved yet</div>'
+        : snapshots.map(snapshot => `
+            <div class="flex items-center justify-between py-1 px-2 bg-gray-50 rounded text-sm">
+                <span>
+                    <span class="font-medium">${escapeHtml(snapshot.name)}</span>
+                    <span class="text-xs text-gray-500 ml-2">${escapeHtml(`${snapshot.overview?.account}/${snapshot.overview?.profile}/${snapshot.overview?.environment}`)} • ${snapshot.tags.length} tags</span>
+                </span>
+                <button onclick="deleteProfileSnapshot('${snapshot.id}')" class="text-red-600 hover:text-red-800" title="Delete snapshot">
+                    <i class="fas fa-trash text-xs"></i>
+                </button>
+            </div>
+        `).join('');
+}
+
+/**
+ * Diff the two selected snapshots and show the result
+ */
+function compareProfileSnapshots() {
+    const snapshots = getProfileSnapshots();
+    const base = snapshots.find(snapshot => snapshot.id === document.getElementById('snapshotBase')?.value);
+    const compare = snapshots.find(snapshot => snapshot.id === document.getElementById('snapshotCompare')?.value);
+
+    if (!base || !compare) {
+        showToast('Select two snapshots to compare', 'warning');
+        return;
+    }
+
+    lastSnapshotDiff = diffProfileSnapshots(base, compare);
+    renderSnapshotDiff(lastSnapshotDiff);
+}
+
+/**
+ * Render a diff in the inspector
+ */
+function renderSnapshotDiff(diff) {
+    const container = document.getElementById('snapshotDiffResults');
+    if (!container) return;
+
+    const total = countSnapshotDifferences(diff);
+    const format = (v) => v === undefined ? '<span class="text-gray-400">not set</span>' : escapeHtml(typeof v === 'string' ? v : JSON.stringify(v));
+    const section = (title, data, label) => {
+        const count = data.added.length + data.removed.length + data.changed.length;
+        return `
+            <div class="border border-gray-200 rounded-lg p-3">
+                <div class="font-medium text-gray-900 mb-2">${title} <span class="text-xs text-gray-500">(${count} change${count === 1 ? '' : 's'})</span></div>
+                ${count === 0 ? '<div class="text-xs text-gray-500">No changes</div>' : ''}
+                ${data.added.map(item => `<div class="text-sm text-green-700"><i class="fas fa-plus mr-1"></i>${escapeHtml(label(item))}</div>`).join('')}
+                ${data.removed.map(item => `<div class="text-sm text-red-700"><i class="fas fa-minus mr-1"></i>${escapeHtml(label(item))}</div>`).join('')}
+                ${data.changed.map(item => `
+                    <div class="text-sm text-yellow-700 mt-1"><i class="fas fa-pen mr-1"></i>${escapeHtml(`${item.key} ${item.name || ''}`)}</div>
+                    ${item.changes.map(change => `
+                        <div class="text-xs ml-5 font-mono break-all">${change.field}: <span class="text-red-600">${format(change.from)}</span> → <span class="text-green-600">${format(change.to)}</span></div>
+                    `).join('')}
+                `).join('')}
+            </div>
+        `;
+    };
+
+    container.innerHTML = `
+        <div class="text-sm mb-3 ${total === 0 ? 'text-green-700' : 'text-gray-700'}">
+            <strong>${escapeHtml(diff.base.name)}</strong> → <strong>${escapeHtml(diff.compare.name)}</strong>: ${total === 0 ? 'snapshots are identical' : `${total} difference${total === 1 ? '' : 's'}`}
+        </div>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-3">
+            ${section('Tags', diff.tags, item => `${item.uid} ${item.name} (v${item.version})`)}
+            ${section('Extensions', diff.extensions, item => `${item.id} ${item.name} (${item.scope})`)}
+            ${section('Load Rules', diff.loadRules, item => `${item.id} ${item.title}`)}
+            <div class="border border-gray-200 rounded-lg p-3">
+                <div class="font-medium text-gray-900 mb-2">utag.cfg <span class="text-xs text-gray-500">(${diff.config.length} change${diff.config.length === 1 ? '' : 's'})</span></div>
+                ${diff.config.length === 0 ? '<div class="text-xs text-gray-500">No changes</div>' : diff.config.map(change => `
+                    <div class="text-xs font-mono break-all">${escapeHtml(change.key)}: <span class="text-red-600">${format(change.from)}</span> → <span class="text-green-600">${format(change.to)}</span></div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Download the last diff as JSON or Markdown
+ */
+function exportSnapshotDiff(format) {
+    if (!lastSnapshotDiff) {
+        showToast('Compare two snapshots first', 'warning');
+        return;
+    }
+
+    const isMarkdown = format === 'markdown';
+    const content = isMarkdown ? formatSnapshotDiffMarkdown(lastSnapshotDiff) : JSON.stringify(lastSnapshotDiff, null, 2);
+    const blob = new Blob([content], { type: isMarkdown ? 'text/markdown' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const slug = `${lastSnapshotDiff.base.name}_vs_${lastSnapshotDiff.compare.name}`.replace(/[^a-z0-9_-]+/gi, '-');
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `profile_diff_${slug}.${isMarkdown ? 'md' : 'json'}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast(`Diff exported as ${isMarkdown ? 'Markdown' : 'JSON'}`, 'success');
+}
+
+// Expose functions globally for HTML event handlers
+window.saveProfileSnapshot = saveProfileSnapshot;
+window.deleteProfileSnapshot = deleteProfileSnapshot;
+window.renderProfileSnapshots = renderProfileSnapshots;
+window.compareProfileSnapshots = compareProfileSnapshots;
+window.exportSnapshotDiff = exportSnapshotDiff;
+window.diffProfileSnapshots = diffProfileSnapshots;
@@ -178,17 +178,25 @@ function loadTealium() {
     // Sync forms before loading
     syncToQuickSettings();
     
+    // Resolve where utag.js comes from (tiqcdn.com, custom base URL or local file)
+    let source;
+    try {
+        source = resolveTealiumScriptSource(account, profile, env);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    
     // Remove existing utag script if present
-    const existingScript = document.querySelector('script[src*="tags.tiqcdn.com"]');
-    if (existingScript) {
-        existingScript.remove();
-        // Clear utag object
+    const removedScripts = removeTealiumScripts();
+    if (removedScripts > 0 || window.utag?.mock) {
+        // Clear utag object (including a mock runtime, which utag.js would otherwise reuse)
         if (window.utag) {
             window.utag = undefined;
         }
     }
     
-    const tealiumUrl = `https://tags.tiqcdn.com/utag/${account}/${profile}/${env}/utag.js`;
+    const tealiumUrl = source.url;
     
     showToast('Loading Tealium...', 'info');
     
@@ -208,11 +216,15 @@ function loadTealium() {
     window.utag_cfg.domain_override = 'https://tags.tiqcdn.com';
     window.utag_cfg.noload = false;
     
+    // Resolve utag.N.js tag files against the same base as utag.js
+    applyTealiumSourceOverrides(source);
+    
     // Create and load script
     const script = document.createElement('script');
     script.type = 'text/javascript';
     script.async = true;
     script.src = tealiumUrl;
+    script.dataset.tealiumSource = source.type;
     
     script.onload = function() {
         // Comprehensive fix for Tealium tag loading after main utag.js loads
@@ -283,9 +295,9 @@ function loadTealium() {
         }
         
         showToast('Tealium loaded successfully!', 'success');
-        updateTealiumStatus(true, account, profile, env, tealiumUrl);
+        updateTealiumStatus(true, account, profile, env, source.label);
         saveCurrentSettings(); // Use enhanced save function
-        logEvent('TEALIUM_LOADED', 'Tealium script loaded', { account, profile, env });
+        logEvent('TEALIUM_LOADED', 'Tealium script loaded', { account, profile, env, source: source.type });
         
         // ✨ Trigger custom event for session manager
         window.dispatchEvent(new Event('tealiumLoaded'));
@@ -321,12 +333,13 @@ function loadTealium() {
     script.onerror = function() {
         showToast('Failed to load Tealium. Check account/profile/environment.', 'error');
         updateTealiumStatus(false);
-        logEvent('TEALIUM_ERROR', 'Failed to load Tealium', { account, profile, env, url: tealiumUrl });
+        logEvent('TEALIUM_ERROR', 'Failed to load Tealium', { account, profile, env, url: source.label });
     };
     
-    document.head.appendChild(script);
+    // utag.sync.js (when enabled) runs first, then utag.js
+    loadTealiumSyncScript(source.sync, () => document.head.appendChild(script));
     
-    logEvent('TEALIUM_LOAD_ATTEMPT', 'Attempting to load Tealium', { account, profile, env, url: tealiumUrl });
+    logEvent('TEALIUM_LOAD_ATTEMPT', 'Attempting to load Tealium', { account, profile, env, url: source.label, source: source.type, sync: !!source.sync });
 }
 
 /**
@@ -341,17 +354,25 @@ function loadTealiumWithParams(account, profile, env) {
     // Sync forms before loading
     syncToQuickSettings();
     
+    // Resolve where utag.js comes from (tiqcdn.com, custom base URL or local file)
+    let source;
+    try {
+        source = resolveTealiumScriptSource(account, profile, env);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    
     // Remove existing utag script if present
-    const existingScript = document.querySelector('script[src*="tags.tiqcdn.com"]');
-    if (existingScript) {
-        existingScript.remove();
-        // Clear utag object
+    const removedScripts = removeTealiumScripts();
+    if (removedScripts > 0 || window.utag?.mock) {
+        // Clear utag object (including a mock runtime, which utag.js would otherwise reuse)
         if (window.utag) {
             window.utag = undefined;
         }
     }
     
-    const tealiumUrl = `https://tags.tiqcdn.com/utag/${account}/${profile}/${env}/utag.js`;
+    const tealiumUrl = source.url;
     
     showToast(`Loading Tealium: ${account}/${profile}/${env}`, 'info');
     
@@ -372,11 +393,15 @@ function loadTealiumWithParams(account, profile, env) {
     document.cookie = "utagdb=true; path=/";
     window.utag_cfg.debug = true;
     
+    // Resolve utag.N.js tag files against the same base as utag.js
+    applyTealiumSourceOverrides(source);
+    
     // Create and load script
     const script = document.createElement('script');
     script.type = 'text/javascript';
     script.async = true;
     script.src = tealiumUrl;
+    script.dataset.tealiumSource = source.type;
     
     script.onload = function() {
         // Apply same fixes as main loadTealium function
@@ -395,7 +420,7 @@ function loadTealiumWithParams(account, profile, env) {
         }
         
         showToast('Tealium loaded successfully!', 'success');
-        updateTealiumStatus(true, account, profile, env, tealiumUrl);
+        updateTealiumStatus(true, account, profile, env, source.label);
         
         // Trigger session save and UI update
         window.dispatchEvent(new Event('tealiumLoaded'));
@@ -418,9 +443,10 @@ function loadTealiumWithParams(account, profile, env) {
         showToast('Failed to load Tealium', 'error');
     };
     
-    document.head.appendChild(script);
+    // utag.sync.js (when enabled) runs first, then utag.js
+    loadTealiumSyncScript(source.sync, () => document.head.appendChild(script));
     
-    logEvent('TEALIUM_LOAD_ATTEMPT', 'Attempting to load Tealium with params', { account, profile, env, url: tealiumUrl });
+    logEvent('TEALIUM_LOAD_ATTEMPT', 'Attempting to load Tealium with params', { account, profile, env, url: source.label, source: source.type, sync: !!source.sync });
 }
 
 /**
@@ -642,8 +668,7 @@ function resetToDefaults() {
  */
 function unloadTealium() {
     // Remove utag scripts
-    const scripts = document.querySelectorAll('script[src*="tiqcdn.com"]');
-    scripts.forEach(script => script.remove());
+    removeTealiumScripts();
     
     // Clear utag global objects
     if (window.utag) {
@@ -664,85 +689,71 @@ function unloadTealium() {
 }
 
 /**
- * Add load rule
+ * Add load rule condition to the rule being built
  */
 function addLoadRule() {
-    const variable = document.getElementById('ruleVariable')?.value;
+    const variable = document.getElementById('ruleVariable')?.value.trim();
     const condition = document.getElementById('ruleCondition')?.value;
     const value = document.getElementById('ruleValue')?.value;
+    const ignoreCase = document.getElementById('ruleIgnoreCase')?.checked || false;
+    const join = document.getElementById('ruleJoin')?.value || 'and';
     
-    if (!variable || !condition || !value) {
+    const operator = LOAD_RULE_OPERATORS[condition];
+    if (!variable || !operator || (operator.needsValue && !value)) {
         showToast('Please fill in all rule fields', 'warning');
         return;
     }
     
-    const rulesContainer = document.getElementById('activeLoadRules');
-    if (!rulesContainer) {
+    if (!document.getElementById('activeLoadRules')) {
         showToast('Load rules container not found', 'error');
         return;
     }
     
-    const ruleElement = document.createElement('div');
-    ruleElement.className = 'bg-gray-50 rounded p-3 flex items-center justify-between';
-    ruleElement.innerHTML = `
-        <span class="text-sm">
-            <span class="font-medium">${variable}</span> 
-            <span class="text-gray-500">${condition}</span> 
-            <span class="font-medium">${value}</span>
-        </span>
-        <button onclick="this.parentElement.remove()" class="text-red-600 hover:text-red-800">
-            <i class="fas fa-times"></i>
-        </button>
-    `;
-    
-    rulesContainer.appendChild(ruleElement);
+    addConditionToLoadRule(loadRuleBuilder, createLoadRuleCondition(variable, condition, value, ignoreCase), join);
+    renderLoadRuleBuilder();
     
     // Clear form
     document.getElementById('ruleVariable').value = '';
     document.getElementById('ruleCondition').value = 'equals';
     document.getElementById('ruleValue').value = '';
+    updateLoadRuleValueInput();
     
-    showToast('Load rule added', 'success');
+    showToast('Load rule condition added', 'success');
 }
 
 /**
- * Test load rules
+ * Test load rules against the live data layer
  */
 function testLoadRules() {
-    const rulesContainer = document.getElementById('activeLoadRules');
-    if (!rulesContainer || rulesContainer.children.length === 0) {
+    if (countLoadRuleConditions(loadRuleBuilder) === 0) {
         showToast('No load rules to test', 'warning');
         return;
     }
     
-    showToast('Testing load rules against current data layer...', 'info');
+    const { source, data } = getLoadRuleEvaluationData();
+    const evaluation = evaluateLoadRule(loadRuleBuilder, data);
     
-    // This would typically test rules against utag_data
-    console.log('Testing load rules:', rulesContainer.children.length, 'rules');
-    console.log('Current utag_data:', window.utag_data);
+    renderLoadRuleTestResults(evaluation, source);
+    console.log('Load rule evaluation:', evaluation);
     
-    setTimeout(() => {
-        showToast('Load rules test completed - check console for details', 'success');
-    }, 1000);
+    showToast(`Load rule is ${evaluation.passed ? 'TRUE' : 'FALSE'} against ${source}`, evaluation.passed ? 'success' : 'warning');
+    logEvent('LOAD_RULE_TEST', 'Load rule evaluated', { source, passed: evaluation.passed, conditions: countLoadRuleConditions(loadRuleBuilder) });
 }
 
 /**
  * Generate TiQ syntax from current rules
  */
 function generateTiQSyntax() {
-    const rulesContainer = document.getElementById('activeLoadRules');
-    if (!rulesContainer || rulesContainer.children.length === 0) {
+    if (countLoadRuleConditions(loadRuleBuilder) === 0) {
         showToast('No load rules to generate syntax for', 'warning');
         return;
     }
     
-    let syntax = '// Tealium iQ Load Rule Syntax\n';
-    syntax += '// Copy this into your Tealium iQ Load Rule conditions\n\n';
+    const ruleId = parseInt(document.getElementById('ruleNumber')?.value, 10) || 1;
+    const { code: syntax, matches } = verifyLoadRuleRoundTrip(loadRuleBuilder, ruleId);
     
-    Array.from(rulesContainer.children).forEach((rule, index) => {
-        const text = rule.querySelector('span').textContent.trim();
-        syntax += `// Rule ${index + 1}: ${text}\n`;
-    });
+    renderGeneratedLoadRuleCode(syntax, matches);
+    logEvent('LOAD_RULE_CODE', `Generated TiQ code for c[${ruleId}]`, { ruleId, roundTrip: matches });
     
     // Copy to clipboard if possible
     if (navigator.clipboard) {
@@ -779,10 +790,7 @@ function testUtag() {
  * Clear/unload Tealium
  */
 function clearTealium() {
-    const existingScript = document.querySelector('script[src*="tags.tiqcdn.com"]');
-    if (existingScript) {
-        existingScript.remove();
-    }
+    removeTealiumScripts();
     
     if (window.utag) {
         window.utag = undefined;
@@ -904,7 +912,7 @@ async function inspectProfile() {
 /**
  * Analyze manual utag content
  */
-function analyzeManualContent() {
+function analyzeManualContent(sourceName) {
     const content = document.getElementById('manualUtagContent').value.trim();
     if (!content) {
         showToast('Please paste utag.js content first', 'warning');
@@ -915,14 +923,17 @@ function analyzeManualContent() {
         const analysis = analyzeUtagContent(content);
         // Store analysis for potential use by profile inspector
         window.currentProfileAnalysis = analysis;
-        displayProfileAnalysis(analysis, 'Manual Analysis');
+        displayProfileAnalysis(analysis, typeof sourceName === 'string' ? sourceName : 'Manual Analysis');
         updateDetectedConfig(analysis);
         
         showToast('Manual analysis complete', 'success');
         logEvent('MANUAL_ANALYSIS', 'Manual utag content analyzed', { 
             contentLength: content.length,
             variables: analysis.variables.length,
-            tags: analysis.tags.length
+            tags: analysis.tags.length,
+            loadRules: analysis.loadRules.length,
+            extensions: analysis.extensions.length,
+            publish: analysis.staticAnalysis.version.publish
         });
         
     } catch (error) {
@@ -933,76 +944,33 @@ function analyzeManualContent() {
 
 /**
  * Analyze utag.js content
+ * Wraps the static analyzer and keeps the flat variables/tags/settings summary used by the import helpers
  */
 function analyzeUtagContent(content) {
-    const analysis = {
-        variables: [],
-        loadRules: [],
-        tags: [],
-        extensions: [],
-        settings: {}
+    const staticAnalysis = analyzeUtagStatic(content);
+    
+    return {
+        variables: staticAnalysis.variables,
+        loadRules: staticAnalysis.loadRules.map(rule => rule.id),
+        tags: staticAnalysis.tags.map(tag => tag.templateId ? `Tag ${tag.uid} (TID ${tag.templateId})` : `Tag ${tag.uid}`),
+        extensions: staticAnalysis.extensions.map(ext => `Extension ${ext.id}`),
+        settings: {
+            asyncLoad: staticAnalysis.config.nonblocking === true || staticAnalysis.config.nonblocking === 1,
+            bundled: staticAnalysis.tags.some(tag => tag.isBundled),
+            version: staticAnalysis.overview.version
+        },
+        staticAnalysis: staticAnalysis
     };
-    
-    // Extract data layer variables
-    const variablePatterns = [
-        /utag_data\[["']([^"']+)["']\]/g,
-        /b\[["']([^"']+)["']\]/g,
-        /data\.([a-zA-Z_][a-zA-Z0-9_]*)/g
-    ];
-    
-    variablePatterns.forEach(pattern => {
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-            const variable = match[1];
-            if (variable && !analysis.variables.includes(variable)) {
-                analysis.variables.push(variable);
-            }
-        }
-    });
-    
-    // Extract tag information
-    const tagRegex = /utag\.sender\[["'](\d+)["']\]/g;
-    let match;
-    while ((match = tagRegex.exec(content)) !== null) {
-        analysis.tags.push(`Tag ${match[1]}`);
-    }
-    
-    // Look for common tag vendors
-    const vendors = ['google', 'facebook', 'adobe', 'linkedin', 'twitter', 'pinterest', 'snapchat', 'doubleclick', 'analytics'];
-    vendors.forEach(vendor => {
-        if (content.toLowerCase().includes(vendor)) {
-            const tagName = `${vendor.charAt(0).toUpperCase() + vendor.slice(1)} Tag`;
-            if (!analysis.tags.includes(tagName)) {
-                analysis.tags.push(tagName);
-            }
-        }
-    });
-    
-    // Extract extensions
-    const extensionRegex = /utag\.cfg\.extend\[(\d+)\]/g;
-    while ((match = extensionRegex.exec(content)) !== null) {
-        analysis.extensions.push(`Extension ${match[1]}`);
-    }
-    
-    // Extract settings
-    analysis.settings.asyncLoad = content.includes('async') || content.includes('defer');
-    analysis.settings.bundled = content.includes('utag.cfg.bundle_tags');
-    
-    const versionMatch = content.match(/utag\.cfg\.v\s*=\s*["']([^"']+)["']/);
-    analysis.settings.version = versionMatch ? versionMatch[1] : 'Unknown';
-    
-    return analysis;
 }
 
 /**
  * Display profile analysis results
  */
 function displayProfileAnalysis(analysis, source) {
-    // Check if we're in the profile inspector section and use the dedicated function
-    if (typeof window.inspectCurrentProfile === 'function') {
-        // Use the dedicated profile inspector functionality
-        console.log('Profile analysis completed:', source, analysis);
-        window.inspectCurrentProfile();
+    // Feed the static analysis into the Profile Inspector views - works without a live profile
+    if (analysis.staticAnalysis && typeof window.showStaticProfileAnalysis === 'function' && document.getElementById('profileTagsList')) {
+        window.showStaticProfileAnalysis(analysis.staticAnalysis, source);
+        window.lastProfileAnalysis = analysis;
         return;
     }
     
@@ -1078,18 +1046,30 @@ function displayProfileAnalysis(analysis, source) {
  * Update detected configuration display
  */
 function updateDetectedConfig(analysis) {
-    document.getElementById('detectedVariables').innerHTML = 
-        analysis.variables.length > 0 ? 
-        analysis.variables.map(v => `<code class="bg-blue-100 text-blue-800 px-1 rounded text-xs">${v}</code>`).join(' ') : 
-        '<span class="text-gray-500">None detected</span>';
+    const variablesEl = document.getElementById('detectedVariables');
+    const tagsEl = document.getElementById('detectedTags');
+    const loadRulesEl = document.getElementById('detectedLoadRules');
+    
+    if (variablesEl) {
+        variablesEl.innerHTML = 
+            analysis.variables.length > 0 ? 
+            analysis.variables.map(v => `<code class="bg-blue-100 text-blue-800 px-1 rounded text-xs">${v}</code>`).join(' ') : 
+            '<span class="text-gray-500">None detected</span>';
+    }
         
-    document.getElementById('detectedTags').innerHTML = 
-        analysis.tags.length > 0 ? 
-        analysis.tags.map(t => `<span class="bg-green-100 text-green-800 px-2 py-1 rounded text-xs">${t}</span>`).join(' ') : 
-        '<span class="text-gray-500">None detected</span>';
+    if (tagsEl) {
+        tagsEl.innerHTML = 
+            analysis.tags.length > 0 ? 
+            analysis.tags.map(t => `<span class="bg-green-100 text-green-800 px-2 py-1 rounded text-xs">${t}</span>`).join(' ') : 
+            '<span class="text-gray-500">None detected</span>';
+    }
         
-    document.getElementById('detectedLoadRules').innerHTML = 
-        '<span class="text-purple-600">Inferred from variable usage patterns</span>';
+    if (loadRulesEl) {
+        loadRulesEl.innerHTML = 
+            analysis.loadRules.length > 0 ? 
+            analysis.loadRules.map(id => `<span class="bg-purple-100 text-purple-800 px-2 py-1 rounded text-xs">Rule ${id}</span>`).join(' ') : 
+            '<span class="text-gray-500">None detected</span>';
+    }
 }
 
 /**
@@ -1122,7 +1102,10 @@ function importProfileConfig() {
         showToast(`Imported ${analysis.variables.length} variables from profile`, 'success');
         logEvent('PROFILE_IMPORT', 'Configuration imported', { 
             variables: analysis.variables.length,
-            tags: analysis.tags.length
+            tags: analysis.tags.length,
+            loadRules: analysis.loadRules.length,
+            extensions: analysis.extensions.length,
+            publish: analysis.staticAnalysis.version.publish
         });
     } else {
         showToast('No variables found to import', 'info');
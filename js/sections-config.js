@@ -21,6 +21,14 @@ const SECTIONS_CONFIG = {
         order: 2,
         category: 'debug'
     },
+    'load-rules': {
+        title: 'Load Rules',
+        subtitle: 'Build and test load rules against the live data layer',
+        icon: 'fas fa-filter',
+        file: 'sections/load-rules.html',
+        order: 3,
+        category: 'testing'
+    },
     'data-layer': {
         title: 'Data Layer',
         subtitle: 'Debug and manage utag_data variables',
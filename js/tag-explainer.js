@@ -0,0 +1,370 @@
+/**
+ * Tag Firing Explainer for Tealium Sandbox
+ * Walks through everything that decides whether a tag fires (config, load rules,
+ * consent, extensions, utag.cfg flags) and turns it into one explanation chain per tag
+ */
+
+/**
+ * utag.cfg flags that change when or whether tags run
+ */
+const TAG_EXPLAINER_CFG_FLAGS = {
+    'noview': 'utag.view() is not called automatically on page load - tags wait for a manual utag.view()',
+    'nonblocking': 'utag.js loads tags asynchronously, so results may appear after the page has finished loading',
+    'readywait': 'Tags wait for DOM ready before loading',
+    'waittimer': 'Tags are held back by a wait timer (ms) before loading'
+};
+
+/**
+ * Parse a Tealium pipe-delimited cookie ("consent:true|ts:123|c1:1") into an object
+ */
+function parseTealiumPipeCookie(value) {
+    const result = {};
+    let decoded = String(value || '');
+    try {
+        decoded = decodeURIComponent(decoded);
+    } catch (error) {
+        // Already decoded by the caller and containing a literal %
+    }
+    decoded.split('|').forEach(part => {
+        const separator = part.indexOf(':');
+        if (separator > 0) {
+            result[part.substring(0, separator).trim()] = part.substring(separator + 1).trim();
+        }
+    });
+    return result;
+}
+
+/**
+ * Read the current consent state from the CONSENTMGR and OPTOUTMULTI cookies
+ */
+function readTealiumConsentState() {
+    const cookies = {};
+    document.cookie.split(';').forEach(cookie => {
+        const [name, ...rest] = cookie.trim().split('=');
+        if (name) cookies[name] = rest.join('=');
+    });
+
+    const consentManager = cookies.CONSENTMGR ? parseTealiumPipeCookie(cookies.CONSENTMGR) : null;
+    const optOut = cookies.OPTOUTMULTI ? parseTealiumPipeCookie(cookies.OPTOUTMULTI) : null;
+
+    return {
+        hasConsentManager: !!window.utag?.gdpr,
+        consentManager: consentManager,
+        optOut: optOut
+    };
+}
+
+/**
+ * Decide whether consent allows a tag in the given consent category
+ */
+function explainConsentForCategory(tcat, consentState) {
+    if (!tcat || tcat === 'N/A' || tcat === 0 || tcat === '0') {
+        return { status: 'pass', detail: 'Tag has no consent category, so consent does not gate it' };
+    }
+
+    const categoryKey = `c${tcat}`;
+
+    if (consentState.optOut) {
+        // Key "0" is the global opt-out (0:1|c1:1)
+        if (consentState.optOut['0'] === '1') {
+            return { status: 'fail', detail: `OPTOUTMULTI opts out of everything (0:1), blocking category ${tcat}` };
+        }
+        if (consentState.optOut[categoryKey] === '1') {
+            return { status: 'fail', detail: `OPTOUTMULTI opts out of category ${tcat} (${categoryKey}:1)` };
+        }
+    }
+
+    if (consentState.consentManager) {
+        const manager = consentState.consentManager;
+        if (manager.consent === 'false') {
+            return { status: 'fail', detail: `CONSENTMGR records a decline (consent:false), blocking category ${tcat}` };
+        }
+        if (manager[categoryKey] === '0') {
+            return { status: 'fail', detail: `CONSENTMGR does not grant category ${tcat} (${categoryKey}:0)` };
+        }
+        return { status: 'pass', detail: `CONSENTMGR allows category ${tcat}${manager[categoryKey] === '1' ? ` (${categoryKey}:1)` : ''}` };
+    }
+
+    if (consentState.hasConsentManager) {
+        return { status: 'warn', detail: `No consent decision yet - Consent Manager may be holding category ${tcat} until the visitor chooses` };
+    }
+
+    return { status: 'info', detail: `Tag is in consent category ${tcat}, but no Consent Manager or opt-out cookie is present` };
+}
+
+/**
+ * Explain a single load rule: result in utag.cond plus each condition with the current variable value
+ */
+function explainLoadRule(ruleId, type) {
+    const cond = window.utag?.cond || {};
+    const titles = window.utag?.loader?.cfg?.rule || {};
+    const result = cond[ruleId];
+    const passed = result === 1 || result === true;
+    const parsed = parseLoadRuleFromUtag(ruleId);
+    const data = window.utag?.data || {};
+
+    const conditions = collectLoadRuleTreeLeaves(parsed.tree).map(leaf => {
+        const condition = getLoadRuleTreeLeafCondition(leaf);
+        const evaluation = condition ? evaluateLoadRuleCondition(condition, data) : null;
+        const currentValue = leaf.isDataLayer ? data[leaf.variable] : undefined;
+
+        return {
+            label: describeLoadRuleTreeLeaf(leaf),
+            status: evaluation ? (evaluation.passed ? 'pass' : 'fail') : 'info',
+            detail: leaf.isDataLayer
+                ? `Current value: ${typeof currentValue === 'undefined' ? 'undefined' : JSON.stringify(currentValue)}`
+                : 'Not a data layer variable - evaluated by utag.js only'
+        };
+    });
+
+    return {
+        label: `${type === 'send' ? 'Send' : 'Load'} rule ${ruleId}: ${titles[ruleId]?.title || 'Untitled'}`,
+        status: typeof result === 'undefined' ? 'warn' : (passed ? 'pass' : 'fail'),
+        detail: typeof result === 'undefined'
+            ? 'Rule not found in utag.cond'
+            : `utag.cond[${ruleId}] = ${JSON.stringify(result)}${parsed.tree ? '' : ' (condition code not found in utag.loader.loadrules)'}`,
+        children: conditions
+    };
+}
+
+/**
+ * Build the explanation chain for one tag
+ */
+async function explainTagFiring(uid) {
+    if (!window.utag?.loader?.cfg) {
+        throw new Error('Tealium is not loaded');
+    }
+
+    const tagCfg = window.utag.loader.cfg[uid];
+    if (!tagCfg) {
+        throw new Error(`Tag ${uid} is not in utag.loader.cfg`);
+    }
+
+    const rpt = window.utag.rpt || {};
+    const utagCfg = window.utag.cfg || {};
+    const loadFlag = tagCfg.load;
+    const inRpt = rpt['l_' + uid] !== undefined;
+    const sent = tagCfg.send === 1;
+    const steps = [];
+
+    // 1. Configuration
+    const loadMeaning = loadFlag === 4 ? 'bundled in utag.js' :
+        (loadFlag === 1 || loadFlag === true) ? 'load' :
+        (loadFlag === 0 || loadFlag === false) ? 'do not load' : `load rule ${loadFlag}`;
+    steps.push({
+        label: 'Tag configuration',
+        status: 'info',
+        detail: `utag.loader.cfg["${uid}"]: load = ${JSON.stringify(loadFlag)} (${loadMeaning}), send = ${JSON.stringify(tagCfg.send)}, template ${tagCfg.tid || 'N/A'}, v${tagCfg.v || 'N/A'}`
+    });
+
+    // 2. Load and send rules
+    const mappings = await getLoadRuleMappingsFromInitCfgString();
+    const cfgRules = mappings[uid] || { loadRules: [], sendRules: [] };
+    if (cfgRules.loadRules.length === 0 && typeof loadFlag === 'number' && loadFlag > 4) {
+        cfgRules.loadRules.push(String(loadFlag));
+    }
+
+    const ruleSteps = [
+        ...cfgRules.loadRules.map(ruleId => explainLoadRule(ruleId, 'load')),
+        ...cfgRules.sendRules.filter(ruleId => !cfgRules.loadRules.includes(ruleId)).map(ruleId => explainLoadRule(ruleId, 'send'))
+    ];
+    const loadAllowed = !(loadFlag === 0 || loadFlag === false);
+
+    steps.push({
+        label: 'Load rules',
+        status: loadAllowed ? 'pass' : 'fail',
+        detail: ruleSteps.length === 0
+            ? (loadAllowed ? 'No load rules - tag loads on all pages' : 'No load rules found, but the tag is configured not to load')
+            : (loadAllowed ? 'Load rules allowed the tag to load' : 'Load rules evaluated false, so utag.loader.cfg load flag is 0'),
+        children: ruleSteps
+    });
+
+    // 3. Extensions
+    const extensionSteps = [];
+    const scopedExtensions = window.utag.sender?.[uid]?.extend || [];
+    scopedExtensions.forEach((extension, index) => {
+        const source = typeof extension === 'function' ? extension.toString() : '';
+        const canBlock = /return\s+false/.test(source);
+        extensionSteps.push({
+            label: `Tag-scoped extension #${index + 1}`,
+            status: canBlock ? 'warn' : 'info',
+            detail: canBlock ? 'Contains "return false", which stops the tag from sending' : 'Runs before the tag sends; does not stop it'
+        });
+    });
+    analyzeExtensions()
+        .filter(extension => extension.status === 'Error' && ['Before Load Rules', 'After Load Rules'].includes(extension.scope))
+        .forEach(extension => {
+            extensionSteps.push({
+                label: `${extension.name} (${extension.scope})`,
+                status: 'warn',
+                detail: `Extension errored (utag.rpt.ex_${extension.index}); variables it sets may be missing when load rules run`
+            });
+        });
+
+    steps.push({
+        label: 'Extensions',
+        status: extensionSteps.some(step => step.status === 'warn') ? 'warn' : 'info',
+        detail: window.utag.sender?.[uid]
+            ? `${scopedExtensions.length} tag-scoped extension(s)`
+            : 'Tag has not been loaded, so its scoped extensions are not available to inspect',
+        children: extensionSteps
+    });
+
+    // 4. Consent
+    const consent = explainConsentForCategory(tagCfg.tcat, readTealiumConsentState());
+    steps.push({ label: 'Consent', ...consent });
+
+    // 5. utag.cfg flags
+    const flagSteps = Object.entries(TAG_EXPLAINER_CFG_FLAGS)
+        .filter(([flag]) => utagCfg[flag])
+        .map(([flag, description]) => ({
+            label: `utag.cfg.${flag} = ${JSON.stringify(utagCfg[flag])}`,
+            status: flag === 'noview' && !inRpt ? 'warn' : 'info',
+            detail: description
+        }));
+    steps.push({
+        label: 'utag.cfg flags',
+        status: flagSteps.some(step => step.status === 'warn') ? 'warn' : 'info',
+        detail: flagSteps.length > 0 ? `${flagSteps.length} flag(s) affect tag timing` : 'No flags that delay or suppress tags',
+        children: flagSteps
+    });
+
+    // 6. Outcome
+    steps.push({
+        label: 'Outcome',
+        status: inRpt && sent ? 'pass' : 'fail',
+        detail: inRpt
+            ? (sent ? `Tag loaded (utag.rpt.l_${uid}) and sent` : `Tag loaded (utag.rpt.l_${uid}) but send flag is ${JSON.stringify(tagCfg.send)}`)
+            : `Tag not reported in utag.rpt (no l_${uid})`
+    });
+
+    // The first blocking step is the headline reason
+    const blocker = steps.find(step => step.status === 'fail' && step.label !== 'Outcome') ||
+        steps.find(step => step.status === 'warn');
+
+    return {
+        uid: uid,
+        name: tagCfg.name || tagCfg.title || `Tag ${uid}`,
+        fired: inRpt && sent,
+        summary: inRpt && sent
+            ? 'Tag fired'
+            : (blocker ? `${blocker.label}: ${blocker.detail}` : 'No blocking reason found - check the tag template and network requests'),
+        steps: steps,
+        explainedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Plain-text version of an explanation, one line per step
+ */
+function formatTagExplanation(explanation) {
+    const icons = { pass: '✓', fail: '✗', warn: '!', info: '-' };
+    const lines = [`Tag ${explanation.uid} (${explanation.name}): ${explanation.summary}`];
+
+    explanation.steps.forEach((step, index) => {
+        lines.push(`${index + 1}. [${icons[step.status]}] ${step.label} - ${step.detail}`);
+        (step.children || []).forEach(child => {
+            lines.push(`     [${icons[child.status]}] ${child.label} - ${child.detail}`);
+            (child.children || []).forEach(grandchild => {
+                lines.push(`         [${icons[grandchild.status]}] ${grandchild.label} (${grandchild.detail})`);
+            });
+        });
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Render one explanation step (and its children) as HTML
+ */
+function renderTagExplanationStep(step, depth = 0) {
+    const styles = {
+        pass: { icon: 'fa-check-circle', color: 'text-green-600' },
+        fail: { icon: 'fa-times-circle', color: 'text-red-600' },
+        warn: { icon: 'fa-exclamation-triangle', color: 'text-yellow-600' },
+        info: { icon: 'fa-info-circle', color: 'text-gray-400' }
+    };
+    const style = styles[step.status] || styles.info;
+
+    return `
+        <div class="${depth > 0 ? 'ml-6 mt-2' : 'bg-gray-50 p-3 rounded-lg'}">
+            <div class="flex items-start">
+                <i class="fas ${style.icon} ${style.color} mt-1 mr-2"></i>
+                <div class="flex-1 min-w-0">
+                    <div class="${depth > 0 ? 'text-sm' : 'font-medium'} text-gray-900">${escapeHtml(step.label)}</div>
+                    <div class="text-xs text-gray-600 break-words">${escapeHtml(step.detail)}</div>
+                </div>
+            </div>
+            ${(step.children || []).map(child => renderTagExplanationStep(child, depth + 1)).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Open the explainer modal for a tag
+ */
+async function showTagExplanation(uid) {
+    const modal = document.getElementById('tagExplainModal');
+    const title = document.getElementById('tagExplainTitle');
+    const details = document.getElementById('tagExplainDetails');
+    if (!modal || !details) return;
+
+    modal.classList.remove('hidden');
+    details.innerHTML = '<div class="text-gray-500">Analyzing tag...</div>';
+
+    try {
+        const explanation = await explainTagFiring(uid);
+        window.lastTagExplanation = explanation;
+
+        if (title) title.textContent = `Why did tag ${uid} ${explanation.fired ? '' : 'not '}fire? - ${explanation.name}`;
+
+        details.innerHTML = `
+            <div class="p-3 rounded-lg mb-4 ${explanation.fired ? 'bg-green-50 border border-green-200 text-green-800' : 'bg-red-50 border border-red-200 text-red-800'}">
+                <i class="fas ${explanation.fired ? 'fa-check-circle' : 'fa-times-circle'} mr-2"></i>${escapeHtml(explanation.summary)}
+            </div>
+            <div class="space-y-3">
+                ${explanation.steps.map(step => renderTagExplanationStep(step)).join('')}
+            </div>
+        `;
+
+        logEvent('TAG_EXPLAIN', `Explained tag ${uid}: ${explanation.summary}`, { uid: uid, fired: explanation.fired });
+    } catch (error) {
+        details.innerHTML = `<div class="text-red-600">Error explaining tag: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Copy the last explanation as plain text
+ */
+function copyTagExplanation() {
+    if (!window.lastTagExplanation) return;
+
+    const text = formatTagExplanation(window.lastTagExplanation);
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).then(() => {
+            showToast('Explanation copied to clipboard', 'success');
+        }).catch(() => {
+            console.log(text);
+            showToast('Explanation logged to console', 'info');
+        });
+    } else {
+        console.log(text);
+        showToast('Explanation logged to console', 'info');
+    }
+}
+
+/**
+ * Close the explainer modal
+ */
+function closeTagExplainModal() {
+    const modal = document.getElementById('tagExplainModal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+// Expose functions globally for HTML event handlers
+window.explainTagFiring = explainTagFiring;
+window.showTagExplanation = showTagExplanation;
+window.copyTagExplanation = copyTagExplanation;
+window.closeTagExplainModal = closeTagExplainModal;
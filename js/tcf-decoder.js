@@ -0,0 +1,445 @@
+/**
+ * IAB TCF v2 Decoder for Tealium Sandbox
+ * Decodes the euconsent-v2 TC string (and the copy Google Funding Choices keeps in FCCDCF): CMP, purposes,
+ * special features, vendor consents and legitimate interests, publisher restrictions and publisher purposes.
+ * The result is cross-referenced with the vendors seen on the network to flag vendors that fired without consent.
+ */
+
+/**
+ * Core segment fields in order, with their bit lengths
+ */
+const TCF_CORE_FIELDS = [
+    ['version', 6],
+    ['created', 36],
+    ['lastUpdated', 36],
+    ['cmpId', 12],
+    ['cmpVersion', 12],
+    ['consentScreen', 6],
+    ['consentLanguage', 12],
+    ['vendorListVersion', 12],
+    ['policyVersion', 6],
+    ['isServiceSpecific', 1],
+    ['useNonStandardTexts', 1],
+    ['specialFeatureOptins', 12],
+    ['purposeConsents', 24],
+    ['purposeLegitimateInterests', 24],
+    ['purposeOneTreatment', 1],
+    ['publisherCC', 12]
+];
+
+const TCF_PURPOSE_NAMES = {
+    1: 'Store and/or access information on a device',
+    2: 'Use limited data to select advertising',
+    3: 'Create profiles for personalised advertising',
+    4: 'Use profiles to select personalised advertising',
+    5: 'Create profiles to personalise content',
+    6: 'Use profiles to select personalised content',
+    7: 'Measure advertising performance',
+    8: 'Measure content performance',
+    9: 'Understand audiences through statistics',
+    10: 'Develop and improve services',
+    11: 'Use limited data to select content'
+};
+
+const TCF_RESTRICTION_TYPES = {
+    0: 'Not allowed',
+    1: 'Require consent',
+    2: 'Require legitimate interest'
+};
+
+/**
+ * IAB Global Vendor List IDs of vendors detectVendorFromUrl() can report. Custom vendor decoders
+ * can declare their own with a gvlId property.
+ */
+const TCF_VENDOR_IDS = {
+    'Google': 755,
+    'YouTube': 755,
+    'Amazon Ads': 793,
+    'AppNexus': 32,
+    'ComScore': 77,
+    'Criteo': 91,
+    'LinkedIn': 804,
+    'Microsoft': 1126,
+    'Outbrain': 164,
+    'PubMatic': 76,
+    'Rubicon Project': 52,
+    'Taboola': 42,
+    'Yahoo': 25
+};
+
+/**
+ * base64url segment to a string of bits
+ */
+function tcfSegmentToBits(segment) {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    return Array.from(atob(padded), char => char.charCodeAt(0).toString(2).padStart(8, '0')).join('');
+}
+
+/**
+ * Sequential reader over a bit string
+ */
+function createTcfBitReader(bits) {
+    let position = 0;
+    const reader = {
+        int(length) {
+            if (position + length > bits.length) throw new Error('TC string is truncated');
+            const value = parseInt(bits.substr(position, length), 2);
+            position += length;
+            return value;
+        },
+        bool() {
+            return reader.int(1) === 1;
+        },
+        // Bitfield of the given length as a list of the (1-based) IDs that are set
+        ids(length) {
+            const set = [];
+            for (let i = 1; i <= length; i++) {
+                if (reader.bool()) set.push(i);
+            }
+            return set;
+        },
+        letters() {
+            return String.fromCharCode(65 + reader.int(6), 65 + reader.int(6));
+        },
+        // Ranges: NumEntries, then IsARange + start (+ end)
+        ranges() {
+            const ids = [];
+            const count = reader.int(12);
+            for (let i = 0; i < count; i++) {
+                const isRange = reader.bool();
+                const start = reader.int(16);
+                const end = isRange ? reader.int(16) : start;
+                for (let id = start; id <= end; id++) ids.push(id);
+            }
+            return ids;
+        },
+        // Vendor section: MaxVendorId, IsRangeEncoding, then bitfield or ranges
+        vendors() {
+            const maxVendorId = reader.int(16);
+            return reader.bool() ? reader.ranges() : reader.ids(maxVendorId);
+        },
+        get position() {
+            return position;
+        }
+    };
+    return reader;
+}
+
+/**
+ * Decode a TC string into its segments
+ */
+function decodeTcString(tcString) {
+    const segments = String(tcString || '').trim().split('.');
+    const reader = createTcfBitReader(tcfSegmentToBits(segments[0]));
+    const decoded = {};
+
+    TCF_CORE_FIELDS.forEach(([name, length]) => {
+        if (name === 'consentLanguage' || name === 'publisherCC') {
+            decoded[name] = reader.letters();
+        } else if (name === 'created' || name === 'lastUpdated') {
+            decoded[name] = new Date(reader.int(length) * 100).toISOString();
+        } else if (['specialFeatureOptins', 'purposeConsents', 'purposeLegitimateInterests'].includes(name)) {
+            decoded[name] = reader.ids(length);
+        } else if (length === 1) {
+            decoded[name] = reader.bool();
+        } else {
+            decoded[name] = reader.int(length);
+        }
+    });
+
+    if (decoded.version !== 2) {
+        throw new Error(`Unsupported TC string version ${decoded.version}`);
+    }
+
+    decoded.vendorConsents = reader.vendors();
+    decoded.vendorLegitimateInterests = reader.vendors();
+
+    decoded.publisherRestrictions = [];
+    const restrictionCount = reader.int(12);
+    for (let i = 0; i < restrictionCount; i++) {
+        const purpose = reader.int(6);
+        const type = reader.int(2);
+        decoded.publisherRestrictions.push({
+            purpose: purpose,
+            type: type,
+            typeName: TCF_RESTRICTION_TYPES[type] || 'Undefined',
+            vendors: reader.ranges()
+        });
+    }
+
+    // Optional segments: 1 = disclosed vendors, 2 = allowed vendors, 3 = publisher purposes
+    segments.slice(1).forEach(segment => {
+        const segmentReader = createTcfBitReader(tcfSegmentToBits(segment));
+        const type = segmentReader.int(3);
+        if (type === 1) {
+            decoded.disclosedVendors = segmentReader.vendors();
+        } else if (type === 2) {
+            decoded.allowedVendors = segmentReader.vendors();
+        } else if (type === 3) {
+            decoded.publisherPurposeConsents = segmentReader.ids(24);
+            decoded.publisherPurposeLegitimateInterests = segmentReader.ids(24);
+            const customCount = segmentReader.int(6);
+            decoded.customPurposeConsents = segmentReader.ids(customCount);
+            decoded.customPurposeLegitimateInterests = segmentReader.ids(customCount);
+        }
+    });
+
+    return decoded;
+}
+
+/**
+ * Encode a core-only TC string (bitfield vendor sections, no restrictions) - used by the consent simulator's mock CMP
+ */
+function encodeTcString(values) {
+    const now = Math.round(Date.now() / 100);
+    const fields = Object.assign({
+        version: 2, created: now, lastUpdated: now, cmpId: 0, cmpVersion: 1, consentScreen: 1,
+        consentLanguage: 'EN', vendorListVersion: 1, policyVersion: 4, isServiceSpecific: true,
+        useNonStandardTexts: false, specialFeatureOptins: [], purposeConsents: [], purposeLegitimateInterests: [],
+        purposeOneTreatment: false, publisherCC: 'AA', vendorConsents: [], vendorLegitimateInterests: []
+    }, values);
+
+    const int = (value, length) => Number(value).toString(2).padStart(length, '0').slice(-length);
+    const bitfield = (ids, length) => Array.from({ length }, (_, i) => ids.includes(i + 1) ? '1' : '0').join('');
+    const letters = (text) => int(text.charCodeAt(0) - 65, 6) + int(text.charCodeAt(1) - 65, 6);
+    const vendors = (ids) => {
+        const max = ids.length ? Math.max(...ids) : 0;
+        return int(max, 16) + '0' + bitfield(ids, max);
+    };
+
+    let bits = TCF_CORE_FIELDS.map(([name, length]) => {
+        const value = fields[name];
+        if (name === 'consentLanguage' || name === 'publisherCC') return letters(value);
+        if (Array.isArray(value)) return bitfield(value, length);
+        return int(typeof value === 'boolean' ? Number(value) : value, length);
+    }).join('');
+    bits += vendors(fields.vendorConsents) + vendors(fields.vendorLegitimateInterests) + int(0, 12);
+    bits = bits.padEnd(Math.ceil(bits.length / 8) * 8, '0');
+
+    let binary = '';
+    for (let i = 0; i < bits.length; i += 8) binary += String.fromCharCode(parseInt(bits.substr(i, 8), 2));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Find the TC string and Google Additional Consent string inside the FCCDCF cookie (a JSON array)
+ */
+function parseFundingChoicesCookie(value) {
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        return { raw: value, error: 'Could not parse FCCDCF' };
+    }
+
+    const strings = [];
+    const collect = (item) => {
+        if (typeof item === 'string') strings.push(item);
+        else if (Array.isArray(item)) item.forEach(collect);
+    };
+    collect(parsed);
+
+    const tcString = strings.find(item => /^C[A-Za-z0-9_-]{20,}(\.[A-Za-z0-9_-]+)*$/.test(item)) || null;
+    const additionalConsent = strings.find(item => /^\d~/.test(item)) || null;
+    return {
+        tcString: tcString,
+        additionalConsent: additionalConsent,
+        // Additional Consent lists Google ATP provider IDs: version~id.id.id
+        acProviders: additionalConsent ? additionalConsent.split('~')[1].split('.').filter(Boolean).map(Number) : []
+    };
+}
+
+/**
+ * Short summary for the cookie list
+ */
+function summarizeTcString(tcString) {
+    try {
+        const decoded = decodeTcString(tcString);
+        return {
+            cmpId: decoded.cmpId,
+            purposes: decoded.purposeConsents,
+            vendorConsents: decoded.vendorConsents.length,
+            updated: new Date(decoded.lastUpdated).toLocaleString()
+        };
+    } catch (error) {
+        return { raw: tcString, error: error.message };
+    }
+}
+
+/**
+ * GVL ID for a captured request, from its vendor decoder or the vendor name
+ */
+function getTcfVendorId(request) {
+    const decoder = typeof findVendorDecoder === 'function' ? findVendorDecoder(request.url, request) : null;
+    if (decoder && decoder.gvlId) return decoder.gvlId;
+    return TCF_VENDOR_IDS[request.vendor] || null;
+}
+
+/**
+ * Compare the decoded consent with the tag-related vendors seen on the network
+ */
+function crossReferenceTcfVendors(decoded, requests) {
+    const vendors = {};
+    requests.filter(request => request.isTagRelated && request.vendor && request.vendor !== 'Unknown').forEach(request => {
+        if (!vendors[request.vendor]) {
+            vendors[request.vendor] = { vendor: request.vendor, gvlId: getTcfVendorId(request), requests: 0 };
+        }
+        vendors[request.vendor].requests++;
+    });
+
+    const storageConsent = decoded.purposeConsents.includes(1);
+    return Object.values(vendors).map(entry => {
+        let status;
+        let message;
+        if (entry.gvlId) {
+            const consent = decoded.vendorConsents.includes(entry.gvlId);
+            const legitimateInterest = decoded.vendorLegitimateInterests.includes(entry.gvlId);
+            const restricted = decoded.publisherRestrictions.filter(restriction => restriction.type === 0 && restriction.vendors.includes(entry.gvlId));
+            if (!consent && !legitimateInterest) {
+                status = 'violation';
+                message = `Vendor ${entry.gvlId} has neither consent nor legitimate interest`;
+            } else if (restricted.length) {
+                status = 'warning';
+                message = `Publisher restricts purpose(s) ${restricted.map(restriction => restriction.purpose).join(', ')}`;
+            } else if (!consent) {
+                status = 'warning';
+                message = `Legitimate interest only (vendor ${entry.gvlId})`;
+            } else {
+                status = 'ok';
+                message = `Consent given (vendor ${entry.gvlId})`;
+            }
+        } else {
+            status = storageConsent ? 'unknown' : 'warning';
+            message = storageConsent ? 'Not in the TCF vendor map' : 'Not a mapped TCF vendor and purpose 1 (storage) is not consented';
+        }
+        return Object.assign(entry, { status, message });
+    }).sort((a, b) => ['violation', 'warning', 'unknown', 'ok'].indexOf(a.status) - ['violation', 'warning', 'unknown', 'ok'].indexOf(b.status));
+}
+
+/**
+ * Decode the TC string from euconsent-v2, FCCDCF or, without either cookie, the page's __tcfapi and render it
+ */
+function renderTcfConsent(cookies) {
+    const container = document.getElementById('tcfConsentDetails');
+    if (!container) return;
+
+    let source = null;
+    let tcString = null;
+    if (cookies['euconsent-v2']) {
+        source = 'euconsent-v2';
+        tcString = cookies['euconsent-v2'];
+    } else if (cookies.FCCDCF) {
+        source = 'FCCDCF';
+        tcString = parseFundingChoicesCookie(cookies.FCCDCF).tcString;
+    }
+
+    if (tcString) {
+        renderDecodedTcString(source, tcString);
+        return;
+    }
+
+    const notFound = () => {
+        container.innerHTML = '<div class="text-gray-500 text-sm">No TC string found (euconsent-v2 or FCCDCF cookie, or __tcfapi).</div>';
+    };
+    if (typeof window.__tcfapi !== 'function') {
+        notFound();
+        return;
+    }
+
+    // CMPs may answer asynchronously
+    window.__tcfapi('getTCData', 2, (tcData, success) => {
+        if (success && tcData && tcData.tcString) {
+            renderDecodedTcString(window.__tcfapi.mock ? '__tcfapi (simulated)' : '__tcfapi', tcData.tcString);
+        } else {
+            notFound();
+        }
+    });
+}
+
+/**
+ * Decode a TC string pasted into the input
+ */
+function decodePastedTcString() {
+    const input = document.getElementById('tcfStringInput');
+    const tcString = input ? input.value.trim() : '';
+    if (!tcString) {
+        showToast('Paste a TC string first', 'warning');
+        return;
+    }
+    renderDecodedTcString('pasted', tcString);
+}
+
+/**
+ * Render the decoded TC string with the network cross-reference
+ */
+function renderDecodedTcString(source, tcString) {
+    const container = document.getElementById('tcfConsentDetails');
+    if (!container) return;
+
+    let decoded;
+    try {
+        decoded = decodeTcString(tcString);
+    } catch (error) {
+        container.innerHTML = `<div class="text-red-600 text-sm">Could not decode the TC string from ${source}: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    const crossReference = crossReferenceTcfVendors(decoded, eventDebugState.networkRequests);
+    window.tcfConsentAnalysis = { source, tcString, decoded, crossReference };
+
+    const list = (ids) => ids.length ? ids.join(', ') : '<span class="text-gray-400">none</span>';
+    const statusClasses = { violation: 'bg-red-100 text-red-800', warning: 'bg-yellow-100 text-yellow-800', unknown: 'bg-gray-100 text-gray-700', ok: 'bg-green-100 text-green-800' };
+
+    container.innerHTML = `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+            <div class="bg-gray-50 rounded p-3"><div class="text-xs text-gray-500">Source</div><div class="font-mono">${source}</div></div>
+            <div class="bg-gray-50 rounded p-3"><div class="text-xs text-gray-500">CMP</div><div>ID ${decoded.cmpId} v${decoded.cmpVersion}</div></div>
+            <div class="bg-gray-50 rounded p-3"><div class="text-xs text-gray-500">Policy / GVL</div><div>v${decoded.policyVersion} / ${decoded.vendorListVersion}</div></div>
+            <div class="bg-gray-50 rounded p-3"><div class="text-xs text-gray-500">Updated</div><div>${new Date(decoded.lastUpdated).toLocaleString()}</div></div>
+        </div>
+        <div class="space-y-1 text-sm mb-4">
+            ${Object.entries(TCF_PURPOSE_NAMES).map(([id, name]) => `
+                <div class="flex items-center justify-between">
+                    <span class="text-gray-700">${id}. ${name}</span>
+                    <span class="space-x-1 text-xs">
+                        <span class="${decoded.purposeConsents.includes(Number(id)) ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-500'} px-2 py-0.5 rounded">Consent</span>
+                        <span class="${decoded.purposeLegitimateInterests.includes(Number(id)) ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-500'} px-2 py-0.5 rounded">LI</span>
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="text-sm space-y-1 mb-4">
+            <div><span class="font-medium text-gray-700">Special features:</span> ${list(decoded.specialFeatureOptins)}</div>
+            <div><span class="font-medium text-gray-700">Vendor consents (${decoded.vendorConsents.length}):</span> <span class="font-mono text-xs">${list(decoded.vendorConsents)}</span></div>
+            <div><span class="font-medium text-gray-700">Vendor legitimate interests (${decoded.vendorLegitimateInterests.length}):</span> <span class="font-mono text-xs">${list(decoded.vendorLegitimateInterests)}</span></div>
+            <div><span class="font-medium text-gray-700">Publisher restrictions:</span> ${decoded.publisherRestrictions.length
+                ? decoded.publisherRestrictions.map(restriction => `purpose ${restriction.purpose} ${restriction.typeName.toLowerCase()} for ${restriction.vendors.join(', ')}`).join('; ')
+                : '<span class="text-gray-400">none</span>'}</div>
+            ${decoded.publisherPurposeConsents ? `<div><span class="font-medium text-gray-700">Publisher purposes:</span> ${list(decoded.publisherPurposeConsents)}</div>` : ''}
+        </div>
+        <h5 class="text-sm font-medium text-gray-700 mb-2">Vendors seen on the network</h5>
+        ${crossReference.length === 0 ? '<div class="text-gray-500 text-sm">No tag-related requests captured yet.</div>' : `
+            <div class="space-y-1">
+                ${crossReference.map(entry => `
+                    <div class="flex items-center justify-between text-sm">
+                        <span class="text-gray-700">${escapeHtml(entry.vendor)} <span class="text-xs text-gray-400">${entry.requests} request(s)</span></span>
+                        <span class="text-xs px-2 py-0.5 rounded ${statusClasses[entry.status]}" title="${escapeHtml(entry.message)}">${escapeHtml(entry.message)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `}
+    `;
+
+    const violations = crossReference.filter(entry => entry.status === 'violation');
+    if (violations.length) {
+        logEvent('TCF_VIOLATION', `${violations.length} vendor(s) fired without TCF consent`, { vendors: violations.map(entry => entry.vendor) });
+    }
+}
+
+// Expose functions globally for HTML event handlers
+window.decodeTcString = decodeTcString;
+window.encodeTcString = encodeTcString;
+window.parseFundingChoicesCookie = parseFundingChoicesCookie;
+window.renderTcfConsent = renderTcfConsent;
+window.decodePastedTcString = decodePastedTcString;
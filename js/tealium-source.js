@@ -0,0 +1,239 @@
+/**
+ * Tealium Source Settings for Tealium Sandbox
+ * Lets utag.js come from tiqcdn.com, a custom CDN / self-hosted base URL / mirror, or a local file upload,
+ * and resolves the utag.N.js tag files against the same base
+ */
+
+const TEALIUM_SOURCE_STORAGE_KEY = 'tealium-sandbox-source';
+
+/**
+ * Matches every utag.js script the sandbox may have added, whatever its origin
+ */
+const TEALIUM_SCRIPT_SELECTOR = 'script[src*="tiqcdn.com"], script[data-tealium-source]';
+
+/**
+ * Uploaded files: the utag.js to load and any utag.N.js / utag.sync.js tag files, as blob URLs
+ */
+let localTealiumFiles = { main: null, tags: {} };
+
+/**
+ * Original HTMLScriptElement src descriptor while the local tag file resolver is installed
+ */
+let originalScriptSrcDescriptor = null;
+
+/**
+ * Get the saved source settings ({ type: 'tiqcdn' | 'custom' | 'file', baseUrl, loadSync })
+ */
+function getTealiumSourceSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEALIUM_SOURCE_STORAGE_KEY) || '{}');
+        return { type: saved.type || 'tiqcdn', baseUrl: saved.baseUrl || '', loadSync: !!saved.loadSync };
+    } catch (error) {
+        return { type: 'tiqcdn', baseUrl: '', loadSync: false };
+    }
+}
+
+/**
+ * Save the source settings from the configuration form
+ */
+function saveTealiumSourceSettings() {
+    const type = document.getElementById('tealiumSourceType')?.value || 'tiqcdn';
+    const baseUrl = document.getElementById('tealiumBaseUrl')?.value.trim() || '';
+    const loadSync = !!document.getElementById('tealiumLoadSync')?.checked;
+
+    localStorage.setItem(TEALIUM_SOURCE_STORAGE_KEY, JSON.stringify({ type, baseUrl, loadSync }));
+    updateTealiumSourceFields();
+}
+
+/**
+ * Fill {account}/{profile}/{env} placeholders and make sure the base ends with a slash.
+ * A base without placeholders is used as-is, e.g. https://cdn.example.com/tealium/acme/main/prod/
+ */
+function buildTealiumBaseUrl(template, account, profile, env) {
+    let base = template
+        .replace(/\{account\}/g, account)
+        .replace(/\{profile\}/g, profile)
+        .replace(/\{env\}/g, env);
+
+    // A full utag.js URL was pasted - keep its directory
+    base = base.replace(/utag\.js(\?.*)?$/, '');
+    return base.endsWith('/') ? base : base + '/';
+}
+
+/**
+ * Work out where utag.js comes from and which base the tag files resolve against
+ * Returns { type, url, base, label, sync } where label is what the status panel shows and
+ * sync is the utag.sync.js to load first ({ url, label }) or null
+ */
+function resolveTealiumScriptSource(account, profile, env) {
+    const settings = getTealiumSourceSettings();
+    const cdnBase = `https://tags.tiqcdn.com/utag/${account}/${profile}/${env}/`;
+    const customBase = settings.baseUrl ? buildTealiumBaseUrl(settings.baseUrl, account, profile, env) : null;
+    let source;
+
+    if (settings.type === 'custom') {
+        if (!customBase) throw new Error('Enter a base URL for the custom source');
+        source = { type: 'custom', url: customBase + 'utag.js', base: customBase, label: customBase + 'utag.js' };
+    } else if (settings.type === 'file') {
+        if (!localTealiumFiles.main) throw new Error('Upload a utag.js file first');
+        source = { type: 'file', url: localTealiumFiles.main.url, base: customBase || cdnBase, label: `Local file: ${localTealiumFiles.main.name}` };
+    } else {
+        source = { type: 'tiqcdn', url: cdnBase + 'utag.js', base: cdnBase, label: cdnBase + 'utag.js' };
+    }
+
+    // utag.sync.js lives next to utag.js, unless it was uploaded
+    source.sync = null;
+    if (settings.loadSync) {
+        const uploadedSync = localTealiumFiles.tags['utag.sync.js'];
+        source.sync = uploadedSync
+            ? { url: uploadedSync, label: 'Local file: utag.sync.js' }
+            : { url: source.base + 'utag.sync.js', label: source.base + 'utag.sync.js' };
+    }
+
+    return source;
+}
+
+/**
+ * Point utag.cfg.path at the source's base (via utag_cfg_ovrd, which utag.js merges into utag.cfg)
+ * and serve uploaded tag files in place of their remote copies
+ */
+function applyTealiumSourceOverrides(source) {
+    window.utag_cfg_ovrd = window.utag_cfg_ovrd || {};
+    removeTealiumTagFileResolver();
+
+    if (source.type === 'tiqcdn') {
+        delete window.utag_cfg_ovrd.path;
+        return;
+    }
+
+    window.utag_cfg_ovrd.path = source.base;
+    if (source.type === 'file' && Object.keys(localTealiumFiles.tags).length > 0) {
+        installTealiumTagFileResolver();
+    }
+}
+
+/**
+ * Swap a tag file URL for the uploaded copy, if there is one
+ */
+function resolveLocalTealiumTagFile(url) {
+    const match = typeof url === 'string' ? url.match(/(utag\.(?:\d+|sync)\.js)(?:\?|$)/) : null;
+    return match && localTealiumFiles.tags[match[1]] ? localTealiumFiles.tags[match[1]] : url;
+}
+
+/**
+ * utag.loader.AS sets script.src directly, so wrap the setter to redirect uploaded tag files
+ */
+function installTealiumTagFileResolver() {
+    if (originalScriptSrcDescriptor) return;
+
+    const descriptor = Object.getOwnPropertyDescriptor(HTMLScriptElement.prototype, 'src');
+    if (!descriptor || !descriptor.set) return;
+
+    originalScriptSrcDescriptor = descriptor;
+    Object.defineProperty(HTMLScriptElement.prototype, 'src', {
+        configurable: true,
+        enumerable: descriptor.enumerable,
+        get: descriptor.get,
+        set: function(value) {
+            const resolved = resolveLocalTealiumTagFile(value);
+            if (resolved !== value) console.log(`🔧 Serving uploaded ${value.match(/utag\.(?:\d+|sync)\.js/)[0]} instead of ${value}`);
+            descriptor.set.call(this, resolved);
+        }
+    });
+}
+
+/**
+ * Restore the native script src setter
+ */
+function removeTealiumTagFileResolver() {
+    if (!originalScriptSrcDescriptor) return;
+    Object.defineProperty(HTMLScriptElement.prototype, 'src', originalScriptSrcDescriptor);
+    originalScriptSrcDescriptor = null;
+}
+
+/**
+ * Remove every utag script the sandbox added (tiqcdn.com, custom base or local file)
+ */
+function removeTealiumScripts() {
+    const scripts = document.querySelectorAll(TEALIUM_SCRIPT_SELECTOR);
+    scripts.forEach(script => script.remove());
+    return scripts.length;
+}
+
+/**
+ * Keep uploaded files as blob URLs: utag.N.js / utag.sync.js become tag files, anything else is the utag.js
+ */
+function handleLocalTealiumFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    if (localTealiumFiles.main) URL.revokeObjectURL(localTealiumFiles.main.url);
+    Object.values(localTealiumFiles.tags).forEach(url => URL.revokeObjectURL(url));
+    localTealiumFiles = { main: null, tags: {} };
+
+    files.forEach(file => {
+        const url = URL.createObjectURL(file);
+        if (/^utag\.(\d+|sync)\.js$/.test(file.name)) {
+            localTealiumFiles.tags[file.name] = url;
+        } else if (!localTealiumFiles.main || file.name === 'utag.js') {
+            localTealiumFiles.main = { name: file.name, url: url };
+        }
+    });
+
+    updateTealiumSourceFields();
+
+    const tagCount = Object.keys(localTealiumFiles.tags).length;
+    if (!localTealiumFiles.main) {
+        showToast('No utag.js found in the selected files', 'warning');
+    } else {
+        showToast(`Ready to load ${localTealiumFiles.main.name}${tagCount ? ` with ${tagCount} tag file(s)` : ''}`, 'success');
+    }
+    logEvent('TEALIUM_SOURCE_FILES', 'Local Tealium files selected', { main: localTealiumFiles.main?.name, tags: Object.keys(localTealiumFiles.tags) });
+}
+
+/**
+ * Show the inputs that apply to the selected source type
+ */
+function updateTealiumSourceFields() {
+    const type = document.getElementById('tealiumSourceType')?.value || getTealiumSourceSettings().type;
+    const baseDiv = document.getElementById('tealiumBaseUrlDiv');
+    const fileDiv = document.getElementById('tealiumLocalFileDiv');
+    const baseHelp = document.getElementById('tealiumBaseUrlHelp');
+    const fileStatus = document.getElementById('tealiumLocalFileStatus');
+
+    if (baseDiv) baseDiv.classList.toggle('hidden', type === 'tiqcdn');
+    if (fileDiv) fileDiv.classList.toggle('hidden', type !== 'file');
+    if (baseHelp) {
+        baseHelp.textContent = type === 'file'
+            ? 'Optional: where tag files that were not uploaded are loaded from (defaults to tiqcdn.com).'
+            : 'utag.js and utag.N.js are loaded from here. Use {account}, {profile} and {env} as placeholders.';
+    }
+    if (fileStatus) {
+        const tags = Object.keys(localTealiumFiles.tags);
+        fileStatus.textContent = localTealiumFiles.main
+            ? `${localTealiumFiles.main.name}${tags.length ? ` + ${tags.join(', ')}` : ''}`
+            : 'No file selected';
+    }
+}
+
+/**
+ * Restore the source settings into the configuration form
+ */
+function initializeTealiumSourceSettings() {
+    const settings = getTealiumSourceSettings();
+    const typeEl = document.getElementById('tealiumSourceType');
+    const baseUrlEl = document.getElementById('tealiumBaseUrl');
+    const loadSyncEl = document.getElementById('tealiumLoadSync');
+
+    if (typeEl) typeEl.value = settings.type;
+    if (baseUrlEl) baseUrlEl.value = settings.baseUrl;
+    if (loadSyncEl) loadSyncEl.checked = settings.loadSync;
+    updateTealiumSourceFields();
+}
+
+// Expose functions globally for HTML event handlers
+window.saveTealiumSourceSettings = saveTealiumSourceSettings;
+window.handleLocalTealiumFiles = handleLocalTealiumFiles;
+window.initializeTealiumSourceSettings = initializeTealiumSourceSettings;
+window.resolveTealiumScriptSource = resolveTealiumScriptSource;
+window.removeTealiumScripts = removeTealiumScripts;
@@ -0,0 +1,222 @@
+/**
+ * Tealium iQ Variable Documentation for Tealium Sandbox
+ * Imports the Data Layer variable list exported from TiQ (CSV) and compares it with what the session sees:
+ * documented, undocumented and documented-but-missing variables, with descriptions shown as tooltips
+ */
+
+const TIQ_VARIABLES_STORAGE_KEY = 'tealium-sandbox-tiq-variables';
+const TIQ_SEEN_VARIABLES_STORAGE_KEY = 'tealium-sandbox-seen-variables';
+
+/**
+ * TiQ variable types and the utag.data prefix they appear under
+ */
+const TIQ_VARIABLE_TYPE_PREFIXES = [
+    { pattern: /javascript|js page/i, prefix: 'js_page.' },
+    { pattern: /cookie/i, prefix: 'cp.' },
+    { pattern: /query ?string/i, prefix: 'qp.' },
+    { pattern: /meta/i, prefix: 'meta.' },
+    { pattern: /local ?storage/i, prefix: 'ls.' },
+    { pattern: /session ?storage/i, prefix: 'ss.' },
+    { pattern: /dom/i, prefix: 'dom.' }
+];
+
+/**
+ * Variables Tealium adds itself - never reported as undocumented
+ */
+const TIQ_BUILT_IN_PATTERN = /^(dom|ut|va)\.|^dom$|^tealium_|^cp\.(utag_|CONSENTMGR|OPTOUTMULTI|trace_id)/;
+
+/**
+ * utag.data key for a TiQ variable name and type (UDO variables keep their name)
+ */
+function getTiqVariableKey(name, type) {
+    if (/^(js_page|cp|qp|meta|ls|ss|dom|va|ut)\./.test(name)) return name;
+    const mapping = TIQ_VARIABLE_TYPE_PREFIXES.find(item => item.pattern.test(type || ''));
+    return mapping ? mapping.prefix + name : name;
+}
+
+/**
+ * Parse a TiQ variable export. Column names vary between exports, so the usual ones are all accepted:
+ * Variable/Name/Source, Type, Alias, Description/Notes, Labels
+ */
+function parseTiqVariableCsv(text) {
+    const records = csvRowsToObjects(parseCsvText(text));
+
+    return records
+        .map(record => {
+            const name = record.variable || record.name || record.source || record.variable_name || record.key;
+            if (!name) return null;
+
+            const type = record.type || record.variable_type || 'UDO Variable';
+            return {
+                key: getTiqVariableKey(name, type),
+                name: name,
+                type: type,
+                alias: record.alias || '',
+                description: record.description || record.notes || record.note || '',
+                labels: splitSchemaList(record.labels || record.label || '')
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Get the imported variable list ({ name, variables, importedAt }) or null
+ */
+function getTiqVariableSpec() {
+    try {
+        return JSON.parse(localStorage.getItem(TIQ_VARIABLES_STORAGE_KEY) || 'null');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Documentation for one utag.data key in an imported list, or null when it is undocumented
+ */
+function findTiqVariable(spec, key) {
+    if (!spec) return null;
+    return spec.variables.find(variable => variable.key === key || variable.name === key) || null;
+}
+
+/**
+ * Variables seen during this browser session
+ */
+function getSeenDataLayerVariables() {
+    try {
+        return new Set(JSON.parse(sessionStorage.getItem(TIQ_SEEN_VARIABLES_STORAGE_KEY) || '[]'));
+    } catch (error) {
+        return new Set();
+    }
+}
+
+/**
+ * Remember the variables in a data layer snapshot (nested objects such as dom are flattened one level)
+ */
+function recordSeenDataLayerVariables(data) {
+    const seen = getSeenDataLayerVariables();
+    const before = seen.size;
+
+    Object.entries(data || {}).forEach(([key, value]) => {
+        seen.add(key);
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.keys(value).forEach(childKey => seen.add(`${key}.${childKey}`));
+        }
+    });
+
+    if (seen.size !== before) {
+        sessionStorage.setItem(TIQ_SEEN_VARIABLES_STORAGE_KEY, JSON.stringify([...seen]));
+    }
+}
+
+/**
+ * Compare the documented variables with the current data layer and the session so far
+ */
+function getTiqVariableCoverage(data) {
+    const spec = getTiqVariableSpec();
+    if (!spec) return null;
+
+    const seen = getSeenDataLayerVariables();
+    const isDocumented = (key) => !!findTiqVariable(spec, key);
+    const current = Object.keys(data || {});
+
+    return {
+        name: spec.name,
+        documented: current.filter(isDocumented),
+        undocumented: current.filter(key => !isDocumented(key) && !TIQ_BUILT_IN_PATTERN.test(key)),
+        missing: spec.variables.filter(variable => !seen.has(variable.key) && !seen.has(variable.name)),
+        total: spec.variables.length
+    };
+}
+
+/**
+ * Import a TiQ variable export from the Data Layer section
+ */
+function importTiqVariables(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const variables = parseTiqVariableCsv(e.target.result);
+        if (variables.length === 0) {
+            showToast('No variables found - expected a CSV with a Variable/Name column', 'error');
+            return;
+        }
+
+        localStorage.setItem(TIQ_VARIABLES_STORAGE_KEY, JSON.stringify({ name: file.name, variables, importedAt: new Date().toISOString() }));
+        updateDataLayerTable();
+        showToast(`Imported ${variables.length} TiQ variable(s) from ${file.name}`, 'success');
+        logEvent('TIQ_VARIABLES_IMPORTED', `Imported ${variables.length} TiQ variables`, { file: file.name });
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Remove the imported variable list
+ */
+function clearTiqVariables() {
+    localStorage.removeItem(TIQ_VARIABLES_STORAGE_KEY);
+    updateDataLayerTable();
+    showToast('TiQ variable list removed', 'info');
+}
+
+/**
+ * Reset the "seen this session" list, e.g. before walking through a new set of pages
+ */
+function resetSeenDataLayerVariables() {
+    sessionStorage.removeItem(TIQ_SEEN_VARIABLES_STORAGE_KEY);
+    recordSeenDataLayerVariables(currentDataLayer);
+    renderTiqVariableCoverage();
+    showToast('Session variable tracking reset', 'info');
+}
+
+/**
+ * Render documented / undocumented / missing counts and lists
+ */
+function renderTiqVariableCoverage() {
+    const container = document.getElementById('tiqVariableCoverage');
+    if (!container) return;
+
+    const coverage = getTiqVariableCoverage(currentDataLayer);
+    if (!coverage) {
+        container.innerHTML = '<div class="text-gray-500 text-sm">Import the variable list exported from Tealium iQ (Data Layer → Export) to check documentation coverage.</div>';
+        return;
+    }
+
+    const chips = (items, classes) => items.length === 0
+        ? '<span class="text-xs text-gray-400">None</span>'
+        : items.map(item => `<span class="inline-block text-xs font-mono px-2 py-1 rounded ${classes} mr-1 mb-1" title="${escapeHtml(item.title || '')}">${escapeHtml(item.key)}</span>`).join('');
+
+    container.innerHTML = `
+        <div class="text-xs text-gray-500 mb-3">${escapeHtml(coverage.name)} &middot; ${coverage.total} documented variable(s)</div>
+        <div class="grid grid-cols-3 gap-3 mb-4">
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-green-600">${coverage.documented.length}</div>
+                <div class="text-xs text-gray-500">Documented (current)</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-orange-600">${coverage.undocumented.length}</div>
+                <div class="text-xs text-gray-500">Undocumented (current)</div>
+            </div>
+            <div class="bg-gray-50 rounded p-3 text-center">
+                <div class="text-lg font-bold text-red-600">${coverage.missing.length}</div>
+                <div class="text-xs text-gray-500">Never seen this session</div>
+            </div>
+        </div>
+        <div class="space-y-3">
+            <div>
+                <h5 class="text-sm font-medium text-gray-700 mb-1">Undocumented</h5>
+                ${chips(coverage.undocumented.map(key => ({ key })), 'bg-orange-100 text-orange-800')}
+            </div>
+            <div>
+                <h5 class="text-sm font-medium text-gray-700 mb-1">Missing</h5>
+                ${chips(coverage.missing.map(variable => ({ key: variable.key, title: variable.description })), 'bg-red-100 text-red-800')}
+            </div>
+        </div>
+    `;
+}
+
+// Expose functions globally for HTML event handlers
+window.importTiqVariables = importTiqVariables;
+window.clearTiqVariables = clearTiqVariables;
+window.resetSeenDataLayerVariables = resetSeenDataLayerVariables;
+window.getTiqVariableCoverage = getTiqVariableCoverage;
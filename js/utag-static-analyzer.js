@@ -0,0 +1,662 @@
+/**
+ * Offline utag.js Static Analyzer for Tealium Sandbox
+ * Parses pasted or uploaded utag.js / utag.N.js source without executing it and
+ * extracts the tag table, load rules, extensions, publish version and utag.cfg defaults
+ */
+
+/**
+ * Header comment TiQ writes at the top of every generated file
+ * e.g. "//tealium universal tag - utag.loader ut4.0.202404100813, Copyright ..."
+ */
+const UTAG_FILE_HEADER_PATTERN = /\/\/\s*tealium universal tag - utag\.(loader|sync|\d+)\s+(ut[\w.]+)/g;
+
+/**
+ * Identifiers that hold the data layer in loadrules, extensions and tag templates
+ */
+const UTAG_DATA_LAYER_OBJECTS = ['b', 'd', 'data', 'utag_data'];
+
+/**
+ * Marker for values that are code rather than constants (functions, utag.cond[N] references, ...)
+ */
+function createUtagExpression(source) {
+    return { expression: source };
+}
+
+/**
+ * Check whether a value read from the source is an expression marker
+ */
+function isUtagExpression(value) {
+    return !!value && typeof value === 'object' && typeof value.expression === 'string';
+}
+
+/**
+ * Return the index of the ',' ';' or unmatched closing bracket that ends the value starting at start
+ */
+function findUtagValueEnd(tokens, start) {
+    let depth = 0;
+
+    for (let i = start; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'punctuator') continue;
+
+        if (['(', '[', '{'].includes(token.value)) {
+            depth++;
+        } else if ([')', ']', '}'].includes(token.value)) {
+            if (depth === 0) return i;
+            depth--;
+        } else if (depth === 0 && (token.value === ',' || token.value === ';')) {
+            return i;
+        }
+    }
+
+    return tokens.length;
+}
+
+/**
+ * Get the dotted path of an identifier/member node (utag.cfg.template), or null
+ */
+function getUtagMemberPath(node) {
+    if (node.type === 'identifier') return node.name;
+    if (node.type === 'member' && typeof node.property === 'string') {
+        const objectPath = getUtagMemberPath(node.object);
+        return objectPath ? `${objectPath}.${node.property}` : null;
+    }
+    return null;
+}
+
+/**
+ * Fold a constant expression ("ut4.51."+"202404100813", !0, -1) into its value.
+ * resolve(path) supplies values for references such as utag.cfg.template; returns undefined when not constant.
+ */
+function foldUtagConstant(node, resolve) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'identifier':
+        case 'member': {
+            const path = getUtagMemberPath(node);
+            return path && resolve ? resolve(path) : undefined;
+        }
+        case 'unary': {
+            const argument = foldUtagConstant(node.argument, resolve);
+            if (argument === undefined || node.operator === 'typeof') return undefined;
+            if (node.operator === '!') return !argument;
+            return node.operator === '-' ? -argument : +argument;
+        }
+        case 'binary': {
+            if (node.operator !== '+') return undefined;
+            const left = foldUtagConstant(node.left, resolve);
+            const right = foldUtagConstant(node.right, resolve);
+            return left === undefined || right === undefined ? undefined : left + right;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Read the value between tokens[start] and tokens[end - 1]: objects and arrays become
+ * plain data, constants are folded and anything else is kept as an expression marker
+ */
+function readUtagValue(tokens, start, end, source, resolve) {
+    const first = tokens[start];
+    if (!first || start >= end) return undefined;
+
+    if (first.type === 'punctuator' && first.value === '{') return readUtagObject(tokens, start, source, resolve);
+    if (first.type === 'punctuator' && first.value === '[') return readUtagArray(tokens, start, source, resolve);
+
+    const expressionSource = source.substring(first.start, tokens[end - 1].end);
+    if (first.type === 'identifier' && first.value === 'function') return createUtagExpression(expressionSource);
+
+    try {
+        const { node, next } = parseLoadRuleExpression(tokens.slice(start, end), 0);
+        if (next === end - start) {
+            const value = foldUtagConstant(node, resolve);
+            if (value !== undefined) return value;
+        }
+    } catch (error) {
+        // Not a simple expression - keep the source below
+    }
+
+    return createUtagExpression(expressionSource);
+}
+
+/**
+ * Read an object literal starting at tokens[openIndex] ('{')
+ */
+function readUtagObject(tokens, openIndex, source, resolve) {
+    const value = {};
+    let i = openIndex + 1;
+
+    while (i < tokens.length && !(tokens[i].type === 'punctuator' && tokens[i].value === '}')) {
+        const key = tokens[i];
+        const hasValue = tokens[i + 1] && tokens[i + 1].value === ':' && key.type !== 'punctuator';
+        const valueStart = hasValue ? i + 2 : i;
+        const valueEnd = findUtagValueEnd(tokens, valueStart);
+
+        if (hasValue) {
+            value[String(key.value)] = readUtagValue(tokens, valueStart, valueEnd, source, resolve);
+        }
+        i = tokens[valueEnd] && tokens[valueEnd].value === ',' ? valueEnd + 1 : Math.max(valueEnd, i + 1);
+    }
+
+    return value;
+}
+
+/**
+ * Read an array literal starting at tokens[openIndex] ('[')
+ */
+function readUtagArray(tokens, openIndex, source, resolve) {
+    const value = [];
+    let i = openIndex + 1;
+
+    while (i < tokens.length && !(tokens[i].type === 'punctuator' && tokens[i].value === ']')) {
+        const valueEnd = findUtagValueEnd(tokens, i);
+        if (valueEnd > i) value.push(readUtagValue(tokens, i, valueEnd, source, resolve));
+        i = tokens[valueEnd] && tokens[valueEnd].value === ',' ? valueEnd + 1 : Math.max(valueEnd, i + 1);
+    }
+
+    return value;
+}
+
+/**
+ * Find every "a.b.c = value" statement and "key: value" object property in the token stream
+ * Returns { assignments: [{ path, index }], properties: [{ name, index }] } where index is the value's first token
+ */
+function collectUtagDefinitions(tokens) {
+    const assignments = [];
+    const properties = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+
+        if (token.type === 'identifier' && !(previous && previous.value === '.')) {
+            const chain = [token.value];
+            let j = i + 1;
+            while (tokens[j + 1] && tokens[j].value === '.' && tokens[j + 1].type === 'identifier') {
+                chain.push(tokens[j + 1].value);
+                j += 2;
+            }
+            if (tokens[j] && tokens[j].type === 'punctuator' && tokens[j].value === '=') {
+                assignments.push({ path: chain.join('.'), index: j + 1 });
+            }
+        }
+
+        const isKey = (token.type === 'identifier' || token.type === 'string') &&
+            tokens[i + 1] && tokens[i + 1].value === ':' &&
+            previous && previous.type === 'punctuator' && (previous.value === '{' || previous.value === ',');
+        if (isKey) {
+            properties.push({ name: token.value, index: i + 2 });
+        }
+    }
+
+    return { assignments: assignments, properties: properties };
+}
+
+/**
+ * Collect the rule IDs referenced as utag.cond[N] in an expression tree
+ */
+function collectUtagCondReferences(node, ids = []) {
+    if (!node || typeof node !== 'object') return ids;
+
+    if (node.type === 'member' && node.computed && typeof node.property === 'string' && getUtagMemberPath(node.object) === 'utag.cond') {
+        if (!ids.includes(node.property)) ids.push(node.property);
+    }
+
+    ['object', 'property', 'callee', 'argument', 'left', 'right', 'test', 'consequent', 'alternate'].forEach(key => {
+        if (node[key] && typeof node[key] === 'object') collectUtagCondReferences(node[key], ids);
+    });
+    (node.arguments || []).forEach(argument => collectUtagCondReferences(argument, ids));
+
+    return ids;
+}
+
+/**
+ * Rule IDs a tag's load/send flag depends on: utag.cond[N] references, or a bare rule number (legacy format)
+ */
+function getUtagFlagRuleIds(flag) {
+    if (typeof flag === 'number') return [0, 1, 2, 3, 4].includes(flag) ? [] : [String(flag)];
+    if (!isUtagExpression(flag)) return [];
+
+    try {
+        const { node } = parseLoadRuleExpression(tokenizeLoadRuleSource(flag.expression), 0);
+        return collectUtagCondReferences(node);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Split the content into generated files using the TiQ header comments, so several
+ * utag.js / utag.N.js files can be pasted or uploaded together
+ */
+function splitUtagBundle(content) {
+    const headers = [...content.matchAll(UTAG_FILE_HEADER_PATTERN)];
+    if (headers.length === 0) return [{ name: null, version: null, source: content }];
+
+    const files = [];
+    const preamble = content.substring(0, headers[0].index);
+    if (preamble.trim()) files.push({ name: null, version: null, source: preamble });
+
+    headers.forEach((header, i) => {
+        const end = i + 1 < headers.length ? headers[i + 1].index : content.length;
+        files.push({ name: header[1], version: header[2], source: content.substring(header.index, end) });
+    });
+
+    return files;
+}
+
+/**
+ * Format a TiQ publish timestamp (YYYYMMDDHHMM) as an ISO-like date
+ */
+function formatUtagPublishDate(timestamp) {
+    const match = String(timestamp || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]} ${match[4]}:${match[5]}` : null;
+}
+
+/**
+ * Analyze the utag.js loader file: tag table, load rules, extensions and utag.cfg
+ */
+function analyzeUtagLoaderSource(source, result) {
+    const tokens = tokenizeLoadRuleSource(source);
+    const { assignments, properties } = collectUtagDefinitions(tokens);
+    const readAt = (index, resolve) => readUtagValue(tokens, index, findUtagValueEnd(tokens, index), source, resolve);
+    const findValue = (paths, propertyName) => {
+        const assignment = assignments.find(item => paths.includes(item.path));
+        if (assignment) return assignment.index;
+        const property = propertyName && properties.find(item => item.name === propertyName);
+        return property ? property.index : -1;
+    };
+
+    // utag.cfg defaults, then any later utag.cfg.x = ... overrides
+    const config = result.config;
+    const resolveConfig = (path) => path.startsWith('utag.cfg.') ? config[path.substring(9)] : undefined;
+    assignments.filter(item => item.path === 'utag.cfg').forEach(item => {
+        const value = readAt(item.index, resolveConfig);
+        if (value && typeof value === 'object' && !Array.isArray(value) && !isUtagExpression(value)) Object.assign(config, value);
+    });
+    assignments.filter(item => /^utag\.cfg\.\w+$/.test(item.path)).forEach(item => {
+        config[item.path.substring(9)] = readAt(item.index, resolveConfig);
+    });
+
+    // Tag table from utag.loader.cfg = {"7":{load:utag.cond[5],send:1,v:...,tid:...}, ...}
+    const cfgIndex = findValue(['utag.loader.cfg']);
+    const sortIndex = findValue(['utag.loader.cfgsort'], 'cfgsort');
+    const tagTable = cfgIndex >= 0 ? readAt(cfgIndex) : null;
+    const cfgSort = sortIndex >= 0 ? readAt(sortIndex) : null;
+
+    if (tagTable && typeof tagTable === 'object' && !isUtagExpression(tagTable)) {
+        Object.keys(tagTable).filter(uid => /^\d+$/.test(uid)).forEach(uid => {
+            const tagCfg = tagTable[uid] || {};
+            result.tags.push({
+                uid: uid,
+                load: isUtagExpression(tagCfg.load) ? tagCfg.load.expression : tagCfg.load,
+                loadRuleIds: getUtagFlagRuleIds(tagCfg.load),
+                send: isUtagExpression(tagCfg.send) ? tagCfg.send.expression : tagCfg.send,
+                sendRuleIds: getUtagFlagRuleIds(tagCfg.send),
+                version: tagCfg.v !== undefined ? String(tagCfg.v) : null,
+                templateId: tagCfg.tid !== undefined ? String(tagCfg.tid) : null,
+                consentCategory: tagCfg.tcat !== undefined ? String(tagCfg.tcat) : null,
+                wait: tagCfg.wait,
+                isBundled: tagCfg.load === 4,
+                order: Array.isArray(cfgSort) ? cfgSort.indexOf(uid) : -1
+            });
+        });
+    } else {
+        result.warnings.push('No utag.loader.cfg tag table found');
+    }
+
+    // Load rules: the body of utag.loader.loadrules, parsed once per c[N] |= id
+    const loadRulesIndex = findValue(['utag.loader.loadrules'], 'loadrules');
+    const loadRules = loadRulesIndex >= 0 ? readAt(loadRulesIndex) : null;
+    if (isUtagExpression(loadRules)) {
+        result.loadRulesSource = loadRules.expression;
+        const ruleTokens = tokenizeLoadRuleSource(loadRules.expression);
+        const ruleIds = [];
+        for (let i = 0; i + 4 < ruleTokens.length; i++) {
+            if (ruleTokens[i].type === 'identifier' && ruleTokens[i + 1].value === '[' && ruleTokens[i + 2].type === 'number' &&
+                ruleTokens[i + 3].value === ']' && ruleTokens[i + 4].value === '|=' && !ruleIds.includes(String(ruleTokens[i + 2].value))) {
+                ruleIds.push(String(ruleTokens[i + 2].value));
+            }
+        }
+
+        ruleIds.forEach(ruleId => {
+            const { tree, sources } = parseLoadRuleTree(loadRules.expression, ruleId);
+            const leaves = collectLoadRuleTreeLeaves(tree);
+            result.loadRules.push({
+                id: ruleId,
+                condition: sources.join(' || '),
+                tree: tree,
+                readable: leaves.map(leaf => describeLoadRuleTreeLeaf(leaf)),
+                variables: [...new Set(leaves.filter(leaf => leaf.isDataLayer).map(leaf => leaf.variable))]
+            });
+        });
+    } else {
+        result.warnings.push('No utag.loader.loadrules function found');
+    }
+
+    // Extensions: utag.handler.cfg_extend scopes lined up with the utag.handler.extend functions
+    const cfgExtendIndex = findValue(['utag.handler.cfg_extend', 'utag.loader.cfg_extend'], 'cfg_extend');
+    const extendIndex = findValue(['utag.handler.extend'], 'extend');
+    const cfgExtend = cfgExtendIndex >= 0 ? readAt(cfgExtendIndex) : [];
+    const extendFunctions = extendIndex >= 0 ? readAt(extendIndex) : [];
+
+    if (Array.isArray(cfgExtend)) {
+        cfgExtend.forEach((cfg, index) => {
+            if (!cfg || typeof cfg !== 'object' || cfg.id === undefined) return;
+
+            let scope = 'DOM Ready';
+            if (cfg.blr === 1) scope = 'Before Load Rules';
+            else if (cfg.alr === 1) scope = 'After Load Rules';
+            else if (cfg.end === 1) scope = 'After Tags';
+
+            const code = Array.isArray(extendFunctions) && isUtagExpression(extendFunctions[index]) ? extendFunctions[index].expression : null;
+            result.extensions.push({
+                id: String(cfg.id),
+                index: index,
+                scope: scope,
+                code: code
+            });
+        });
+    }
+
+    // Rule IDs declared in utag.cond = {5:0,...} that have no loadrules case
+    const condIndex = findValue(['utag.cond']);
+    const cond = condIndex >= 0 ? readAt(condIndex) : null;
+    if (cond && typeof cond === 'object' && !isUtagExpression(cond)) {
+        Object.keys(cond).filter(ruleId => !result.loadRules.find(rule => rule.id === ruleId)).forEach(ruleId => {
+            result.loadRules.push({ id: ruleId, condition: '', tree: null, readable: [], variables: [] });
+        });
+    }
+
+    collectUtagDataLayerVariables(tokens, result.variables);
+}
+
+/**
+ * Analyze a utag.N.js tag file: mappings and tag-scoped extensions
+ */
+function analyzeUtagTagSource(uid, source, result) {
+    const tokens = tokenizeLoadRuleSource(source);
+    const { assignments } = collectUtagDefinitions(tokens);
+    const readAt = (path) => {
+        const assignment = assignments.find(item => item.path === path);
+        return assignment ? readUtagValue(tokens, assignment.index, findUtagValueEnd(tokens, assignment.index), source) : undefined;
+    };
+
+    const map = readAt('u.map');
+    const extend = readAt('u.extend');
+    const baseUrl = readAt('u.base_url');
+
+    const tagFile = {
+        uid: uid,
+        mappings: map && typeof map === 'object' && !isUtagExpression(map) ? map : {},
+        extensions: Array.isArray(extend) ? extend.filter(isUtagExpression).map(fn => fn.expression) : [],
+        baseUrl: typeof baseUrl === 'string' ? baseUrl : null
+    };
+    result.tagFiles[uid] = tagFile;
+
+    // Mapping keys are data layer variables, optionally with a ":value" condition
+    Object.keys(tagFile.mappings).forEach(key => {
+        const variable = key.split(':')[0];
+        if (variable && !result.variables.includes(variable)) result.variables.push(variable);
+    });
+    collectUtagDataLayerVariables(tokens, result.variables);
+}
+
+/**
+ * Collect b['x'], d['x'], utag.data['x'] and utag_data['x'] references
+ */
+function collectUtagDataLayerVariables(tokens, variables) {
+    for (let i = 0; i + 3 < tokens.length; i++) {
+        const isReference = tokens[i].type === 'identifier' && UTAG_DATA_LAYER_OBJECTS.includes(tokens[i].value) &&
+            tokens[i + 1].value === '[' && tokens[i + 2].type === 'string' && tokens[i + 3].value === ']';
+        if (isReference && tokens[i + 2].value && !variables.includes(tokens[i + 2].value)) {
+            variables.push(tokens[i + 2].value);
+        }
+    }
+    return variables;
+}
+
+/**
+ * Statically analyze utag.js / utag.N.js content (one file or several concatenated)
+ */
+function analyzeUtagStatic(content) {
+    const result = {
+        files: [],
+        version: { loader: null, template: null, publish: null, publishDate: null },
+        overview: null,
+        config: {},
+        tags: [],
+        tagFiles: {},
+        loadRules: [],
+        extensions: [],
+        variables: [],
+        loadRulesSource: '',
+        warnings: [],
+        analyzedAt: new Date().toISOString()
+    };
+
+    splitUtagBundle(content).forEach(file => {
+        const isLoader = file.name === 'loader' || (!file.name && /utag\.loader\.(loadrules|initcfg|cfg)\b|loadrules\s*:/.test(file.source));
+        const tagUid = /^\d+$/.test(file.name || '') ? file.name : null;
+
+        result.files.push({ type: isLoader ? 'utag.js' : tagUid ? `utag.${tagUid}.js` : file.name ? `utag.${file.name}.js` : 'unknown', version: file.version, length: file.source.length });
+
+        if (isLoader) {
+            if (file.version) result.version.loader = file.version;
+            analyzeUtagLoaderSource(file.source, result);
+        } else if (tagUid) {
+            analyzeUtagTagSource(tagUid, file.source, result);
+        }
+    });
+
+    if (!result.files.some(file => file.type === 'utag.js')) {
+        result.warnings.push('No utag.js loader found - only tag files were analyzed');
+    }
+
+    // Publish version: utag.cfg.v (template + timestamp), falling back to utid and the header comment
+    const config = result.config;
+    const publishSource = [config.v, config.utid, result.version.loader].find(value => typeof value === 'string' && /\d{12}/.test(value));
+    result.version.template = typeof config.template === 'string' ? config.template : null;
+    result.version.publish = publishSource ? publishSource.match(/(\d{12})(?!.*\d{12})/)[1] : null;
+    result.version.publishDate = formatUtagPublishDate(result.version.publish);
+
+    // Account/profile/environment from utag.cfg.path (//tags.tiqcdn.com/utag/acct/prof/env/) or utid (acct/prof/timestamp)
+    const pathMatch = typeof config.path === 'string' ? config.path.match(/\/utag\/([^\/]+)\/([^\/]+)\/([^\/]+)\//) : null;
+    const utidMatch = typeof config.utid === 'string' ? config.utid.match(/^([^\/]+)\/([^\/]+)\//) : null;
+    result.overview = {
+        account: pathMatch ? pathMatch[1] : utidMatch ? utidMatch[1] : 'Unknown',
+        profile: pathMatch ? pathMatch[2] : utidMatch ? utidMatch[2] : 'Unknown',
+        environment: pathMatch ? pathMatch[3] : 'Unknown',
+        version: typeof config.v === 'string' ? config.v : result.version.loader || 'Unknown',
+        path: typeof config.path === 'string' ? config.path : 'Unknown',
+        domain: typeof config.domain === 'string' ? config.domain : 'N/A',
+        loadTime: 'N/A',
+        secure: config.secure_cookie === true
+    };
+
+    result.loadRules.sort((a, b) => parseInt(a.id) - parseInt(b.id));
+    result.loadRules.forEach(rule => rule.variables.forEach(variable => {
+        if (!result.variables.includes(variable)) result.variables.push(variable);
+    }));
+
+    return result;
+}
+
+/**
+ * Map a static analysis onto the shape analyzeLoadedProfile() returns, so the
+ * live inspector's tag, extension and load rule views can render it unchanged
+ */
+function buildStaticProfileData(staticAnalysis) {
+    const ruleConditions = {};
+    staticAnalysis.loadRules.forEach(rule => { ruleConditions[rule.id] = rule.condition || 'Unknown'; });
+
+    const tags = staticAnalysis.tags.map(tag => {
+        const tagFile = staticAnalysis.tagFiles[tag.uid];
+        const disabled = tag.load === 0 || tag.load === false;
+        const allRuleIds = [...new Set([...tag.loadRuleIds, ...tag.sendRuleIds])];
+
+        return {
+            uid: tag.uid,
+            name: `Tag ${tag.uid}`,
+            status: disabled ? 'Not Loaded' : 'Not Executed',
+            statusClass: disabled ? 'text-gray-400' : 'text-gray-500',
+            icon: disabled ? 'fa-times-circle' : 'fa-file-code',
+            version: tag.version || 'N/A',
+            url: null,
+            location: tag.isBundled ? 'utag.js (Bundled)' : `utag.${tag.uid}.js`,
+            isBundled: tag.isBundled,
+            loadRuleId: tag.loadRuleIds.length > 0 ? tag.loadRuleIds.join(', ') : 'Always',
+            loadRuleInfo: null,
+            loadRuleIdsFromCfg: tag.loadRuleIds,
+            sendRuleIdsFromCfg: tag.sendRuleIds,
+            loadRuleDetails: allRuleIds.map(ruleId => ({
+                id: ruleId,
+                result: undefined,
+                condition: ruleConditions[ruleId] || 'Unknown',
+                type: tag.loadRuleIds.includes(ruleId) ? 'load' : 'send'
+            })),
+            consentCategory: tag.consentCategory || 'N/A',
+            configLoad: tag.load,
+            configSend: tag.send === 1,
+            templateId: tag.templateId || 'N/A',
+            mappings: tagFile ? tagFile.mappings : null,
+            tagScopedExtensions: tagFile ? tagFile.extensions.length : null,
+            sortOrder: disabled ? 50 : 30
+        };
+    }).sort((a, b) => a.sortOrder - b.sortOrder || parseInt(a.uid) - parseInt(b.uid));
+
+    const scopeOrder = { 'Before Load Rules': 1, 'After Load Rules': 2, 'DOM Ready': 3, 'After Tags': 4 };
+    const extensions = staticAnalysis.extensions.map(ext => ({
+        id: ext.id,
+        name: `Extension ${ext.id}`,
+        scope: ext.scope,
+        status: 'Not Run',
+        statusClass: 'text-gray-500',
+        icon: 'fa-pause-circle',
+        index: ext.index,
+        order: parseInt(ext.id),
+        code: ext.code,
+        sortOrder: 30
+    })).sort((a, b) => (scopeOrder[a.scope] || 99) - (scopeOrder[b.scope] || 99) || a.index - b.index);
+
+    const loadRules = staticAnalysis.loadRules.map(rule => ({
+        id: rule.id,
+        title: `Load Rule ${rule.id}`,
+        status: 'Unknown',
+        statusClass: 'text-gray-500',
+        icon: 'fa-question-circle',
+        result: undefined,
+        condition: rule.condition,
+        sortOrder: 3,
+        associatedTags: tags
+            .filter(tag => tag.loadRuleIdsFromCfg.includes(rule.id) || tag.sendRuleIdsFromCfg.includes(rule.id))
+            .map(tag => ({ uid: tag.uid, type: tag.loadRuleIdsFromCfg.includes(rule.id) ? 'load' : 'send' }))
+    }));
+
+    // utag.cfg defaults, leaving out code-valued entries (e.g. domain:utag.loader.lh())
+    const config = {};
+    Object.entries(staticAnalysis.config).forEach(([key, value]) => {
+        if (!isUtagExpression(value) && (value === null || typeof value !== 'object')) config[key] = value;
+    });
+
+    return {
+        overview: staticAnalysis.overview,
+        stats: {
+            totalTags: tags.length,
+            activeTags: 0,
+            bundledTags: tags.filter(tag => tag.isBundled).length,
+            totalExtensions: extensions.length,
+            activeExtensions: 0,
+            totalLoadRules: loadRules.length,
+            trueLoadRules: 0,
+            falseLoadRules: 0
+        },
+        tags: tags,
+        extensions: extensions,
+        loadRules: loadRules,
+        config: config,
+        staticAnalysis: staticAnalysis
+    };
+}
+
+/**
+ * Render a static analysis into the Profile Inspector views
+ */
+function showStaticProfileAnalysis(staticAnalysis, source) {
+    const profileData = buildStaticProfileData(staticAnalysis);
+
+    // Modals (load rule details, extension code) read from here
+    window.profileAnalysis = profileData;
+
+    updateProfileOverview(profileData.overview);
+    updateProfileStats(profileData.stats);
+    updateTagsAnalysis(profileData.tags);
+    updateExtensionsAnalysis(profileData.extensions);
+    updateLoadRulesAnalysis(profileData.loadRules);
+    updateUtagCfgSettings(profileData.config);
+    renderStaticAnalysisSummary(staticAnalysis, source);
+
+    return profileData;
+}
+
+/**
+ * Render the file/version summary above the inspector views
+ */
+function renderStaticAnalysisSummary(staticAnalysis, source) {
+    const container = document.getElementById('staticAnalysisSummary');
+    if (!container) return;
+
+    const version = staticAnalysis.version;
+    const tagFileCount = Object.keys(staticAnalysis.tagFiles).length;
+
+    container.innerHTML = `
+        <div class="bg-gray-50 rounded-lg p-4 space-y-3">
+            <div class="flex flex-wrap gap-2 text-xs">
+                ${staticAnalysis.files.map(file => `
+                    <span class="px-2 py-1 rounded bg-indigo-100 text-indigo-800 font-mono">${escapeHtml(file.type)}${file.version ? ` · ${escapeHtml(file.version)}` : ''}</span>
+                `).join('')}
+            </div>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                <div><span class="text-gray-600">Source:</span> <span class="font-medium">${escapeHtml(source || 'Pasted content')}</span></div>
+                <div><span class="text-gray-600">Publish:</span> <span class="font-mono">${escapeHtml(version.publishDate || version.publish || 'Unknown')}</span></div>
+                <div><span class="text-gray-600">Template:</span> <span class="font-mono">${escapeHtml(version.template || version.loader || 'Unknown')}</span></div>
+                <div><span class="text-gray-600">Tag files:</span> <span class="font-medium">${tagFileCount}</span></div>
+            </div>
+            ${staticAnalysis.warnings.length > 0 ? `
+                <div class="text-xs text-amber-700 space-y-1">
+                    ${staticAnalysis.warnings.map(warning => `<div><i class="fas fa-exclamation-triangle mr-1"></i>${escapeHtml(warning)}</div>`).join('')}
+                </div>
+            ` : ''}
+            <div class="text-xs text-gray-500">
+                <i class="fas fa-info-circle mr-1"></i>
+                Static analysis - nothing was executed, so tag and load rule results are shown as not run / unknown.
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Read uploaded utag.js / utag.N.js files into the manual analysis textarea and analyze them
+ */
+async function loadUtagFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    try {
+        // Keep utag.js first so the loader is parsed before its tag files
+        files.sort((a, b) => (a.name === 'utag.js' ? -1 : 0) - (b.name === 'utag.js' ? -1 : 0) || a.name.localeCompare(b.name));
+        const contents = await Promise.all(files.map(file => file.text()));
+
+        document.getElementById('manualUtagContent').value = contents.join('\n');
+        analyzeManualContent(files.map(file => file.name).join(', '));
+    } catch (error) {
+        showToast('Could not read file: ' + error.message, 'error');
+    }
+}
+
+// Expose functions globally for HTML event handlers
+window.analyzeUtagStatic = analyzeUtagStatic;
+window.showStaticProfileAnalysis = showStaticProfileAnalysis;
+window.loadUtagFiles = loadUtagFiles;
@@ -0,0 +1,166 @@
+/**
+ * utag.sync.js Phase for Tealium Sandbox
+ * Loads utag.sync.js ahead of utag.js and records what it left behind (globals and cookies),
+ * which the Profile Inspector shows as a separate "sync" phase
+ */
+
+/**
+ * Result of the last utag.sync.js load, or null when it was not loaded
+ */
+let tealiumSyncPhase = null;
+
+/**
+ * Read document.cookie into a { name: value } map
+ */
+function readSyncPhaseCookies() {
+    const cookies = {};
+    document.cookie.split(';').forEach(cookie => {
+        const [name, ...valueParts] = cookie.trim().split('=');
+        if (name) cookies[name] = valueParts.join('=');
+    });
+    return cookies;
+}
+
+/**
+ * Short type and preview of a global for display
+ */
+function describeSyncGlobal(value) {
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    let preview;
+
+    if (type === 'function') {
+        preview = `function ${value.name || '(anonymous)'}()`;
+    } else {
+        try {
+            preview = JSON.stringify(value);
+        } catch (error) {
+            preview = String(value);
+        }
+    }
+
+    if (preview && preview.length > 120) preview = preview.substring(0, 117) + '...';
+    return { type, preview: preview === undefined ? String(value) : preview };
+}
+
+/**
+ * Load utag.sync.js (when the source has one), then call onDone so utag.js is only
+ * injected once the sync file has run - the same order as a blocking script in <head>
+ */
+function loadTealiumSyncScript(sync, onDone) {
+    if (!sync) {
+        tealiumSyncPhase = null;
+        window.tealiumSyncPhase = null;
+        onDone();
+        return;
+    }
+
+    // Snapshot globals and cookies so the sync file's footprint can be diffed afterwards
+    const globalsBefore = new Map(Object.keys(window).map(key => [key, window[key]]));
+    const cookiesBefore = readSyncPhaseCookies();
+    const startedAt = Date.now();
+
+    const script = document.createElement('script');
+    script.type = 'text/javascript';
+    script.async = false;
+    script.src = sync.url;
+    script.dataset.tealiumSource = 'sync';
+
+    const finish = (loaded) => {
+        const globals = Object.keys(window)
+            .filter(key => !globalsBefore.has(key) || globalsBefore.get(key) !== window[key])
+            .map(key => ({ name: key, changed: globalsBefore.has(key), ...describeSyncGlobal(window[key]) }));
+
+        const cookiesAfter = readSyncPhaseCookies();
+        const cookies = Object.keys(cookiesAfter)
+            .filter(name => cookiesBefore[name] !== cookiesAfter[name])
+            .map(name => ({ name, value: cookiesAfter[name], previous: cookiesBefore[name] }));
+
+        tealiumSyncPhase = {
+            url: sync.label,
+            loaded: loaded,
+            duration: Date.now() - startedAt,
+            globals: globals,
+            cookies: cookies,
+            loadedAt: new Date().toISOString()
+        };
+        window.tealiumSyncPhase = tealiumSyncPhase;
+
+        if (loaded) {
+            logEvent('TEALIUM_SYNC_LOADED', `utag.sync.js loaded: ${globals.length} global(s), ${cookies.length} cookie(s)`, { url: sync.label, globals: globals.map(g => g.name), cookies: cookies.map(c => c.name) });
+        } else {
+            showToast('utag.sync.js failed to load - continuing with utag.js', 'warning');
+            logEvent('TEALIUM_SYNC_ERROR', 'Failed to load utag.sync.js', { url: sync.label });
+        }
+
+        renderTealiumSyncPhase();
+        onDone();
+    };
+
+    script.onload = () => finish(true);
+    script.onerror = () => finish(false);
+    document.head.appendChild(script);
+
+    logEvent('TEALIUM_SYNC_LOAD_ATTEMPT', 'Loading utag.sync.js before utag.js', { url: sync.label });
+}
+
+/**
+ * Render the sync phase card in the Profile Inspector
+ */
+function renderTealiumSyncPhase() {
+    const container = document.getElementById('syncPhaseDetails');
+    const badge = document.getElementById('syncPhaseStatusBadge');
+    if (!container) return;
+
+    const phase = tealiumSyncPhase;
+    if (badge) {
+        badge.textContent = !phase ? 'Not loaded' : phase.loaded ? 'Loaded' : 'Failed';
+        badge.className = `ml-2 text-xs px-2 py-1 rounded-full ${!phase ? 'bg-gray-100 text-gray-600' : phase.loaded ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`;
+    }
+
+    if (!phase) {
+        container.innerHTML = '<div class="text-gray-500">utag.sync.js was not loaded. Enable "Load utag.sync.js first" in Configuration.</div>';
+        return;
+    }
+
+    const globalsHtml = phase.globals.length === 0
+        ? '<div class="text-sm text-gray-500">No globals set</div>'
+        : phase.globals.map(global => `
+            <div class="flex justify-between items-center py-2 px-3 bg-gray-50 rounded">
+                <div>
+                    <div class="font-medium text-gray-800 font-mono">${escapeHtml(global.name)}</div>
+                    <div class="text-xs text-gray-500">${global.type}${global.changed ? ' (overwritten)' : ''}</div>
+                </div>
+                <div class="text-sm text-gray-700 font-mono max-w-xs truncate" title="${escapeHtml(global.preview).replace(/"/g, '&quot;')}">${escapeHtml(global.preview)}</div>
+            </div>
+        `).join('');
+
+    const cookiesHtml = phase.cookies.length === 0
+        ? '<div class="text-sm text-gray-500">No cookies set</div>'
+        : phase.cookies.map(cookie => `
+            <div class="flex justify-between items-center py-2 px-3 bg-gray-50 rounded">
+                <div>
+                    <div class="font-medium text-gray-800 font-mono">${escapeHtml(cookie.name)}</div>
+                    <div class="text-xs text-gray-500">${cookie.previous === undefined ? 'New' : 'Changed'}</div>
+                </div>
+                <div class="text-sm text-gray-700 font-mono max-w-xs truncate" title="${escapeHtml(cookie.value).replace(/"/g, '&quot;')}">${escapeHtml(cookie.value) || '(empty)'}</div>
+            </div>
+        `).join('');
+
+    container.innerHTML = `
+        <div class="text-xs text-gray-500 mb-3 break-all">${escapeHtml(phase.url)} &middot; ${phase.duration}ms &middot; ${new Date(phase.loadedAt).toLocaleTimeString()}</div>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div>
+                <h5 class="text-sm font-medium text-gray-700 mb-2">Globals (${phase.globals.length})</h5>
+                <div class="space-y-2 max-h-64 overflow-y-auto">${globalsHtml}</div>
+            </div>
+            <div>
+                <h5 class="text-sm font-medium text-gray-700 mb-2">Cookies (${phase.cookies.length})</h5>
+                <div class="space-y-2 max-h-64 overflow-y-auto">${cookiesHtml}</div>
+            </div>
+        </div>
+    `;
+}
+
+// Expose functions globally for HTML event handlers
+window.loadTealiumSyncScript = loadTealiumSyncScript;
+window.renderTealiumSyncPhase = renderTealiumSyncPhase;
@@ -0,0 +1,358 @@
+/**
+ * Vendor Decoder Registry for Tealium Sandbox
+ * Omnibug-style decoders that recognise a vendor's requests, name their parameters and unpack payloads.
+ * detectVendorFromUrl() and extractAllParameters() consult the registry before their generic fallbacks;
+ * custom-functions.js can add or override decoders with registerVendorDecoder()
+ */
+
+/**
+ * Registered decoders, most recently registered first so custom decoders win over built-ins
+ */
+let vendorDecoderRegistry = [];
+
+/**
+ * Register a vendor decoder:
+ *   id          unique id (registering the same id again replaces the decoder)
+ *   name        display name, e.g. 'GA4'
+ *   vendor      vendor name used for grouping and colors, e.g. 'Google'
+ *   match       RegExp tested against the URL, or function (url, request) => boolean
+ *   parameters  { key: 'Human name' } or { key: { name, category } }
+ *   patterns    [{ pattern: /^ep\.(.+)$/, name: 'Event parameter: $1', category }] for families of keys
+ *   decode      optional (request, params) => params to unpack payloads or rewrite values
+ */
+function registerVendorDecoder(decoder) {
+    if (!decoder || !decoder.id || !decoder.match) {
+        throw new Error('A vendor decoder needs at least an id and a match');
+    }
+
+    vendorDecoderRegistry = vendorDecoderRegistry.filter(existing => existing.id !== decoder.id);
+    vendorDecoderRegistry.unshift({
+        name: decoder.id,
+        vendor: decoder.name || decoder.id,
+        parameters: {},
+        patterns: [],
+        ...decoder
+    });
+    return decoder.id;
+}
+
+/**
+ * Remove a decoder by id
+ */
+function unregisterVendorDecoder(id) {
+    const before = vendorDecoderRegistry.length;
+    vendorDecoderRegistry = vendorDecoderRegistry.filter(decoder => decoder.id !== id);
+    return vendorDecoderRegistry.length !== before;
+}
+
+/**
+ * List registered decoders (most recent first)
+ */
+function getVendorDecoders() {
+    return vendorDecoderRegistry.slice();
+}
+
+/**
+ * Find the decoder that claims a request URL
+ */
+function findVendorDecoder(url, request = null) {
+    if (!url || typeof url !== 'string') return null;
+
+    return vendorDecoderRegistry.find(decoder => {
+        try {
+            return typeof decoder.match === 'function' ? decoder.match(url, request) : decoder.match.test(url);
+        } catch (error) {
+            console.warn(`Vendor decoder ${decoder.id} failed to match:`, error);
+            return false;
+        }
+    }) || null;
+}
+
+/**
+ * Human name and category of a parameter according to a decoder
+ */
+function describeVendorParameter(decoder, key) {
+    const entry = decoder.parameters[key];
+    if (entry) {
+        return typeof entry === 'string' ? { name: entry } : entry;
+    }
+
+    for (const { pattern, name, category } of decoder.patterns) {
+        const match = key.match(pattern);
+        if (match) {
+            return { name: name.replace(/\$(\d)/g, (all, index) => match[index] || ''), category };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Run a request's parameters through its decoder: unpack the payload and add labels/categories
+ */
+function decodeVendorParameters(request, params) {
+    const decoder = findVendorDecoder(request.url, request);
+    if (!decoder) return params;
+
+    let decoded = params;
+    if (typeof decoder.decode === 'function') {
+        try {
+            decoded = decoder.decode(request, params.slice()) || params;
+        } catch (error) {
+            console.warn(`Vendor decoder ${decoder.id} failed to decode:`, error);
+        }
+    }
+
+    return decoded.map(param => {
+        const description = describeVendorParameter(decoder, param.key);
+        return {
+            ...param,
+            decoder: decoder.name,
+            label: param.label || description?.name,
+            category: param.category || description?.category
+        };
+    });
+}
+
+/**
+ * Flatten a nested object into dotted keys
+ */
+function flattenVendorPayload(obj, source, prefix = '', params = []) {
+    Object.entries(obj).forEach(([key, value]) => {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flattenVendorPayload(value, source, fullKey, params);
+        } else {
+            params.push({ key: fullKey, value: Array.isArray(value) ? JSON.stringify(value) : String(value), source });
+        }
+    });
+    return params;
+}
+
+/**
+ * GA4 batches several events in one POST body, one query string per line
+ */
+function decodeGa4Request(request, params) {
+    if (typeof request.payload !== 'string' || !request.payload.includes('en=')) return params;
+
+    const lines = request.payload.split(/\r?\n/).filter(line => line.trim());
+    const urlParams = params.filter(param => param.source === 'url');
+    const eventParams = [];
+
+    lines.forEach((line, index) => {
+        new URLSearchParams(line).forEach((value, key) => {
+            eventParams.push({ key, value, source: lines.length > 1 ? `event ${index + 1}` : 'form' });
+        });
+    });
+
+    return urlParams.concat(eventParams).map(decodeGa4Item);
+}
+
+/**
+ * GA4 items (pr1=idSKU~nmName~pr9.99) as readable key: value pairs
+ */
+function decodeGa4Item(param) {
+    if (!/^pr\d+$/.test(param.key)) return param;
+
+    const fields = { id: 'item_id', nm: 'item_name', br: 'item_brand', ca: 'item_category', va: 'item_variant', pr: 'price', qt: 'quantity', cp: 'coupon', ds: 'discount', af: 'affiliation', lp: 'index' };
+    const value = param.value.split('~')
+        .map(part => `${fields[part.substring(0, 2)] || part.substring(0, 2)}: ${part.substring(2)}`)
+        .join('; ');
+    return { ...param, value };
+}
+
+/**
+ * Adobe context data is sent as c.=&a.=&key=value&.a&.c - rebuild the dotted names.
+ * The report suite comes from the /b/ss/{rsid}/ path.
+ */
+function decodeAdobeRequest(request, params) {
+    const decoded = [];
+    const rsid = request.url.match(/\/b\/ss\/([^/]+)\//);
+    if (rsid) {
+        decoded.push({ key: 'rsid', value: decodeURIComponent(rsid[1]), source: 'url' });
+    }
+
+    const stack = [];
+    params.forEach(param => {
+        if (/^[^.]+\.$/.test(param.key) && param.value === '') {
+            stack.push(param.key.slice(0, -1));
+        } else if (/^\.[^.]+$/.test(param.key) && stack[stack.length - 1] === param.key.substring(1)) {
+            stack.pop();
+        } else if (stack.length > 0) {
+            decoded.push({ ...param, key: `${stack.join('.')}.${param.key}`, label: `Context data: ${stack.slice(1).concat(param.key).join('.')}`, category: 'Custom' });
+        } else {
+            decoded.push(param);
+        }
+    });
+
+    return decoded;
+}
+
+/**
+ * Tealium Collect /event posts a JSON body - flatten nested objects instead of showing [object Object]
+ */
+function decodeTealiumCollectRequest(request, params) {
+    if (typeof request.payload !== 'string' || !request.payload.trim().startsWith('{')) return params;
+
+    try {
+        const payload = JSON.parse(request.payload);
+        return params.filter(param => param.source !== 'json').concat(flattenVendorPayload(payload, 'json'));
+    } catch (error) {
+        return params;
+    }
+}
+
+registerVendorDecoder({
+    id: 'tealium-collect',
+    name: 'Tealium Collect',
+    vendor: 'Tealium',
+    match: /(collect(-[\w-]+)?\.tealiumiq\.com|\/i\.gif|tealiumiq\.com\/event)/,
+    parameters: {
+        tealium_account: { name: 'Account', category: 'Tealium' },
+        tealium_profile: { name: 'Profile', category: 'Tealium' },
+        tealium_environment: { name: 'Environment', category: 'Tealium' },
+        tealium_datasource: { name: 'Data source key', category: 'Tealium' },
+        tealium_visitor_id: { name: 'Visitor ID', category: 'User' },
+        tealium_session_id: { name: 'Session ID', category: 'User' },
+        tealium_session_number: { name: 'Session number', category: 'User' },
+        tealium_session_event_number: { name: 'Event number in session', category: 'User' },
+        tealium_event: { name: 'Event name', category: 'Event' },
+        tealium_event_type: { name: 'Event type (view/link)', category: 'Event' },
+        tealium_timestamp_epoch: { name: 'Timestamp (epoch)', category: 'Technical' },
+        tealium_timestamp_utc: { name: 'Timestamp (UTC)', category: 'Technical' },
+        tealium_library_name: { name: 'Library name', category: 'Technical' },
+        tealium_library_version: { name: 'Library version', category: 'Technical' },
+        tealium_random: { name: 'Cache buster', category: 'Technical' },
+        tealium_trace_id: { name: 'Trace ID', category: 'Tealium' },
+        cp_trace_id: { name: 'Trace ID (cookie)', category: 'Tealium' }
+    },
+    patterns: [
+        { pattern: /^(data\.)?udo\.(.+)$/, name: 'Data layer: $2', category: 'Page' },
+        { pattern: /^(data\.)?(dom|cp|qp|meta|js_page|va)\.(.+)$/, name: 'Built-in ($2): $3', category: 'Tealium' }
+    ],
+    decode: decodeTealiumCollectRequest
+});
+
+registerVendorDecoder({
+    id: 'ga4',
+    name: 'GA4',
+    vendor: 'Google',
+    match: /\/g\/collect(\?|$)/,
+    parameters: {
+        v: { name: 'Protocol version', category: 'Technical' },
+        tid: { name: 'Measurement ID', category: 'Technical' },
+        gtm: { name: 'GTM container hash', category: 'Technical' },
+        _p: { name: 'Page load hash', category: 'Technical' },
+        _s: { name: 'Hit counter', category: 'Technical' },
+        _dbg: { name: 'Debug mode', category: 'Technical' },
+        cid: { name: 'Client ID', category: 'User' },
+        uid: { name: 'User ID', category: 'User' },
+        sid: { name: 'Session ID', category: 'User' },
+        sct: { name: 'Session count', category: 'User' },
+        seg: { name: 'Session engaged', category: 'User' },
+        _fv: { name: 'First visit', category: 'User' },
+        _ss: { name: 'Session start', category: 'User' },
+        _nsi: { name: 'New session ID', category: 'User' },
+        ul: { name: 'User language', category: 'Browser' },
+        sr: { name: 'Screen resolution', category: 'Browser' },
+        dl: { name: 'Page location', category: 'Page' },
+        dr: { name: 'Page referrer', category: 'Page' },
+        dt: { name: 'Page title', category: 'Page' },
+        en: { name: 'Event name', category: 'Event' },
+        _et: { name: 'Engagement time (ms)', category: 'Event' },
+        _ee: { name: 'Enhanced measurement', category: 'Event' },
+        cu: { name: 'Currency', category: 'Commerce' },
+        gcs: { name: 'Consent state (ad/analytics storage)', category: 'Technical' },
+        gcd: { name: 'Consent defaults and updates', category: 'Technical' },
+        dma: { name: 'DMA compliance', category: 'Technical' }
+    },
+    patterns: [
+        { pattern: /^ep\.(.+)$/, name: 'Event parameter: $1', category: 'Event' },
+        { pattern: /^epn\.(.+)$/, name: 'Event parameter (number): $1', category: 'Event' },
+        { pattern: /^up\.(.+)$/, name: 'User property: $1', category: 'User' },
+        { pattern: /^upn\.(.+)$/, name: 'User property (number): $1', category: 'User' },
+        { pattern: /^pr(\d+)$/, name: 'Item $1', category: 'Product' }
+    ],
+    decode: decodeGa4Request
+});
+
+registerVendorDecoder({
+    id: 'adobe-analytics',
+    name: 'Adobe Analytics',
+    vendor: 'Adobe Analytics',
+    match: /\/b\/ss\//,
+    parameters: {
+        rsid: { name: 'Report suite', category: 'Technical' },
+        pageName: { name: 'Page name', category: 'Page' },
+        g: { name: 'Page URL', category: 'Page' },
+        r: { name: 'Referrer', category: 'Page' },
+        ch: { name: 'Site section (channel)', category: 'Page' },
+        server: { name: 'Server', category: 'Page' },
+        pageType: { name: 'Page type (404)', category: 'Page' },
+        events: { name: 'Events', category: 'Event' },
+        pe: { name: 'Link type (lnk_o/lnk_d/lnk_e)', category: 'Event' },
+        pev1: { name: 'Link URL', category: 'Event' },
+        pev2: { name: 'Link name', category: 'Event' },
+        products: { name: 'Products', category: 'Product' },
+        purchaseID: { name: 'Purchase ID', category: 'Commerce' },
+        cc: { name: 'Currency code', category: 'Commerce' },
+        v0: { name: 'Campaign (eVar0)', category: 'Campaign' },
+        vid: { name: 'Visitor ID', category: 'User' },
+        aid: { name: 'Analytics visitor ID (s_vi)', category: 'User' },
+        mid: { name: 'Experience Cloud ID', category: 'User' },
+        fid: { name: 'Fallback visitor ID', category: 'User' },
+        t: { name: 'Timestamp', category: 'Technical' },
+        ts: { name: 'Timestamp (offline)', category: 'Technical' },
+        ce: { name: 'Character set', category: 'Technical' },
+        v: { name: 'JavaScript enabled', category: 'Browser' },
+        s: { name: 'Screen resolution', category: 'Browser' },
+        c: { name: 'Color depth', category: 'Browser' },
+        bw: { name: 'Browser width', category: 'Browser' },
+        bh: { name: 'Browser height', category: 'Browser' },
+        AQB: { name: 'Query begin', category: 'Technical' },
+        AQE: { name: 'Query end', category: 'Technical' }
+    },
+    patterns: [
+        { pattern: /^v(\d+)$/, name: 'eVar$1', category: 'Custom' },
+        { pattern: /^c(\d+)$/, name: 'prop$1', category: 'Custom' },
+        { pattern: /^h(\d+)$/, name: 'Hierarchy $1', category: 'Page' },
+        { pattern: /^l(\d+)$/, name: 'List $1', category: 'Custom' }
+    ],
+    decode: decodeAdobeRequest
+});
+
+registerVendorDecoder({
+    id: 'meta-pixel',
+    name: 'Meta Pixel',
+    vendor: 'Facebook/Meta',
+    match: (url) => /facebook\.com\/tr\/?(\?|$)/.test(url),
+    parameters: {
+        id: { name: 'Pixel ID', category: 'Technical' },
+        ev: { name: 'Event name', category: 'Event' },
+        eid: { name: 'Event ID (deduplication)', category: 'Event' },
+        ec: { name: 'Event count', category: 'Event' },
+        dl: { name: 'Page URL', category: 'Page' },
+        rl: { name: 'Referrer', category: 'Page' },
+        if: { name: 'In iframe', category: 'Page' },
+        ts: { name: 'Timestamp', category: 'Technical' },
+        v: { name: 'Pixel version', category: 'Technical' },
+        r: { name: 'Release segment', category: 'Technical' },
+        it: { name: 'Pixel init time', category: 'Technical' },
+        rqm: { name: 'Request method', category: 'Technical' },
+        sw: { name: 'Screen width', category: 'Browser' },
+        sh: { name: 'Screen height', category: 'Browser' },
+        fbp: { name: 'Browser ID (_fbp)', category: 'User' },
+        fbc: { name: 'Click ID (_fbc)', category: 'Campaign' }
+    },
+    patterns: [
+        { pattern: /^cd\[(.+)\]$/, name: 'Custom data: $1', category: 'Event' },
+        { pattern: /^ud\[(.+)\]$/, name: 'User data (hashed): $1', category: 'User' }
+    ]
+});
+
+// Expose functions globally for custom-functions.js and the console
+window.registerVendorDecoder = registerVendorDecoder;
+window.unregisterVendorDecoder = unregisterVendorDecoder;
+window.getVendorDecoders = getVendorDecoders;
+window.findVendorDecoder = findVendorDecoder;